@@ -29,7 +29,15 @@ export const CONFIG = {
 
     // Animation settings
     liftHeight: 2.5,
-    animationSpeed: 0.15
+    animationSpeed: 0.15,
+
+    // Hand push/pull depth
+    depthRange: 3,      // World units along the view ray at full depth
+    depthLimit: 2,      // |z| limit (the base is 4 deep)
+
+    // What the cursor can't go into: the base (edge top at y 0.1) and the floor beside it
+    cursorSurface: { halfWidth: 6.1, halfDepth: 2.1, top: 0.1, floor: -0.4 },
+    cursorRadius: 0.15
 };
 
 /**
@@ -56,11 +64,6 @@ export function createGameState() {
         handPosition: { x: 0.5, y: 0.5 },
         smoothedHandPosition: { x: 0.5, y: 0.5 },
         targetHandPosition: { x: 0.5, y: 0.5 },
-        lastPinchState: false,
-
-        // Pinch gesture buffer
-        pinchBuffer: [],
-        PINCH_BUFFER_SIZE: 5,
 
         // Smoothing parameters
         POSITION_SMOOTHING: 0.3,
@@ -1,5 +1,7 @@
 /**
  * Tower of Hanoi - Disks Module
+ *
+ * UI text goes through the global i18n instance (js/shared/i18n.js)
  */
 
 import * as THREE from 'three';
@@ -59,7 +61,7 @@ export function createDisks(scene, gameState, DOM) {
 
     // Update minimum moves display
     if (DOM.minMoves) {
-        DOM.minMoves.textContent = Math.pow(2, numDisks) - 1;
+        DOM.minMoves.textContent = i18n.formatNumber(Math.pow(2, numDisks) - 1);
     }
 }
 
@@ -153,13 +155,13 @@ export function moveDisk(gameState, diskIndex, targetRod, isValid, DOM, showMess
         // Increment move count
         gameState.moveCount++;
         if (DOM.moveCount) {
-            DOM.moveCount.textContent = gameState.moveCount;
+            DOM.moveCount.textContent = i18n.formatNumber(gameState.moveCount);
         }
 
         // Animate
         animateDiskTo(gameState, disk, targetX, targetY);
     } else {
-        if (showMessage) showMessage('Invalid Move!', 'error');
+        if (showMessage) showMessage(i18n.t('hanoi.invalidMove'), 'error');
 
         const stackIndex = gameState.rods[currentRod].indexOf(diskIndex);
         const originalY = stackIndex * (CONFIG.diskHeight + CONFIG.diskGap) + CONFIG.diskHeight / 2;
@@ -225,7 +227,7 @@ export function checkWinCondition(gameState, DOM) {
 
         setTimeout(() => {
             if (DOM.winStats) {
-                DOM.winStats.textContent = `Moves: ${gameState.moveCount} | Time: ${DOM.timer.textContent}`;
+                DOM.winStats.textContent = i18n.t('hanoi.winStats', { moves: i18n.formatNumber(gameState.moveCount), time: DOM.timer.textContent });
             }
             if (DOM.winOverlay) {
                 DOM.winOverlay.classList.add('show');
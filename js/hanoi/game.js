@@ -1,5 +1,11 @@
 /**
  * Tower of Hanoi - Main Game Logic
+ *
+ * UI text goes through the global i18n instance (js/shared/i18n.js); hand depth
+ * comes from the global HandDepthEstimator (js/shared/hand-depth.js), which also
+ * places the cursor's shadow (placeDepthShadow), the pinch
+ * from the global GestureEngine (js/shared/gesture-engine.js), and pickup/drop
+ * from the global HandEventEmitter (js/shared/hand-events.js)
  */
 
 import * as THREE from 'three';
@@ -7,7 +13,8 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { CONFIG, createGameState } from './config.js';
 import { createBase, createRods } from './rods.js';
 import { createDisks, getDiskRod, getNearestRod, getStackYPosition, isValidMove, moveDisk, animateDiskTo, processAnimations, checkWinCondition } from './disks.js';
-import { initializeMediaPipe, drawHandLandmarks, updateCursor3D, updateGestureIndicator, handleGestureState } from './gestures.js';
+import { initializeMediaPipe, drawHandLandmarks, updateCursor3D, updateGestureIndicator, pickUpDisk, dropDisk, followDraggedDisk } from './gestures.js';
+import { createLandmarkSmoother } from '../shared/mediapipe-utils.js';
 
 // ==================== GAME STATE ====================
 let gameState = createGameState();
@@ -16,11 +23,27 @@ let gameState = createGameState();
 let scene, camera, renderer, controls;
 let rods = [];
 let raycaster, mouse;
-let cursor3D;
+let cursor3D, cursorShadow;
 
 // ==================== MEDIAPIPE ====================
-let hands, camera2D, canvasCtx;
+let hands, frameSource, canvasCtx;
 let mediaPipeReady = false;
+const gestureEngine = new GestureEngine();
+const landmarkSmoother = createLandmarkSmoother();
+const handDepth = new HandDepthEstimator();
+
+// ==================== HAND EVENTS ====================
+// Pinch or fist picks a disk up and lets it go
+const handEvents = new HandEventEmitter();
+handEvents.on('pinchstart', () => pickUpDisk(gameState, raycaster, camera, mouse, showDiskSelectionIndicator, startTimer));
+handEvents.on('grab', () => pickUpDisk(gameState, raycaster, camera, mouse, showDiskSelectionIndicator, startTimer));
+// Cancelled: the hand left while holding, so the disk goes back to its rod
+handEvents.on('pinchend', (e) => {
+    if (!handEvents.isGrabbing(e.handId)) dropDisk(gameState, DOM, showMessage, hideDiskSelectionIndicator, e.cancelled);
+});
+handEvents.on('release', (e) => {
+    if (!handEvents.isPinching(e.handId)) dropDisk(gameState, DOM, showMessage, hideDiskSelectionIndicator, e.cancelled);
+});
 
 // ==================== DOM CACHE ====================
 const DOM = {};
@@ -105,7 +128,7 @@ function setupLighting() {
 }
 
 function createCursor3D() {
-    const cursorGeometry = new THREE.SphereGeometry(0.15, 16, 16);
+    const cursorGeometry = new THREE.SphereGeometry(CONFIG.cursorRadius, 16, 16);
     const cursorMaterial = new THREE.MeshStandardMaterial({
         color: 0x00d9ff,
         emissive: 0x00d9ff,
@@ -116,6 +139,19 @@ function createCursor3D() {
     cursor3D = new THREE.Mesh(cursorGeometry, cursorMaterial);
     cursor3D.visible = false;
     scene.add(cursor3D);
+
+    // Shadow marker on the base shows how far back the cursor is
+    const shadowGeometry = new THREE.CircleGeometry(0.25, 24);
+    const shadowMaterial = new THREE.MeshBasicMaterial({
+        color: 0x000000,
+        transparent: true,
+        opacity: 0.4,
+        depthWrite: false
+    });
+    cursorShadow = new THREE.Mesh(shadowGeometry, shadowMaterial);
+    cursorShadow.rotation.x = -Math.PI / 2;
+    cursorShadow.visible = false;
+    scene.add(cursorShadow);
 }
 
 function onWindowResize() {
@@ -133,6 +169,13 @@ function showMessage(text, type = 'error') {
     }, 1500);
 }
 
+function setInstructions(key) {
+    // Keep data-i18n in sync so a language switch picks the current text
+    const instructionsText = document.getElementById('instructions-text');
+    instructionsText.dataset.i18n = key;
+    instructionsText.textContent = i18n.t(key);
+}
+
 function showDiskSelectionIndicator(disk) {
     const diskColor = disk.userData.originalColor;
     DOM.diskPreview.style.backgroundColor = diskColor;
@@ -151,9 +194,7 @@ function startTimer() {
 
     gameState.timerInterval = setInterval(() => {
         const elapsed = Math.floor((Date.now() - gameState.startTime) / 1000);
-        const minutes = Math.floor(elapsed / 60).toString().padStart(2, '0');
-        const seconds = (elapsed % 60).toString().padStart(2, '0');
-        DOM.timer.textContent = `${minutes}:${seconds}`;
+        DOM.timer.textContent = i18n.formatDuration(elapsed);
     }, 1000);
 }
 
@@ -165,8 +206,8 @@ function restartGame() {
     gameState.isDragging = false;
     gameState.animations = [];
 
-    DOM.moveCount.textContent = '0';
-    DOM.timer.textContent = '00:00';
+    DOM.moveCount.textContent = i18n.formatNumber(0);
+    DOM.timer.textContent = i18n.formatDuration(0);
     DOM.winOverlay.classList.remove('show');
 
     if (gameState.timerInterval) {
@@ -320,8 +361,11 @@ function onHandResults(results, ctx, canvas) {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
     if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-        const landmarks = results.multiHandLandmarks[0];
-        drawHandLandmarks(landmarks, canvas, ctx);
+        const rawLandmarks = results.multiHandLandmarks[0];
+        drawHandLandmarks(rawLandmarks, canvas, ctx);
+
+        // Pinch, cursor and gestures all read the smoothed hand
+        const landmarks = landmarkSmoother ? landmarkSmoother.smooth(0, rawLandmarks) : rawLandmarks;
 
         const thumbTip = landmarks[4];
         const indexTip = landmarks[8];
@@ -332,14 +376,8 @@ function onHandResults(results, ctx, canvas) {
             Math.pow((thumbTip.z || 0) - (indexTip.z || 0), 2) * 0.5
         );
 
-        const rawPinching = pinchDistance < CONFIG.PINCH_THRESHOLD;
-        gameState.pinchBuffer.push(rawPinching);
-        if (gameState.pinchBuffer.length > gameState.PINCH_BUFFER_SIZE) {
-            gameState.pinchBuffer.shift();
-        }
-
-        const pinchCount = gameState.pinchBuffer.filter(Boolean).length;
-        const stabilizedPinching = pinchCount >= Math.ceil(gameState.PINCH_BUFFER_SIZE * 0.6);
+        const gestures = gestureEngine.update(landmarks);
+        const stabilizedPinching = gestureEngine.isActive('pinch');
 
         const rawX = 1 - indexTip.x;
         const rawY = indexTip.y;
@@ -349,17 +387,22 @@ function onHandResults(results, ctx, canvas) {
         gameState.handPosition.x = rawX;
         gameState.handPosition.y = rawY;
 
-        updateCursor3D(gameState, mouse, camera, raycaster, cursor3D, pinchDistance);
+        updateCursor3D(gameState, mouse, camera, raycaster, cursor3D, pinchDistance, handDepth.update(landmarks));
         updateGestureIndicator(stabilizedPinching, gameState.isDragging, pinchDistance);
-        handleGestureState(gameState, stabilizedPinching, raycaster, camera, mouse, DOM, showMessage, showDiskSelectionIndicator, hideDiskSelectionIndicator, startTimer);
-
-        gameState.lastPinchState = stabilizedPinching;
+        handEvents.update([{
+            id: 0, landmarks, position: { ...gameState.smoothedHandPosition }, rawPosition: { x: rawX, y: rawY },
+            pinchDistance, isPinching: stabilizedPinching, gesture: gestures.primary, gestures: gestures.active
+        }]);
+        followDraggedDisk(gameState);
 
         if (checkWinCondition(gameState, DOM)) return;
     } else {
         cursor3D.visible = false;
         document.getElementById('cursor-indicator').style.display = 'none';
-        gameState.pinchBuffer = [];
+        gestureEngine.reset();
+        if (landmarkSmoother) landmarkSmoother.reset();
+        // handleave, cancelled pinchend/release and trackinglost
+        handEvents.update([]);
     }
 }
 
@@ -382,11 +425,10 @@ function setupUIHandlers() {
         const webcamContainer = document.getElementById('webcam-container');
         const gestureIndicator = document.getElementById('gesture-indicator');
         const instructions = document.getElementById('instructions');
-        const instructionsText = document.getElementById('instructions-text');
 
         if (gameState.gestureMode) {
-            if (!mediaPipeReady || !camera2D) {
-                showMessage('Camera not available. Please allow camera access.', 'error');
+            if (!mediaPipeReady || !frameSource) {
+                showMessage(i18n.t('camera.unavailable'), 'error');
                 gameState.gestureMode = false;
                 gestureToggle.classList.remove('active');
                 return;
@@ -394,14 +436,14 @@ function setupUIHandlers() {
 
             webcamContainer.classList.remove('hidden');
             gestureIndicator.classList.remove('hidden');
-            instructionsText.textContent = 'Pinch (thumb + index) to grab the top disk. Move your hand and release to drop!';
+            setInstructions('hanoi.instructions.gesture');
             instructions.classList.add('gesture-mode');
             cursor3D.visible = true;
 
             try {
-                await camera2D.start();
+                await frameSource.start();
             } catch (err) {
-                showMessage('Failed to start camera', 'error');
+                showMessage(i18n.t('camera.startFailed'), 'error');
                 gameState.gestureMode = false;
                 gestureToggle.classList.remove('active');
                 webcamContainer.classList.add('hidden');
@@ -413,12 +455,14 @@ function setupUIHandlers() {
         } else {
             webcamContainer.classList.add('hidden');
             gestureIndicator.classList.add('hidden');
-            instructionsText.textContent = 'Click and drag disks to move them between rods. Only smaller disks can be placed on larger ones!';
+            setInstructions('hanoi.instructions.mouse');
             instructions.classList.remove('gesture-mode');
             cursor3D.visible = false;
             document.getElementById('cursor-indicator').style.display = 'none';
 
-            if (camera2D) camera2D.stop();
+            if (frameSource) frameSource.stop();
+            handDepth.reset();
+            handEvents.reset();
             controls.enabled = true;
 
             if (gameState.selectedDisk) {
@@ -440,6 +484,7 @@ function setupUIHandlers() {
 function animate() {
     requestAnimationFrame(animate);
     controls.update();
+    placeDepthShadow(cursorShadow, cursor3D, CONFIG.cursorSurface);
     processAnimations(gameState);
     renderer.render(scene, camera);
 }
@@ -459,7 +504,7 @@ async function init() {
     );
 
     hands = mpResult.hands;
-    camera2D = mpResult.camera2D;
+    frameSource = mpResult.frameSource;
     mediaPipeReady = mpResult.mediaPipeReady;
     canvasCtx = mpResult.canvasCtx;
 
@@ -1,44 +1,45 @@
 /**
  * Tower of Hanoi - Gesture Control Module
+ *
+ * UI text goes through the global i18n instance (js/shared/i18n.js);
+ * camera input through the global WebcamSource (js/shared/frame-sources.js);
+ * the cursor's depth placement through the global depthCursorPoint (js/shared/hand-depth.js)
  */
 
-import * as THREE from 'three';
 import { CONFIG } from './config.js';
 import { getDiskRod, getNearestRod, getStackYPosition, isValidMove, moveDisk, animateDiskTo } from './disks.js';
+import { locateMediaPipeFile } from '../shared/mediapipe-utils.js';
 
 /**
  * Initialize MediaPipe
+ * @param {HTMLVideoElement} videoElement - Webcam preview element
+ * @param {Function} onResults - MediaPipe results handler
+ * @param {Function} updateLoadingText - Loading screen text setter
+ * @param {FrameSource} frameSource - Image input (default: WebcamSource on videoElement)
  */
-export async function initializeMediaPipe(videoElement, onResults, updateLoadingText) {
+export async function initializeMediaPipe(videoElement, onResults, updateLoadingText, frameSource = null) {
     const canvasElement = document.getElementById('webcam-canvas');
     const canvasCtx = canvasElement.getContext('2d');
     canvasElement.width = 320;
     canvasElement.height = 240;
 
-    let hands, camera2D;
+    let hands;
     let mediaPipeReady = false;
 
-    try {
-        if (updateLoadingText) updateLoadingText('Requesting camera access...');
+    frameSource = frameSource || new WebcamSource({ videoElement });
 
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: { width: 640, height: 480, facingMode: 'user' }
-        });
+    try {
+        if (updateLoadingText) updateLoadingText(i18n.t('camera.requesting'));
 
-        videoElement.srcObject = stream;
+        await frameSource.open();
 
-        await new Promise(resolve => {
-            videoElement.onloadedmetadata = () => {
-                videoElement.play();
-                resolve();
-            };
-        });
+        if (updateLoadingText) updateLoadingText(i18n.t('camera.initTracking'));
 
-        if (updateLoadingText) updateLoadingText('Initializing hand tracking...');
+        if (typeof AssetLoader !== 'undefined') {
+            await AssetLoader.load(['mediapipeHands']);
+        }
 
-        hands = new Hands({
-            locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`
-        });
+        hands = new Hands({ locateFile: locateMediaPipeFile });
 
         hands.setOptions({
             maxNumHands: 1,
@@ -49,33 +50,31 @@ export async function initializeMediaPipe(videoElement, onResults, updateLoading
 
         hands.onResults((results) => onResults(results, canvasCtx, canvasElement));
 
-        camera2D = new Camera(videoElement, {
-            onFrame: async () => {
-                if (hands) {
-                    await hands.send({ image: videoElement });
-                }
-            },
-            width: 640,
-            height: 480
+        frameSource.onFrame(async (frame) => {
+            if (hands) {
+                await hands.send({ image: frame.image });
+            }
         });
 
         mediaPipeReady = true;
-        if (updateLoadingText) updateLoadingText('Ready! ✓');
+        if (updateLoadingText) updateLoadingText(i18n.t('camera.ready'));
 
-        return { hands, camera2D, mediaPipeReady, canvasCtx };
+        return { hands, frameSource, mediaPipeReady, canvasCtx };
 
     } catch (error) {
         console.error('MediaPipe initialization error:', error);
 
-        if (error.name === 'NotAllowedError') {
-            if (updateLoadingText) updateLoadingText('Camera access denied. Using mouse mode.');
+        if (error.name === 'AssetLoadError') {
+            if (updateLoadingText) updateLoadingText(i18n.t('camera.assetError', { error: AssetLoader.describeError(error) }));
+        } else if (error.name === 'NotAllowedError') {
+            if (updateLoadingText) updateLoadingText(i18n.t('camera.denied'));
         } else if (error.name === 'NotFoundError') {
-            if (updateLoadingText) updateLoadingText('No camera found. Using mouse mode.');
+            if (updateLoadingText) updateLoadingText(i18n.t('camera.notFound'));
         } else {
-            if (updateLoadingText) updateLoadingText('Camera error. Using mouse mode.');
+            if (updateLoadingText) updateLoadingText(i18n.t('camera.error'));
         }
 
-        return { hands: null, camera2D: null, mediaPipeReady: false, canvasCtx };
+        return { hands: null, frameSource: null, mediaPipeReady: false, canvasCtx };
     }
 }
 
@@ -120,8 +119,10 @@ export function drawHandLandmarks(landmarks, canvas, ctx) {
 
 /**
  * Update 3D cursor position
+ * @param {number} depth - Hand push (+) / pull (-) in [-1, 1] (HandDepthEstimator); slides the
+ *   cursor along the view ray
  */
-export function updateCursor3D(gameState, mouse, camera, raycaster, cursor3D, pinchDistance) {
+export function updateCursor3D(gameState, mouse, camera, raycaster, cursor3D, pinchDistance, depth = 0) {
     const smoothX = gameState.smoothedHandPosition.x;
     const smoothY = gameState.smoothedHandPosition.y;
 
@@ -146,17 +147,21 @@ export function updateCursor3D(gameState, mouse, camera, raycaster, cursor3D, pi
     }
 
     raycaster.setFromCamera(mouse, camera);
-    const planeY = gameState.isDragging ? CONFIG.liftHeight : 0;
-    const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -planeY);
-    const intersection = new THREE.Vector3();
 
-    if (raycaster.ray.intersectPlane(plane, intersection)) {
-        cursor3D.position.lerp(intersection, 0.3);
-        cursor3D.position.y = planeY + 0.2;
+    // Pushing the hand toward the camera reaches into the scene, stopping at the base, the floor and the z limit
+    const point = depthCursorPoint(raycaster.ray, gameState.isDragging ? CONFIG.liftHeight : 0, depth, {
+        depthRange: CONFIG.depthRange,
+        depthLimit: CONFIG.depthLimit,
+        surface: CONFIG.cursorSurface,
+        clearance: CONFIG.cursorRadius
+    });
+
+    if (point) {
+        cursor3D.position.lerp(point, 0.3);
         cursor3D.visible = true;
 
-        gameState.targetDiskPosition.x = intersection.x;
-        gameState.targetDiskPosition.z = intersection.z;
+        gameState.targetDiskPosition.x = point.x;
+        gameState.targetDiskPosition.z = point.z;
     }
 }
 
@@ -174,11 +179,11 @@ export function updateGestureIndicator(isPinching, isDragging, pinchDistance) {
         if (isDragging) {
             gestureIcon.className = 'gesture-icon grabbing';
             gestureIcon.textContent = '🤏';
-            gestureText.textContent = 'Holding Disk';
+            gestureText.textContent = i18n.t('hanoi.gesture.holding');
         } else {
             gestureIcon.className = 'gesture-icon grabbing';
             gestureIcon.textContent = '🤏';
-            gestureText.textContent = 'Pinching';
+            gestureText.textContent = i18n.t('hanoi.gesture.pinching');
         }
     } else {
         cursorIndicator.classList.remove('grabbing');
@@ -188,90 +193,93 @@ export function updateGestureIndicator(isPinching, isDragging, pinchDistance) {
         if (pinchProgress > 0.7) {
             gestureIcon.className = 'gesture-icon ready';
             gestureIcon.textContent = '👌';
-            gestureText.textContent = 'Almost...';
+            gestureText.textContent = i18n.t('hanoi.gesture.almost');
         } else {
             gestureIcon.className = 'gesture-icon open';
             gestureIcon.textContent = '✋';
-            gestureText.textContent = 'Open Hand';
+            gestureText.textContent = i18n.t('hanoi.gesture.open');
         }
     }
 }
 
 /**
- * Handle gesture state changes
+ * Pick up the top disk under the cursor (pinchstart / grab)
  */
-export function handleGestureState(gameState, isPinching, raycaster, camera, mouse, DOM, showMessage, showDiskSelectionIndicator, hideDiskSelectionIndicator, startTimer) {
-    if (gameState.animations.length > 0) return;
-
-    // Pinch start
-    if (isPinching && !gameState.lastPinchState) {
-        raycaster.setFromCamera(mouse, camera);
-        const intersects = raycaster.intersectObjects(gameState.disks);
-
-        if (intersects.length > 0 && !gameState.isDragging) {
-            const disk = intersects[0].object;
-            const diskIndex = disk.userData.diskIndex;
-            const rodIndex = getDiskRod(gameState, diskIndex);
-            const topDiskIndex = gameState.rods[rodIndex][gameState.rods[rodIndex].length - 1];
-
-            if (diskIndex === topDiskIndex) {
-                gameState.selectedDisk = disk;
-                gameState.selectedDiskOriginalRod = rodIndex;
-                gameState.isDragging = true;
-
-                disk.material.emissiveIntensity = 0.8;
-                disk.scale.set(1.05, 1.1, 1.05);
-                disk.position.y = CONFIG.liftHeight;
-
-                showDiskSelectionIndicator(disk);
-                startTimer();
-            }
-        }
-    }
+export function pickUpDisk(gameState, raycaster, camera, mouse, showDiskSelectionIndicator, startTimer) {
+    if (gameState.animations.length > 0 || gameState.isDragging) return;
 
-    // Pinch release
-    if (!isPinching && gameState.lastPinchState) {
-        if (gameState.isDragging && gameState.selectedDisk) {
-            const disk = gameState.selectedDisk;
-            const diskIndex = disk.userData.diskIndex;
-            const diskSize = disk.userData.size;
-            const originalRod = gameState.selectedDiskOriginalRod;
-
-            const targetRod = getNearestRod(disk.position.x);
-
-            disk.material.emissiveIntensity = 0.1;
-            disk.scale.set(1, 1, 1);
-            hideDiskSelectionIndicator();
-
-            if (targetRod !== originalRod && isValidMove(gameState, diskSize, targetRod)) {
-                moveDisk(gameState, diskIndex, targetRod, true, DOM, showMessage);
-            } else if (targetRod !== originalRod) {
-                moveDisk(gameState, diskIndex, originalRod, false, DOM, showMessage);
-            } else {
-                const yPos = getStackYPosition(gameState, originalRod);
-                animateDiskTo(gameState, disk, CONFIG.rodPositions[originalRod], yPos);
-            }
+    raycaster.setFromCamera(mouse, camera);
+    const intersects = raycaster.intersectObjects(gameState.disks);
+    if (intersects.length === 0) return;
 
-            gameState.selectedDisk = null;
-            gameState.isDragging = false;
-        }
-    }
+    const disk = intersects[0].object;
+    const diskIndex = disk.userData.diskIndex;
+    const rodIndex = getDiskRod(gameState, diskIndex);
+    const topDiskIndex = gameState.rods[rodIndex][gameState.rods[rodIndex].length - 1];
 
-    // While pinching - move disk
-    if (isPinching && gameState.isDragging && gameState.selectedDisk) {
-        const disk = gameState.selectedDisk;
-        const followSpeed = gameState.DISK_FOLLOW_SPEED;
-        const targetX = gameState.targetDiskPosition.x;
-        const targetZ = gameState.targetDiskPosition.z;
+    if (diskIndex === topDiskIndex) {
+        gameState.selectedDisk = disk;
+        gameState.selectedDiskOriginalRod = rodIndex;
+        gameState.isDragging = true;
 
-        disk.position.x += (targetX - disk.position.x) * followSpeed;
-        disk.position.z += (targetZ - disk.position.z) * followSpeed;
+        disk.material.emissiveIntensity = 0.8;
+        disk.scale.set(1.05, 1.1, 1.05);
         disk.position.y = CONFIG.liftHeight;
 
-        const speed = Math.sqrt(
-            Math.pow(targetX - disk.position.x, 2) +
-            Math.pow(targetZ - disk.position.z, 2)
-        );
-        disk.material.emissiveIntensity = 0.5 + Math.min(speed * 0.5, 0.3);
+        showDiskSelectionIndicator(disk);
+        startTimer();
     }
 }
+
+/**
+ * Drop the held disk on the nearest rod, or send it back (pinchend / release)
+ * @param {boolean} cancelled - The hand was lost while holding: back to its rod
+ */
+export function dropDisk(gameState, DOM, showMessage, hideDiskSelectionIndicator, cancelled = false) {
+    if (!gameState.isDragging || !gameState.selectedDisk) return;
+
+    const disk = gameState.selectedDisk;
+    const diskIndex = disk.userData.diskIndex;
+    const diskSize = disk.userData.size;
+    const originalRod = gameState.selectedDiskOriginalRod;
+
+    const targetRod = cancelled ? originalRod : getNearestRod(disk.position.x);
+
+    disk.material.emissiveIntensity = 0.1;
+    disk.scale.set(1, 1, 1);
+    hideDiskSelectionIndicator();
+
+    if (targetRod !== originalRod && isValidMove(gameState, diskSize, targetRod)) {
+        moveDisk(gameState, diskIndex, targetRod, true, DOM, showMessage);
+    } else if (targetRod !== originalRod) {
+        moveDisk(gameState, diskIndex, originalRod, false, DOM, showMessage);
+    } else {
+        const yPos = getStackYPosition(gameState, originalRod);
+        animateDiskTo(gameState, disk, CONFIG.rodPositions[originalRod], yPos);
+    }
+
+    gameState.selectedDisk = null;
+    gameState.isDragging = false;
+}
+
+/**
+ * Move the held disk toward the cursor (every frame while dragging)
+ */
+export function followDraggedDisk(gameState) {
+    if (!gameState.isDragging || !gameState.selectedDisk) return;
+
+    const disk = gameState.selectedDisk;
+    const followSpeed = gameState.DISK_FOLLOW_SPEED;
+    const targetX = gameState.targetDiskPosition.x;
+    const targetZ = gameState.targetDiskPosition.z;
+
+    disk.position.x += (targetX - disk.position.x) * followSpeed;
+    disk.position.z += (targetZ - disk.position.z) * followSpeed;
+    disk.position.y = CONFIG.liftHeight;
+
+    const speed = Math.sqrt(
+        Math.pow(targetX - disk.position.x, 2) +
+        Math.pow(targetZ - disk.position.z, 2)
+    );
+    disk.material.emissiveIntensity = 0.5 + Math.min(speed * 0.5, 0.3);
+}
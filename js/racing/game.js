@@ -1,5 +1,10 @@
 /**
  * Racing Game - Main Game Logic
+ *
+ * UI text goes through the global i18n instance (js/shared/i18n.js);
+ * camera input through the global WebcamSource (js/shared/frame-sources.js),
+ * gestures through the global GestureEngine (js/shared/gesture-engine.js),
+ * hand IDs through the global HandIdentityTracker (js/shared/hand-identity.js)
  */
 
 import * as THREE from 'three';
@@ -7,6 +12,7 @@ import { CONFIG, createGameState, createGestureData } from './config.js';
 import { createTrack, createStarfield, updateRoadLines } from './track.js';
 import { createCar, updateCar } from './car.js';
 import { createObstacle, updateObstacles, checkCollision, removeObstacle, clearObstacles } from './obstacles.js';
+import { createLandmarkSmoother } from '../shared/mediapipe-utils.js';
 
 // ==================== GAME STATE ====================
 let gameState = createGameState();
@@ -19,8 +25,11 @@ let obstacles = [];
 let clock = new THREE.Clock();
 
 // ==================== MEDIAPIPE ====================
-let hands, processFrameId;
-let lastProcessTime = 0;
+let hands, frameSource;
+const handIdentity = new HandIdentityTracker();
+let steeringHandId = null;
+const gestureEngines = new Map(); // Keyed by stable hand ID, gestures keep per-hand timing
+const landmarkSmoother = createLandmarkSmoother();
 
 // ==================== AUDIO ====================
 let audioContext, engineOscillator, engineGain, bgmOscillator, bgmGain;
@@ -52,29 +61,29 @@ async function init() {
     cacheDOMElements();
 
     try {
-        updateLoading(10, 'Loading Three.js...');
+        updateLoading(10, i18n.t('loading.three'));
         initThreeJS();
 
-        updateLoading(40, 'Loading MediaPipe...');
+        updateLoading(40, i18n.t('loading.mediapipe'));
         await initMediaPipe();
 
-        updateLoading(70, 'Setting up audio...');
+        updateLoading(70, i18n.t('loading.audio'));
         initAudio();
 
-        updateLoading(90, 'Preparing game...');
+        updateLoading(90, i18n.t('loading.game'));
         setupEventListeners();
 
-        updateLoading(100, 'Ready!');
+        updateLoading(100, i18n.t('loading.ready'));
 
         setTimeout(() => {
             DOM.loadingScreen.classList.add('hidden');
             DOM.startMenu.style.display = 'flex';
-            DOM.highScoreDisplay.textContent = `🏆 High Score: ${gameState.highScore}`;
+            DOM.highScoreDisplay.textContent = i18n.t('racing.highScore', { score: i18n.formatNumber(gameState.highScore) });
         }, 500);
 
     } catch (error) {
         console.error('Initialization error:', error);
-        DOM.loadingText.textContent = 'Error loading game. Please refresh.';
+        DOM.loadingText.textContent = i18n.t('loading.error');
     }
 }
 
@@ -177,37 +186,30 @@ async function initMediaPipe() {
 }
 
 async function startCamera() {
-    try {
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: { width: 640, height: 480, facingMode: 'user' }
-        });
-        DOM.webcam.srcObject = stream;
-
-        await new Promise(resolve => {
-            DOM.webcam.onloadedmetadata = resolve;
+    if (!frameSource) {
+        frameSource = new WebcamSource({
+            videoElement: DOM.webcam,
+            minInterval: CONFIG.processInterval
         });
+        frameSource.onFrame(processFrame);
+    }
 
-        processFrame();
+    try {
+        await frameSource.start();
     } catch (error) {
         console.error('Camera error:', error);
-        DOM.gestureIndicator.textContent = 'Camera Error';
+        DOM.gestureIndicator.textContent = i18n.t('racing.cameraError');
     }
 }
 
-async function processFrame() {
+async function processFrame(frame) {
     if (!gameState.isPlaying) return;
 
-    const now = performance.now();
-    if (now - lastProcessTime >= CONFIG.processInterval) {
-        lastProcessTime = now;
-        try {
-            await hands.send({ image: DOM.webcam });
-        } catch (error) {
-            console.error('Hand detection error:', error);
-        }
+    try {
+        await hands.send({ image: frame.image });
+    } catch (error) {
+        console.error('Hand detection error:', error);
     }
-
-    processFrameId = requestAnimationFrame(processFrame);
 }
 
 function onHandResults(results) {
@@ -215,46 +217,59 @@ function onHandResults(results) {
         if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
             gestureData.handsDetected = true;
 
-            let totalSteering = 0;
             let isOpen = false;
             let isClosed = false;
 
-            results.multiHandLandmarks.forEach((landmarks) => {
-                const wrist = landmarks[0];
-                const middleBase = landmarks[9];
+            const { hands: trackedHands, lost } = handIdentity.update(
+                results.multiHandLandmarks,
+                results.multiHandedness
+            );
+            lost.forEach(id => {
+                gestureEngines.delete(id);
+                if (landmarkSmoother) landmarkSmoother.forget(id);
+            });
 
-                const handCenter = (wrist.x + middleBase.x) / 2;
-                const tilt = middleBase.x - wrist.x;
-                totalSteering -= (handCenter - 0.5) * 2 + tilt * 3;
+            // One hand steers until it leaves, then the longest-tracked hand takes over
+            if (!trackedHands.some(hand => hand.id === steeringHandId)) {
+                steeringHandId = Math.min(...trackedHands.map(hand => hand.id));
+            }
+
+            trackedHands.forEach(({ id, landmarks: rawLandmarks }) => {
+                // Steering and fist/palm detection both read the smoothed hand
+                const landmarks = landmarkSmoother ? landmarkSmoother.smooth(id, rawLandmarks) : rawLandmarks;
 
-                const fingerTips = [8, 12, 16, 20];
-                const fingerBases = [5, 9, 13, 17];
+                if (id === steeringHandId) {
+                    const wrist = landmarks[0];
+                    const middleBase = landmarks[9];
+                    const handCenter = (wrist.x + middleBase.x) / 2;
+                    const tilt = middleBase.x - wrist.x;
+                    gestureData.steering = Math.max(-1, Math.min(1, -((handCenter - 0.5) * 2 + tilt * 3)));
+                }
 
-                let openFingers = 0;
-                fingerTips.forEach((tipIdx, i) => {
-                    if (landmarks[tipIdx].y < landmarks[fingerBases[i]].y) {
-                        openFingers++;
-                    }
-                });
+                if (!gestureEngines.has(id)) gestureEngines.set(id, new GestureEngine());
+                const engine = gestureEngines.get(id);
+                engine.update(landmarks);
 
-                if (openFingers >= 3) isOpen = true;
-                if (openFingers <= 1) isClosed = true;
+                if (engine.isActive('open_palm')) isOpen = true;
+                if (engine.isActive('fist')) isClosed = true;
             });
 
-            gestureData.steering = Math.max(-1, Math.min(1, totalSteering / results.multiHandLandmarks.length));
             gestureData.isAccelerating = isOpen && !isClosed;
             gestureData.isBraking = isClosed;
 
             if (gestureData.isBraking) {
-                DOM.gestureIndicator.textContent = '✊ Braking';
+                DOM.gestureIndicator.textContent = i18n.t('racing.gesture.braking');
             } else if (gestureData.isAccelerating) {
-                DOM.gestureIndicator.textContent = '✋ Accelerating';
+                DOM.gestureIndicator.textContent = i18n.t('racing.gesture.accelerating');
             } else {
-                DOM.gestureIndicator.textContent = '🖐️ Coasting';
+                DOM.gestureIndicator.textContent = i18n.t('racing.gesture.coasting');
             }
         } else {
             gestureData.handsDetected = false;
-            DOM.gestureIndicator.textContent = '❓ No hands';
+            handIdentity.update([], []).lost.forEach(id => gestureEngines.delete(id));
+            gestureEngines.forEach(engine => engine.reset());
+            if (landmarkSmoother) landmarkSmoother.reset();
+            DOM.gestureIndicator.textContent = i18n.t('racing.gesture.noHands');
         }
     } catch (error) {
         console.error('Gesture processing error:', error);
@@ -371,12 +386,12 @@ function endGame() {
         localStorage.setItem('handRacingHighScore', gameState.score.toString());
     }
 
-    DOM.finalScore.textContent = Math.floor(gameState.score);
+    DOM.finalScore.textContent = i18n.formatNumber(Math.floor(gameState.score));
     DOM.newHighScore.style.display = isNewHighScore ? 'block' : 'none';
     DOM.gameOverScreen.style.display = 'flex';
 
-    if (DOM.webcam.srcObject) {
-        DOM.webcam.srcObject.getTracks().forEach(track => track.stop());
+    if (frameSource) {
+        frameSource.stop();
     }
 }
 
@@ -426,8 +441,8 @@ function animate() {
     gameState.score += gameState.speed * diffSettings.scoreMultiplier * 0.5;
 
     // Update HUD
-    DOM.scoreValue.textContent = Math.floor(gameState.score);
-    DOM.speedValue.textContent = Math.floor(gameState.speed * 100) + ' km/h';
+    DOM.scoreValue.textContent = i18n.formatNumber(Math.floor(gameState.score));
+    DOM.speedValue.textContent = i18n.t('racing.speedValue', { speed: i18n.formatNumber(Math.floor(gameState.speed * 100)) });
 
     // Update engine sound
     updateEngineSound();
@@ -458,7 +473,7 @@ function setupEventListeners() {
         DOM.hud.style.display = 'none';
         DOM.webcamContainer.style.display = 'none';
         DOM.audioToggle.style.display = 'none';
-        DOM.highScoreDisplay.textContent = `🏆 High Score: ${gameState.highScore}`;
+        DOM.highScoreDisplay.textContent = i18n.t('racing.highScore', { score: i18n.formatNumber(gameState.highScore) });
     });
 
     DOM.audioToggle.addEventListener('click', () => {
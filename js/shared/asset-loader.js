@@ -0,0 +1,279 @@
+/**
+ * AssetLoader - Self-hosted third-party scripts with CDN fallback
+ *
+ * Loads Three.js and MediaPipe from the local `vendor/` directory first and
+ * only falls back to the public CDNs when a local copy is missing, so the
+ * games start on machines without network access.
+ *
+ * The base path defaults to `vendor/` at the project root (resolved from this
+ * script's own URL). Override it with a `data-asset-base` attribute on the
+ * script tag or with AssetLoader.configure({ basePath }).
+ *
+ * Usage:
+ *   <script src="../js/shared/asset-loader.js"></script>
+ *   AssetLoader.load(['three', 'mediapipeHands']).then(init).catch(showError);
+ *   new Hands({ locateFile: (file) => AssetLoader.locateFile('mediapipeHands', file) });
+ */
+
+const VENDOR_ASSETS = {
+    three: {
+        label: 'Three.js',
+        global: 'THREE',
+        local: 'three/three.min.js',
+        cdn: 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js'
+    },
+    orbitControls: {
+        label: 'Three.js OrbitControls',
+        global: 'THREE.OrbitControls',
+        local: 'three/OrbitControls.js',
+        cdn: 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/controls/OrbitControls.js'
+    },
+    mediapipeHands: {
+        label: 'MediaPipe Hands',
+        global: 'Hands',
+        local: 'mediapipe/hands/hands.js',
+        cdn: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands/hands.js'
+    },
+    cameraUtils: {
+        label: 'MediaPipe Camera Utils',
+        global: 'Camera',
+        local: 'mediapipe/camera_utils/camera_utils.js',
+        cdn: 'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils/camera_utils.js'
+    },
+    // ES module builds (import map targets), probed with fetch instead of a script tag
+    // (local copies on file: pages are used unprobed, see probe())
+    threeModule: {
+        label: 'Three.js (module)',
+        module: true,
+        local: 'three-module/three.module.js',
+        cdn: 'https://unpkg.com/three@0.160.0/build/three.module.js'
+    },
+    threeAddons: {
+        label: 'Three.js addons',
+        module: true,
+        probe: 'controls/OrbitControls.js',
+        local: 'three-module/addons/',
+        cdn: 'https://unpkg.com/three@0.160.0/examples/jsm/'
+    }
+};
+
+/**
+ * Raised when every source of an asset failed
+ */
+class AssetLoadError extends Error {
+    /**
+     * @param {string} name - Asset key
+     * @param {Array<string>} attempts - URLs tried, in order
+     */
+    constructor(name, attempts) {
+        const label = VENDOR_ASSETS[name] ? VENDOR_ASSETS[name].label : name;
+        super(`Failed to load ${label} (tried: ${attempts.join(', ') || 'no sources'})`);
+        this.name = 'AssetLoadError';
+        this.asset = name;
+        this.label = label;
+        this.attempts = attempts;
+    }
+}
+
+const AssetLoader = (() => {
+    const script = document.currentScript;
+    const scriptUrl = script ? script.src : window.location.href;
+
+    const config = {
+        basePath: (script && script.dataset.assetBase) || new URL('../../vendor/', scriptUrl).href,
+        sources: ['local', 'cdn'],
+        timeout: 15000
+    };
+
+    // name -> Promise of the URL that worked, and the settled URLs
+    const loaded = {};
+    const resolved = {};
+
+    function resolveGlobal(path) {
+        return path.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), window);
+    }
+
+    function candidateUrls(asset) {
+        return config.sources
+            .map(source => {
+                if (source === 'local') return new URL(asset.local, new URL(config.basePath, window.location.href)).href;
+                if (source === 'cdn') return asset.cdn;
+                return null;
+            })
+            .filter(Boolean);
+    }
+
+    function injectScript(url) {
+        return new Promise((resolve, reject) => {
+            const tag = document.createElement('script');
+            const timer = setTimeout(() => {
+                tag.remove();
+                reject(new Error(`Timed out: ${url}`));
+            }, config.timeout);
+
+            tag.src = url;
+            tag.onload = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            tag.onerror = () => {
+                clearTimeout(timer);
+                tag.remove();
+                reject(new Error(`Not found: ${url}`));
+            };
+            document.head.appendChild(tag);
+        });
+    }
+
+    async function probe(url) {
+        // fetch() can't read file: URLs, and importing the module instead would run before
+        // the import map exists; the page's own copy is trusted and fails loudly if missing
+        if (new URL(url).protocol === 'file:') return;
+
+        let response = await fetch(url, { method: 'HEAD' });
+        // Some static servers only answer GET
+        if (response.status === 405 || response.status === 501) response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${url}`);
+    }
+
+    async function loadOne(name) {
+        const asset = VENDOR_ASSETS[name];
+        if (!asset) throw new AssetLoadError(name, []);
+
+        // Already on the page (e.g. a hard-coded script tag)
+        if (asset.global && resolveGlobal(asset.global)) {
+            const fileName = asset.local.split('/').pop();
+            const tag = Array.from(document.scripts).find(s => s.src.endsWith('/' + fileName));
+            return tag ? tag.src : null;
+        }
+
+        const attempts = [];
+        for (const url of candidateUrls(asset)) {
+            attempts.push(url);
+            try {
+                if (asset.module) {
+                    await probe(asset.probe ? new URL(asset.probe, url).href : url);
+                } else {
+                    await injectScript(url);
+                    if (asset.global && !resolveGlobal(asset.global)) {
+                        throw new Error(`${asset.global} missing after ${url}`);
+                    }
+                }
+                return url;
+            } catch (error) {
+                console.warn(`Asset ${name}: ${error.message}`);
+            }
+        }
+
+        throw new AssetLoadError(name, attempts);
+    }
+
+    return {
+        assets: VENDOR_ASSETS,
+        AssetLoadError,
+
+        /**
+         * Change loader settings (call before load())
+         * @param {Object} options
+         * @param {string} options.basePath - Directory containing the vendor files
+         * @param {Array<string>} options.sources - Fallback order (default: ['local', 'cdn'])
+         * @param {boolean} options.cdnFallback - false = local files only
+         * @param {number} options.timeout - ms before a script load counts as failed (default: 15000)
+         */
+        configure(options = {}) {
+            if (options.basePath) config.basePath = options.basePath;
+            if (options.sources) config.sources = options.sources;
+            if (options.cdnFallback === false) config.sources = config.sources.filter(s => s !== 'cdn');
+            if (options.timeout) config.timeout = options.timeout;
+        },
+
+        /**
+         * Load assets in order (later ones may depend on earlier ones)
+         * @param {Array<string>} names - Keys of VENDOR_ASSETS
+         * @param {Function} onProgress - (label, index, total) => void
+         * @returns {Promise<Object>} name -> URL actually used
+         */
+        async load(names, onProgress = null) {
+            const urls = {};
+            for (let i = 0; i < names.length; i++) {
+                const name = names[i];
+                if (onProgress) onProgress(VENDOR_ASSETS[name] ? VENDOR_ASSETS[name].label : name, i, names.length);
+                if (!loaded[name]) {
+                    loaded[name] = loadOne(name);
+                    // Allow a retry after a failure
+                    loaded[name].catch(() => delete loaded[name]);
+                }
+                urls[name] = resolved[name] = await loaded[name];
+            }
+            return urls;
+        },
+
+        /**
+         * URL of a file next to a loaded asset (MediaPipe's locateFile)
+         * @param {string} name - Asset key, e.g. 'mediapipeHands'
+         * @param {string} file - File name requested by the library
+         * @returns {string}
+         */
+        locateFile(name, file) {
+            const url = this.resolvedUrl(name) || candidateUrls(VENDOR_ASSETS[name])[0];
+            return new URL(file, url).href;
+        },
+
+        /**
+         * URL an asset was loaded from (null if not loaded through the loader)
+         * @param {string} name
+         * @returns {string|null}
+         */
+        resolvedUrl(name) {
+            return resolved[name] || null;
+        },
+
+        /**
+         * Install an import map whose targets are resolved with the same fallback order
+         * @param {Object} imports - Specifier -> asset key, e.g. { three: 'threeModule' }
+         */
+        async installImportMap(imports) {
+            const names = Object.values(imports);
+            const urls = await this.load(names);
+
+            const map = { imports: {} };
+            Object.entries(imports).forEach(([specifier, name]) => {
+                map.imports[specifier] = urls[name];
+            });
+
+            const tag = document.createElement('script');
+            tag.type = 'importmap';
+            tag.textContent = JSON.stringify(map);
+            document.head.appendChild(tag);
+        },
+
+        /**
+         * Run an inline module that was held back with type="text/deferred-module"
+         * (module scripts must not start before the import map exists)
+         * @param {HTMLScriptElement} deferred
+         */
+        runModule(deferred) {
+            const tag = document.createElement('script');
+            tag.type = 'module';
+            tag.textContent = deferred.textContent;
+            document.body.appendChild(tag);
+        },
+
+        /**
+         * Loading-screen text for a failed load
+         * @param {Error} error
+         * @returns {string}
+         */
+        describeError(error) {
+            if (error instanceof AssetLoadError) {
+                return `Could not load ${error.label}. Check that vendor files are installed ` +
+                    `or the network is reachable (tried: ${error.attempts.join(', ')}).`;
+            }
+            return 'Error loading game. Please refresh.';
+        }
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AssetLoader, AssetLoadError, VENDOR_ASSETS };
+}
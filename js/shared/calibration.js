@@ -1,121 +1,477 @@
 /**
  * CalibrationManager - Personalized Gesture Calibration System
- * 
- * Collects user-specific measurements to optimize gesture recognition:
- * - Hand size (scale factor)
- * - Pinch threshold (personalized)
- * - Steering range (max tilt angle)
- * 
- * Uses localStorage to persist calibration data.
+ *
+ * Calibration is a list of steps. Each step is a plugin registered by name:
+ *
+ *   {
+ *     id: 'pinch',
+ *     instruction: 'calibration.step.pinch',     // i18n key (or literal text) shown while the step runs
+ *     duration: 3000,                            // ms of sampling
+ *     guide: 'neutral',                          // optional hint for the game's visual guide
+ *     minSamples: 15,                            // fewer = hand wasn't visible, step is retried
+ *     collect(landmarks, manager) => sample      // one sample per frame (null/undefined = skip)
+ *     measure(sample) => number                  // optional: value used for outlier rejection
+ *     validate(samples, results) => true | 'reason'  // reject unusable measurements (step is retried);
+ *                                                    // the reason is an i18n key or literal text
+ *     reduce(samples) => { ...values }           // stored as result[step.id]
+ *   }
+ *
+ * Samples whose measure is more than 3 MADs from the median are dropped before
+ * validate/reduce, and every step gets a quality score (0-1) from how many
+ * samples arrived and how many survived.
+ *
+ * Each game declares the steps it needs (see CALIBRATION_PROFILES), and the
+ * result is a keyed record: { calibrated, timestamp, steps, quality,
+ * results: { [stepId]: { ...values, quality, sampleCount } } }.
+ *
+ * Adaptive mode (options.adaptive) keeps following the player during play:
+ * observe() nudges hand scale and pinch distances toward confident in-game
+ * samples with a slow EMA, bounded around the stored values. The stored
+ * record is only changed by commitAdaptation(). Games that read palm size as
+ * input (hand-depth.js push/pull) observe with `size: false`, so a deliberate
+ * push isn't taken for the hand scale drifting.
+ *
+ * Uses localStorage to persist calibration data, or the active player's
+ * profile when a PlayerProfileStore is passed (player-profiles.js).
+ *
+ * With a TrackingDiagnostics (tracking-diagnostics.js) the wizard gets its
+ * readings through onDiagnostics/onProgress, and "no hand" failures name the
+ * likely cause (too dark, out of frame...) instead of a generic message.
  */
 
+/**
+ * Text through the shared i18n instance when the page loaded i18n.js
+ * (keys pass through unchanged otherwise, as do literal texts)
+ */
+function calibrationText(key, params = {}) {
+    return typeof i18n !== 'undefined' ? i18n.t(key, params) : key;
+}
+
+/**
+ * Value at a fraction of a sorted copy of the list (0 = min, 1 = max)
+ */
+function calibrationPercentile(values, fraction) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+function calibrationMedian(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Drop samples further than `threshold` scaled MADs from the median
+ * @param {Array} samples
+ * @param {Function} measure - sample => number
+ * @param {number} threshold - In standard deviations (default: 3)
+ * @returns {Array} Inliers (all samples when the spread is zero)
+ */
+function rejectOutliers(samples, measure, threshold = 3) {
+    const values = samples.map(measure);
+    const median = calibrationMedian(values);
+    // 1.4826 makes the MAD comparable to a standard deviation for normal noise
+    const mad = 1.4826 * calibrationMedian(values.map(v => Math.abs(v - median)));
+    if (mad === 0) return samples.filter((_, i) => values[i] === median);
+    return samples.filter((_, i) => Math.abs(values[i] - median) <= threshold * mad);
+}
+
+/**
+ * Raised when calibration cannot finish (no hand, bad samples, cancelled)
+ */
+class CalibrationError extends Error {
+    /**
+     * @param {string} reason - 'noHand', 'invalid' or 'cancelled'
+     * @param {string} message
+     * @param {string} step - Step id, when a step failed
+     */
+    constructor(reason, message, step = null) {
+        super(message);
+        this.name = 'CalibrationError';
+        this.reason = reason;
+        this.step = step;
+    }
+}
+
+/**
+ * Steering tilt of a hand, same sign as the games' steering (-1 left ... 1 right)
+ */
+function steeringTilt(landmarks) {
+    return -(landmarks[9].x - landmarks[0].x);
+}
+
+/**
+ * Built-in steps
+ */
+const CALIBRATION_STEPS = {
+    // Hand size at rest (distance scale)
+    relax: {
+        instruction: 'calibration.step.relax',
+        duration: 3000,
+        collect: (landmarks, manager) => ({
+            handSize: manager.measureHandSize(landmarks),
+            palmSize: manager.measurePalmSize(landmarks)
+        }),
+        measure: (sample) => sample.handSize,
+        validate: (samples) => {
+            const handSize = calibrationMedian(samples.map(s => s.handSize));
+            return (handSize > 0.05 && handSize < 0.6) || 'calibration.error.handDistance';
+        },
+        reduce: (samples) => {
+            const handSize = calibrationMedian(samples.map(s => s.handSize));
+            return {
+                handSize,
+                // Wrist to middle knuckle: unlike handSize it doesn't change when fingers curl
+                palmSize: calibrationMedian(samples.map(s => s.palmSize)),
+                handScale: Math.max(0.5, Math.min(2.0, 0.25 / handSize))
+            };
+        }
+    },
+
+    // Closed pinch distance
+    pinch: {
+        instruction: 'calibration.step.pinch',
+        duration: 3000,
+        collect: (landmarks, manager) => manager.measurePinchDistance(landmarks) || null,
+        validate: (samples) => calibrationMedian(samples) < 0.12 || 'calibration.error.pinchClosed',
+        reduce: (samples) => ({ closedDistance: calibrationMedian(samples) })
+    },
+
+    // Open (released) pinch distance, so the threshold can sit between the two
+    pinchOpen: {
+        instruction: 'calibration.step.pinchOpen',
+        duration: 3000,
+        collect: (landmarks, manager) => manager.measurePinchDistance(landmarks) || null,
+        validate: (samples, results) => {
+            const closed = results.pinch ? results.pinch.closedDistance : 0.03;
+            return calibrationMedian(samples) > closed * 1.5 || 'calibration.error.pinchOpen';
+        },
+        reduce: (samples) => ({ openDistance: calibrationMedian(samples) })
+    },
+
+    // Area the index finger comfortably covers, plus the hand-size range while moving (depth)
+    reach: {
+        instruction: 'calibration.step.reach',
+        duration: 5000,
+        minSamples: 30,
+        // Sweeping the whole area is the point: only drop depth glitches
+        measure: (sample) => sample.handSize,
+        collect: (landmarks, manager) => ({
+            x: 1 - landmarks[8].x, // Mirrored like the cursor
+            y: landmarks[8].y,
+            handSize: manager.measureHandSize(landmarks)
+        }),
+        validate: (samples) => {
+            const xs = samples.map(s => s.x), ys = samples.map(s => s.y);
+            const width = calibrationPercentile(xs, 0.95) - calibrationPercentile(xs, 0.05);
+            const height = calibrationPercentile(ys, 0.95) - calibrationPercentile(ys, 0.05);
+            return (width > 0.15 && height > 0.15) || 'calibration.error.reach';
+        },
+        reduce: (samples) => {
+            const xs = samples.map(s => s.x), ys = samples.map(s => s.y);
+            const sizes = samples.map(s => s.handSize).filter(s => s > 0);
+            return {
+                minX: calibrationPercentile(xs, 0.05),
+                maxX: calibrationPercentile(xs, 0.95),
+                minY: calibrationPercentile(ys, 0.05),
+                maxY: calibrationPercentile(ys, 0.95),
+                minHandSize: calibrationPercentile(sizes, 0.05),
+                maxHandSize: calibrationPercentile(sizes, 0.95)
+            };
+        }
+    },
+
+    tiltLeft: {
+        instruction: 'calibration.step.tiltLeft',
+        duration: 3000,
+        guide: 'left',
+        collect: (landmarks) => steeringTilt(landmarks),
+        validate: (samples) => calibrationMedian(samples) < 0 || 'calibration.error.tiltLeft',
+        reduce: (samples) => CalibrationManager.reduceTilt(samples, -1)
+    },
+
+    tiltRight: {
+        instruction: 'calibration.step.tiltRight',
+        duration: 3000,
+        guide: 'right',
+        collect: (landmarks) => steeringTilt(landmarks),
+        validate: (samples) => calibrationMedian(samples) > 0 || 'calibration.error.tiltRight',
+        reduce: (samples) => CalibrationManager.reduceTilt(samples, 1)
+    }
+};
+
+/**
+ * Steps each game asks for
+ */
+const CALIBRATION_PROFILES = {
+    hanoi: ['relax', 'pinch', 'pinchOpen', 'reach'],
+    racing: ['relax', 'tiltLeft', 'tiltRight']
+};
+
 class CalibrationManager {
+    /**
+     * @param {Object} options
+     * @param {string} options.storageKey - localStorage key, or profile calibration key (default: 'gestureCalibration')
+     * @param {PlayerProfileStore} options.profiles - Store calibration per player; reloaded on profile switch
+     * @param {Array<string|Object>} options.steps - Step ids or step objects, in order (default: relax, pinch, tiltLeft, tiltRight)
+     * @param {Object} options.registry - Extra steps by id, merged over the built-in ones
+     * @param {number} options.stepDuration - Default ms per step (default: 3000)
+     * @param {number} options.handTimeout - ms to wait for a hand before giving up (default: 10000)
+     * @param {Function} options.sendFrame - async () => void; pumps frames to MediaPipe during
+     *   calibration when the game loop isn't running
+     * @param {number} options.minSamples - Default samples a step needs (default: 15)
+     * @param {number} options.maxRetries - Retries per step before giving up (default: 2)
+     * @param {number} options.outlierThreshold - MADs from the median before a sample is dropped (default: 3)
+     * @param {Function} options.onStep - ({ step, instruction, duration, guide, index, total, attempt, retry, reason }) => void;
+     *   `retry` is set when a step starts over, with `reason` 'noHand' or 'invalid'
+     * @param {Function} options.onProgress - ({ step, progress, samples, attempt, handDetected, diagnostics }) => void
+     * @param {Function} options.onHandStatus - (detected) => void
+     * @param {TrackingDiagnostics} options.diagnostics - Tracking-quality readings for the wizard
+     * @param {Function} options.onDiagnostics - ({ readings, hint }) => void, called while calibrating
+     *   when the reported tracking issues change (hint is null once they're gone)
+     * @param {Function} options.onComplete - (calibration) => void
+     * @param {boolean} options.adaptive - Keep adapting to the player during play via observe() (default: false)
+     * @param {number} options.adaptRate - EMA weight of one in-game sample (default: 0.02)
+     * @param {Array<number>} options.adaptBounds - [min, max] adapted value as a fraction of the stored one (default: [0.6, 1.6])
+     * @param {number} options.adaptAmbiguity - Pinch distances within this fraction of the threshold
+     *   are ambiguous and never adapted on (default: 0.35)
+     * @param {number} options.adaptMinConfidence - Minimum MediaPipe handedness score (default: 0.8)
+     * @param {number} options.divergenceThreshold - Relative drift that counts as diverged (default: 0.25)
+     * @param {Function} options.onDivergence - ({ diverged, handScale, pinchThreshold, max }) => void,
+     *   called when the adapted values start or stop diverging from the stored ones
+     */
     constructor(options = {}) {
         this.storageKey = options.storageKey || 'gestureCalibration';
         this.onProgress = options.onProgress || (() => { });
         this.onComplete = options.onComplete || (() => { });
         this.onStep = options.onStep || (() => { });
+        this.onHandStatus = options.onHandStatus || (() => { });
+        this.diagnostics = options.diagnostics || null;
+        this.onDiagnostics = options.onDiagnostics || (() => { });
+        this.sendFrame = options.sendFrame || null;
+        this.profiles = options.profiles || null;
+
+        // Step registry: built-ins, then the game's own
+        this.registry = {};
+        Object.entries({ ...CALIBRATION_STEPS, ...(options.registry || {}) }).forEach(([id, step]) => {
+            this.registerStep(id, step);
+        });
 
-        // Default calibration values
+        // Default calibration values (used until a step has produced its own)
         this.defaults = {
             handScale: 1.0,
             pinchThreshold: 0.06,
-            maxSteeringAngle: 0.3,
-            calibrated: false,
-            timestamp: null
-        };
-
-        // Measurement buffers
-        this.measurements = {
-            handSizes: [],
-            pinchDistances: [],
-            steeringAngles: []
+            maxSteeringAngle: 0.3
         };
 
         // Calibration state
-        this.currentStep = 0;
-        this.steps = ['relax', 'pinch', 'steer'];
-        this.stepDuration = 3000; // 3 seconds per step
+        this.steps = options.steps || ['relax', 'pinch', 'tiltLeft', 'tiltRight'];
+        this.stepDuration = options.stepDuration || 3000; // 3 seconds per step
+        this.handTimeout = options.handTimeout || 10000;
+        this.minSamples = options.minSamples || 15;
+        this.maxRetries = options.maxRetries ?? 2;
+        this.outlierThreshold = options.outlierThreshold || 3;
+
+        // Adaptive mode
+        this.adaptive = !!options.adaptive;
+        this.adaptRate = options.adaptRate || 0.02;
+        this.adaptBounds = options.adaptBounds || [0.6, 1.6];
+        this.adaptAmbiguity = options.adaptAmbiguity ?? 0.35;
+        this.adaptMinConfidence = options.adaptMinConfidence ?? 0.8;
+        this.divergenceThreshold = options.divergenceThreshold || 0.25;
+        this.onDivergence = options.onDivergence || (() => { });
+        this.adapted = null;
+        this.diverged = false;
+        this.currentStep = null;
+        this.samples = [];
         this.isCalibrating = false;
+        this.handDetected = false;
 
         // Load saved calibration
         this.calibration = this.load();
+        this.resetAdaptation();
+
+        // Another player took over: their calibration applies from now on
+        if (this.profiles) {
+            let activeId = this.profiles.getActive().id;
+            this.profiles.subscribe((profile) => {
+                if (profile.id === activeId) return;
+                activeId = profile.id;
+                this.cancel();
+                this.calibration = this.load();
+                this.resetAdaptation();
+            });
+        }
+    }
+
+    /**
+     * Register (or replace) a step plugin
+     * @param {string} id
+     * @param {Object} step - { instruction, duration, guide, minSamples, collect, measure, validate, reduce }
+     */
+    registerStep(id, step) {
+        if (typeof step.collect !== 'function' || typeof step.reduce !== 'function') {
+            throw new Error(`Calibration step "${id}" needs collect() and reduce()`);
+        }
+        this.registry[id] = { validate: () => true, ...step, id };
     }
 
     /**
      * Start calibration wizard
-     * @returns {Promise} Resolves with calibration data
+     * @param {Object} options
+     * @param {Array<string|Object>} options.steps - Override the configured steps for this run
+     * @param {Function} options.sendFrame - Override the frame pump for this run
+     * @returns {Promise<Object>} Resolves with the calibration record
      */
-    async start() {
+    async start(options = {}) {
+        const steps = (options.steps || this.steps).map(step => this._resolveStep(step));
+        const sendFrame = options.sendFrame || this.sendFrame;
+
         this.isCalibrating = true;
-        this.currentStep = 0;
-        this.measurements = { handSizes: [], pinchDistances: [], steeringAngles: [] };
+        this.handDetected = false;
+        const results = {};
+        const pump = sendFrame ? this._pumpFrames(sendFrame) : null;
+
+        // Forward tracking issues to the wizard while it runs
+        const unsubscribe = this.diagnostics
+            ? this.diagnostics.subscribe(readings => this.onDiagnostics({ readings, hint: this.diagnostics.getHint() }))
+            : null;
+        if (this.diagnostics) this.onDiagnostics({ readings: this.diagnostics.getReadings(), hint: this.diagnostics.getHint() });
 
         try {
-            // Step 1: Relaxed hand - measure hand size
-            await this.runStep('relax', 'Thả lỏng tay trước camera', (landmarks) => {
-                const handSize = this.measureHandSize(landmarks);
-                if (handSize > 0) this.measurements.handSizes.push(handSize);
-            });
+            // Wait for a hand before the first step
+            this.onStep({ step: 'detect', instruction: calibrationText('calibration.detect'), duration: this.handTimeout, index: -1, total: steps.length });
+            await this._waitForHand();
 
-            // Step 2: Pinch - measure pinch threshold
-            await this.runStep('pinch', 'Nắm ngón cái và trỏ lại', (landmarks) => {
-                const pinchDist = this.measurePinchDistance(landmarks);
-                if (pinchDist > 0) this.measurements.pinchDistances.push(pinchDist);
-            });
+            for (let index = 0; index < steps.length; index++) {
+                results[steps[index].id] = await this._runStepWithRetry(steps[index], index, steps.length, results);
+            }
 
-            // Step 3: Steer - measure max steering angle
-            await this.runStep('steer', 'Nghiêng tay trái/phải hết cỡ', (landmarks) => {
-                const angle = this.measureSteeringAngle(landmarks);
-                this.measurements.steeringAngles.push(Math.abs(angle));
-            });
+            // Keep results of steps this run didn't repeat (e.g. another game's steps)
+            const previous = this.calibration.calibrated ? this.calibration.results : {};
+            const result = {
+                calibrated: true,
+                timestamp: Date.now(),
+                steps: steps.map(step => step.id),
+                quality: Math.min(...Object.values(results).map(r => r.quality)),
+                results: { ...previous, ...results }
+            };
 
-            // Calculate final calibration
-            const result = this.calculateCalibration();
             this.calibration = result;
             this.save(result);
-
-            this.isCalibrating = false;
+            this.resetAdaptation();
             this.onComplete(result);
 
             return result;
-
-        } catch (error) {
+        } finally {
             this.isCalibrating = false;
-            throw error;
+            this.currentStep = null;
+            if (unsubscribe) unsubscribe();
+            if (pump) await pump;
         }
     }
 
+    /**
+     * Stop a running calibration (start() rejects with reason 'cancelled')
+     */
+    cancel() {
+        this.isCalibrating = false;
+    }
+
     /**
      * Run a single calibration step
+     * @param {Object} step
+     * @param {number} index - Position in the run (for onStep)
+     * @param {number} total - Steps in the run (for onStep)
+     * @param {number} attempt - 0 for the first try
+     * @returns {Promise<Array>} Samples collected
      */
-    runStep(stepName, instruction, measureFn) {
-        return new Promise((resolve) => {
-            this.onStep({ step: stepName, instruction, duration: this.stepDuration });
+    runStep(step, index = 0, total = 1, attempt = 0) {
+        const duration = step.duration || this.stepDuration;
+
+        return new Promise((resolve, reject) => {
+            this.samples = [];
+            this.currentStep = step;
+            this.onStep({ step: step.id, instruction: calibrationText(step.instruction), duration, guide: step.guide || 'neutral', index, total, attempt });
 
             const startTime = Date.now();
             const interval = setInterval(() => {
+                if (!this.isCalibrating) {
+                    clearInterval(interval);
+                    reject(new CalibrationError('cancelled', calibrationText('calibration.error.cancelled'), step.id));
+                    return;
+                }
+
                 const elapsed = Date.now() - startTime;
-                const progress = Math.min(1, elapsed / this.stepDuration);
-                this.onProgress({ step: stepName, progress });
+                const progress = Math.min(1, elapsed / duration);
+                this.onProgress({
+                    step: step.id, progress, samples: this.samples.length, attempt,
+                    handDetected: this.handDetected, diagnostics: this.getDiagnostics()
+                });
 
-                if (elapsed >= this.stepDuration) {
+                if (elapsed >= duration) {
                     clearInterval(interval);
-                    resolve();
+                    this.currentStep = null;
+                    resolve(this.samples);
                 }
             }, 100);
-
-            // Store measureFn for external calls
-            this._currentMeasureFn = measureFn;
         });
     }
 
+    /**
+     * Check a step's samples and reduce them
+     * @param {Object} step
+     * @param {Array} samples - Raw samples from runStep
+     * @param {Object} results - Results of earlier steps in this run
+     * @returns {Object} { ok, reason, message, result } - result is the reduced values plus
+     *   quality (0-1) and sampleCount
+     */
+    evaluateStep(step, samples, results = {}) {
+        const minSamples = step.minSamples || this.minSamples;
+        if (samples.length < minSamples) {
+            return { ok: false, reason: 'noHand', message: calibrationText('calibration.error.noSamples', { count: samples.length, min: minSamples }) };
+        }
+
+        const measure = step.measure || (typeof samples[0] === 'number' ? (v => v) : null);
+        const inliers = measure ? rejectOutliers(samples, measure, this.outlierThreshold) : samples;
+        if (inliers.length < minSamples) {
+            return { ok: false, reason: 'invalid', message: calibrationText('calibration.error.shaky') };
+        }
+
+        const verdict = step.validate(inliers, results);
+        if (verdict !== true) {
+            const message = typeof verdict === 'string'
+                ? calibrationText(verdict)
+                : calibrationText('calibration.error.stepFailed', { step: step.id });
+            return { ok: false, reason: 'invalid', message };
+        }
+
+        // Twice the minimum counts as full coverage
+        const coverage = Math.min(1, samples.length / (minSamples * 2));
+        const quality = Math.round(coverage * (inliers.length / samples.length) * 100) / 100;
+
+        return {
+            ok: true,
+            result: { ...step.reduce(inliers, results), quality, sampleCount: inliers.length }
+        };
+    }
+
     /**
      * Feed landmarks during calibration (called from game's onHandResults)
+     * @param {Array|null} landmarks - One hand, or null when no hand is visible
      */
     feedLandmarks(landmarks) {
-        if (!this.isCalibrating || !this._currentMeasureFn) return;
-        this._currentMeasureFn(landmarks);
+        const detected = !!(landmarks && landmarks.length >= 21);
+        if (detected !== this.handDetected) this.onHandStatus(detected);
+        this.handDetected = detected;
+
+        if (!this.isCalibrating || !this.currentStep || !detected) return;
+
+        const sample = this.currentStep.collect(landmarks, this);
+        if (sample !== null && sample !== undefined) this.samples.push(sample);
     }
 
     /**
@@ -135,6 +491,21 @@ class CalibrationManager {
         return distance;
     }
 
+    /**
+     * Measure palm size (wrist to middle finger base distance)
+     */
+    measurePalmSize(landmarks) {
+        if (!landmarks || landmarks.length < 21) return 0;
+
+        const wrist = landmarks[0];
+        const middleBase = landmarks[9];
+
+        return Math.sqrt(
+            Math.pow(middleBase.x - wrist.x, 2) +
+            Math.pow(middleBase.y - wrist.y, 2)
+        );
+    }
+
     /**
      * Measure pinch distance (thumb tip to index tip)
      */
@@ -169,30 +540,71 @@ class CalibrationManager {
     }
 
     /**
-     * Calculate final calibration values from measurements
+     * Result values of one step
+     * @param {string} stepId
+     * @returns {Object|null}
      */
-    calculateCalibration() {
-        // Hand scale: compare to average hand size
-        const avgHandSize = this.average(this.measurements.handSizes);
-        const referenceSize = 0.25; // Normalized reference
-        const handScale = avgHandSize > 0 ? referenceSize / avgHandSize : 1.0;
+    getResult(stepId) {
+        return (this.calibration.results && this.calibration.results[stepId]) || null;
+    }
 
-        // Pinch threshold: use minimum pinch distance + margin
-        const minPinch = Math.min(...this.measurements.pinchDistances.filter(d => d > 0));
-        const pinchThreshold = isFinite(minPinch) ? minPinch * 1.3 : this.defaults.pinchThreshold;
+    /**
+     * Personalized hand scale (reference size / measured size)
+     */
+    getHandScale() {
+        const relax = this.getResult('relax');
+        if (!relax) return this.defaults.handScale;
+        // Hand looks bigger when the player leans in: scale shrinks accordingly
+        return relax.handScale / (this.adapted ? this.adapted.sizeRatio : 1);
+    }
 
-        // Max steering: use 90th percentile of angles
-        const sortedAngles = [...this.measurements.steeringAngles].sort((a, b) => b - a);
-        const maxSteeringAngle = sortedAngles.length > 0
-            ? sortedAngles[Math.floor(sortedAngles.length * 0.1)]
-            : this.defaults.maxSteeringAngle;
+    /**
+     * Personalized pinch threshold (adapted when adaptive mode is on)
+     * Between the closed and open distances when both were measured, closed + 30% otherwise.
+     */
+    getPinchThreshold() {
+        if (this.adapted && this.adapted.closedDistance) {
+            return this._pinchThreshold(this.adapted.closedDistance, this.adapted.openDistance);
+        }
+        return this.getStoredPinchThreshold();
+    }
+
+    /**
+     * Pinch threshold of the stored calibration, ignoring adaptation
+     */
+    getStoredPinchThreshold() {
+        const pinch = this.getResult('pinch');
+        const open = this.getResult('pinchOpen');
+        if (!pinch) return this.defaults.pinchThreshold;
+        return this._pinchThreshold(pinch.closedDistance, open ? open.openDistance : null);
+    }
 
+    /**
+     * Steering limit for one side
+     * @param {number} sign - -1 (left) or 1 (right)
+     * @returns {number}
+     */
+    getSteeringLimit(sign) {
+        const side = ['tiltLeft', 'tiltRight']
+            .map(id => this.getResult(id))
+            .find(result => result && result.sign === sign);
+        return side ? side.limit : this.defaults.maxSteeringAngle;
+    }
+
+    /**
+     * Map a cursor position into the calibrated reach area
+     * @param {number} x - Mirrored, normalized (0-1)
+     * @param {number} y - Normalized (0-1)
+     * @returns {Object} {x, y} where the reach box spans 0-1
+     */
+    mapToReach(x, y) {
+        const reach = this.getResult('reach');
+        if (!reach) return { x, y };
+
+        const clamp = v => Math.max(0, Math.min(1, v));
         return {
-            handScale: Math.max(0.5, Math.min(2.0, handScale)),
-            pinchThreshold: Math.max(0.03, Math.min(0.12, pinchThreshold)),
-            maxSteeringAngle: Math.max(0.1, Math.min(0.5, maxSteeringAngle)),
-            calibrated: true,
-            timestamp: Date.now()
+            x: clamp((x - reach.minX) / Math.max(0.05, reach.maxX - reach.minX)),
+            y: clamp((y - reach.minY) / Math.max(0.05, reach.maxY - reach.minY))
         };
     }
 
@@ -205,9 +617,10 @@ class CalibrationManager {
     }
 
     /**
-     * Save calibration to localStorage
+     * Save calibration to the active profile or localStorage
      */
     save(data) {
+        if (this.profiles) return this.profiles.setCalibration(this.storageKey, data);
         try {
             localStorage.setItem(this.storageKey, JSON.stringify(data));
             return true;
@@ -218,29 +631,35 @@ class CalibrationManager {
     }
 
     /**
-     * Load calibration from localStorage
+     * Load calibration from the active profile or localStorage
      */
     load() {
         try {
-            const saved = localStorage.getItem(this.storageKey);
+            const saved = this.profiles
+                ? this.profiles.getCalibration(this.storageKey)
+                : JSON.parse(localStorage.getItem(this.storageKey));
             if (saved) {
-                const data = JSON.parse(saved);
+                const data = CalibrationManager.migrate(saved);
                 // Validate
                 if (data.calibrated && data.timestamp) {
-                    return { ...this.defaults, ...data };
+                    return data;
                 }
             }
         } catch (e) {
             console.warn('Failed to load calibration:', e);
         }
-        return { ...this.defaults };
+        return this._empty();
     }
 
     /**
      * Reset calibration to defaults
      */
     reset() {
-        this.calibration = { ...this.defaults };
+        this.calibration = this._empty();
+        if (this.profiles) {
+            this.profiles.removeCalibration(this.storageKey);
+            return this.calibration;
+        }
         try {
             localStorage.removeItem(this.storageKey);
         } catch (e) { }
@@ -249,12 +668,132 @@ class CalibrationManager {
 
     /**
      * Get normalized steering value
-     * @param {number} rawAngle - Raw tilt angle from landmarks
+     * @param {number} rawAngle - Raw steering from landmarks (negative = left)
      * @returns {number} Normalized steering (-1 to 1)
      */
     normalizeSteeringAngle(rawAngle) {
-        const maxAngle = this.calibration.maxSteeringAngle || this.defaults.maxSteeringAngle;
-        return Math.max(-1, Math.min(1, rawAngle / maxAngle));
+        const maxAngle = this.getSteeringLimit(rawAngle < 0 ? -1 : 1);
+        // Tilt is measured in image units, so it grows as the hand comes closer
+        const sizeRatio = this.adapted ? this.adapted.sizeRatio : 1;
+        return Math.max(-1, Math.min(1, rawAngle / sizeRatio / maxAngle));
+    }
+
+    /**
+     * Feed an in-game frame to adaptive mode (no-op unless options.adaptive)
+     * @param {Array} landmarks - One hand
+     * @param {Object} options
+     * @param {number} options.confidence - MediaPipe handedness score (default: 1)
+     * @param {boolean} options.size - Adapt the hand scale to palm size (default: true)
+     * @returns {boolean} Whether anything was adapted
+     */
+    observe(landmarks, options = {}) {
+        if (!this.adapted || this.isCalibrating) return false;
+        if (!landmarks || landmarks.length < 21) return false;
+        if ((options.confidence ?? 1) < this.adaptMinConfidence) return false;
+
+        const stored = this.adapted.stored;
+        const high = this.adaptBounds[1];
+        let adapted = false;
+
+        // Hand scale: palm size relative to calibration
+        if (stored.palmSize && options.size !== false) {
+            const ratio = this.measurePalmSize(landmarks) / stored.palmSize;
+            this.adapted.sizeRatio = this._adapt(this.adapted.sizeRatio, ratio, 1);
+            adapted = true;
+        }
+
+        // Pinch: only clearly closed or clearly open samples
+        if (stored.closedDistance) {
+            const distance = this.measurePinchDistance(landmarks);
+            const threshold = this.getPinchThreshold();
+            const margin = threshold * this.adaptAmbiguity;
+
+            if (distance < threshold - margin) {
+                this.adapted.closedDistance = this._adapt(this.adapted.closedDistance, distance, stored.closedDistance);
+                adapted = true;
+            } else if (distance > threshold + margin && stored.openDistance && distance < stored.openDistance * high) {
+                // Spread fingers (pointing, waving) would drag the open distance up: capped by the bound
+                this.adapted.openDistance = this._adapt(this.adapted.openDistance, distance, stored.openDistance);
+                adapted = true;
+            }
+        }
+
+        if (adapted) this._checkDivergence();
+        return adapted;
+    }
+
+    /**
+     * How far the adapted values have drifted from the stored calibration
+     * @returns {Object} { diverged, handScale, pinchThreshold, max } - relative differences
+     */
+    getDivergence() {
+        if (!this.adapted) return { diverged: false, handScale: 0, pinchThreshold: 0, max: 0 };
+
+        const handScale = Math.abs(1 / this.adapted.sizeRatio - 1);
+        const pinchThreshold = this.adapted.closedDistance
+            ? Math.abs(this.getPinchThreshold() / this.getStoredPinchThreshold() - 1)
+            : 0;
+        const max = Math.max(handScale, pinchThreshold);
+        return { diverged: max > this.divergenceThreshold, handScale, pinchThreshold, max };
+    }
+
+    /**
+     * Start adapting again from the stored calibration
+     */
+    resetAdaptation() {
+        const wasDiverged = this.diverged;
+        this.diverged = false;
+
+        if (!this.adaptive || !this.calibration.calibrated) {
+            this.adapted = null;
+        } else {
+            const relax = this.getResult('relax') || {};
+            const pinch = this.getResult('pinch') || {};
+            const open = this.getResult('pinchOpen') || {};
+            const stored = {
+                palmSize: relax.palmSize || null,
+                closedDistance: pinch.closedDistance || null,
+                openDistance: open.openDistance || null
+            };
+            this.adapted = {
+                stored,
+                sizeRatio: 1,
+                closedDistance: stored.closedDistance,
+                openDistance: stored.openDistance
+            };
+        }
+
+        if (wasDiverged) this.onDivergence(this.getDivergence());
+    }
+
+    /**
+     * Save the adapted values as the player's calibration
+     * @returns {Object} The updated calibration record
+     */
+    commitAdaptation() {
+        if (!this.adapted) return this.calibration;
+
+        const results = { ...this.calibration.results };
+        const ratio = this.adapted.sizeRatio;
+        if (results.relax && this.adapted.stored.palmSize) {
+            results.relax = {
+                ...results.relax,
+                handSize: results.relax.handSize * ratio,
+                palmSize: results.relax.palmSize * ratio,
+                handScale: Math.max(0.5, Math.min(2.0, results.relax.handScale / ratio))
+            };
+        }
+        if (results.pinch && this.adapted.closedDistance) {
+            results.pinch = { ...results.pinch, closedDistance: this.adapted.closedDistance };
+        }
+        if (results.pinchOpen && this.adapted.openDistance) {
+            results.pinchOpen = { ...results.pinchOpen, openDistance: this.adapted.openDistance };
+        }
+
+        this.calibration = { ...this.calibration, timestamp: Date.now(), results };
+        this.save(this.calibration);
+        this.resetAdaptation();
+        return this.calibration;
     }
 
     /**
@@ -263,8 +802,15 @@ class CalibrationManager {
      * @returns {boolean}
      */
     isPinching(distance) {
-        const threshold = this.calibration.pinchThreshold || this.defaults.pinchThreshold;
-        return distance < threshold;
+        return distance < this.getPinchThreshold();
+    }
+
+    /**
+     * Latest tracking-quality readings, if diagnostics are attached
+     * @returns {Object|null}
+     */
+    getDiagnostics() {
+        return this.diagnostics ? this.diagnostics.getReadings() : null;
     }
 
     /**
@@ -276,16 +822,191 @@ class CalibrationManager {
             age: this.calibration.timestamp
                 ? Math.floor((Date.now() - this.calibration.timestamp) / 1000 / 60)
                 : null,
+            steps: Object.keys(this.calibration.results || {}),
+            quality: this.calibration.quality ?? null,
+            divergence: this.adapted ? this.getDivergence().max.toFixed(2) : null,
             values: {
-                handScale: this.calibration.handScale?.toFixed(2),
-                pinchThreshold: this.calibration.pinchThreshold?.toFixed(3),
-                maxSteeringAngle: this.calibration.maxSteeringAngle?.toFixed(2)
+                handScale: this.getHandScale().toFixed(2),
+                pinchThreshold: this.getPinchThreshold().toFixed(3),
+                steeringLeft: this.getSteeringLimit(-1).toFixed(2),
+                steeringRight: this.getSteeringLimit(1).toFixed(2)
             }
         };
     }
+
+    /**
+     * Steering limit of one tilt step: 90th percentile of the tilt magnitude on one side
+     * @param {Array<number>} samples - Signed tilts
+     * @param {number} sign - -1 (left) or 1 (right); default: the side most samples fell on
+     * @returns {Object} {limit, sign}
+     */
+    static reduceTilt(samples, sign = calibrationMedian(samples) < 0 ? -1 : 1) {
+        const magnitudes = samples.filter(v => Math.sign(v) === sign).map(Math.abs);
+        return {
+            limit: Math.max(0.1, Math.min(0.5, calibrationPercentile(magnitudes, 0.9))),
+            sign
+        };
+    }
+
+    /**
+     * Convert a record saved before step plugins existed
+     * @param {Object} data - Parsed localStorage value
+     * @returns {Object} Keyed record
+     */
+    static migrate(data) {
+        if (!data || data.results) return data;
+
+        const results = {};
+        if (data.handScale) results.relax = { handScale: data.handScale, handSize: 0.25 / data.handScale };
+        if (data.pinchThreshold) results.pinch = { closedDistance: data.pinchThreshold / 1.3 };
+        if (data.maxSteeringAngle) {
+            results.tiltLeft = { limit: data.leftMax || data.maxSteeringAngle, sign: -1 };
+            results.tiltRight = { limit: data.rightMax || data.maxSteeringAngle, sign: 1 };
+        }
+        return { calibrated: !!data.calibrated, timestamp: data.timestamp || null, steps: Object.keys(results), results };
+    }
+
+    /**
+     * Check a keyed record before trusting it (e.g. from an imported profile file)
+     * @param {Object} data - Output of migrate()
+     * @returns {true|string} true, or what is wrong with the record
+     */
+    static validateRecord(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return 'not an object';
+        if (data.timestamp !== null && data.timestamp !== undefined && !Number.isFinite(data.timestamp)) return 'timestamp is not a number';
+        if (data.quality !== null && data.quality !== undefined && !Number.isFinite(data.quality)) return 'quality is not a number';
+        if (!data.results || typeof data.results !== 'object' || Array.isArray(data.results)) return 'no step results';
+
+        // Every step reduces to plain numbers
+        for (const [step, values] of Object.entries(data.results)) {
+            if (!values || typeof values !== 'object' || Array.isArray(values)) return `${step} is not an object`;
+            const field = Object.keys(values).find(key => !Number.isFinite(values[key]));
+            if (field) return `${step}.${field} is not a number`;
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _empty() {
+        return { calibrated: false, timestamp: null, steps: [], results: {} };
+    }
+
+    /**
+     * @private
+     */
+    _pinchThreshold(closedDistance, openDistance) {
+        const threshold = openDistance && openDistance > closedDistance
+            ? closedDistance + (openDistance - closedDistance) * 0.35
+            : closedDistance * 1.3;
+        return Math.max(0.03, Math.min(0.12, threshold));
+    }
+
+    /**
+     * One slow EMA step, kept within adaptBounds of the stored value
+     * @private
+     */
+    _adapt(current, sample, stored) {
+        const next = current + (sample - current) * this.adaptRate;
+        return Math.max(stored * this.adaptBounds[0], Math.min(stored * this.adaptBounds[1], next));
+    }
+
+    /**
+     * @private
+     */
+    _checkDivergence() {
+        const divergence = this.getDivergence();
+        if (divergence.diverged !== this.diverged) {
+            this.diverged = divergence.diverged;
+            this.onDivergence(divergence);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _resolveStep(step) {
+        if (typeof step === 'string') {
+            if (!this.registry[step]) throw new Error(`Unknown calibration step "${step}"`);
+            return this.registry[step];
+        }
+        return { validate: () => true, ...step };
+    }
+
+    /**
+     * Run a step until it produces usable samples, or give up after maxRetries
+     * @private
+     */
+    async _runStepWithRetry(step, index, total, results) {
+        for (let attempt = 0; ; attempt++) {
+            const samples = await this.runStep(step, index, total, attempt);
+            const outcome = this.evaluateStep(step, samples, results);
+            if (outcome.ok) return outcome.result;
+
+            if (attempt >= this.maxRetries) {
+                throw new CalibrationError(outcome.reason, outcome.message, step.id);
+            }
+
+            const instruction = outcome.reason === 'noHand'
+                ? this._trackingHint() || calibrationText('calibration.retryNoHand')
+                : calibrationText('calibration.retryInvalid', { message: outcome.message });
+            this.onStep({ step: step.id, instruction, duration: 0, guide: step.guide || 'neutral', index, total, attempt, retry: attempt + 1, reason: outcome.reason });
+
+            if (outcome.reason === 'noHand') {
+                await this._waitForHand();
+            } else {
+                await new Promise(r => setTimeout(r, 1500));
+                if (!this.isCalibrating) throw new CalibrationError('cancelled', calibrationText('calibration.error.cancelled'), step.id);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _waitForHand() {
+        const startTime = Date.now();
+        return new Promise((resolve, reject) => {
+            const check = setInterval(() => {
+                if (!this.isCalibrating) {
+                    clearInterval(check);
+                    reject(new CalibrationError('cancelled', calibrationText('calibration.error.cancelled')));
+                } else if (this.handDetected) {
+                    clearInterval(check);
+                    resolve();
+                } else if (Date.now() - startTime >= this.handTimeout) {
+                    clearInterval(check);
+                    reject(new CalibrationError('noHand', this._trackingHint() || calibrationText('calibration.error.noHand')));
+                }
+            }, 100);
+        });
+    }
+
+    /**
+     * What the diagnostics say is wrong, as text (null when nothing is)
+     * @private
+     */
+    _trackingHint() {
+        const hint = this.diagnostics && this.diagnostics.getHint();
+        return hint ? hint.message : null;
+    }
+
+    /**
+     * Send frames while calibrating (~12fps)
+     * @private
+     */
+    async _pumpFrames(sendFrame) {
+        while (this.isCalibrating) {
+            try {
+                await sendFrame();
+            } catch (e) { }
+            await new Promise(r => setTimeout(r, 80));
+        }
+    }
 }
 
 // Export
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { CalibrationManager };
+    module.exports = { CalibrationManager, CalibrationError, CALIBRATION_STEPS, CALIBRATION_PROFILES, rejectOutliers };
 }
@@ -0,0 +1,402 @@
+/**
+ * Frame Sources
+ * Pluggable image inputs for hand tracking (webcam, video file, image sequence, canvas, synthetic)
+ *
+ * Every source exposes the same contract:
+ *   source.onFrame(async (frame) => { ... })   frame = { image, frameId, timestamp, width, height }
+ *   await source.start()
+ *   source.stop()
+ *
+ * `frame.image` can be passed straight to `hands.send({ image })` or `OpticalFlow.track()`.
+ * The next frame is not delivered until the previous onFrame promise settles,
+ * the same back-pressure MediaPipe's Camera utility applies.
+ *
+ * Classic script: pages load it with a <script> tag, ES modules use the globals.
+ */
+
+/**
+ * Base class - drives the frame loop, subclasses provide the image
+ */
+class FrameSource {
+    /**
+     * @param {Object} options
+     * @param {number} options.width - Requested frame width (default: 640)
+     * @param {number} options.height - Requested frame height (default: 480)
+     * @param {number} options.minInterval - Minimum ms between frames (default: 0 = every animation frame)
+     */
+    constructor(options = {}) {
+        this.width = options.width || 640;
+        this.height = options.height || 480;
+        this.minInterval = options.minInterval || 0;
+
+        this.isRunning = false;
+        this.frameId = 0;
+        this.callbacks = {
+            onFrame: null
+        };
+
+        this._rafId = null;
+        this._busy = false;
+        this._lastFrameTime = 0;
+        this._loop = this._loop.bind(this);
+    }
+
+    /**
+     * Register frame callback
+     * @param {Function} callback - async (frame) => void
+     */
+    onFrame(callback) {
+        this.callbacks.onFrame = callback;
+    }
+
+    /**
+     * Open the underlying input and start delivering frames
+     */
+    async start() {
+        if (this.isRunning) return;
+
+        await this.open();
+        this.isRunning = true;
+        this._lastFrameTime = 0;
+        this._rafId = requestAnimationFrame(this._loop);
+    }
+
+    /**
+     * Stop delivering frames and release the input
+     */
+    stop() {
+        this.isRunning = false;
+        if (this._rafId !== null) {
+            cancelAnimationFrame(this._rafId);
+            this._rafId = null;
+        }
+        this.close();
+    }
+
+    /**
+     * Prepare the input (request camera, load media...). Override in subclasses.
+     */
+    async open() { }
+
+    /**
+     * Release the input. Override in subclasses.
+     */
+    close() { }
+
+    /**
+     * Whether a new image is available. Override in subclasses.
+     * @returns {boolean}
+     */
+    isFrameReady() {
+        return true;
+    }
+
+    /**
+     * Current image. Override in subclasses.
+     * @returns {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|OffscreenCanvas|ImageBitmap}
+     */
+    getImage() {
+        return null;
+    }
+
+    /**
+     * Update the requested resolution (takes effect on next open())
+     * @param {number} width
+     * @param {number} height
+     */
+    setResolution(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * @private
+     */
+    async _loop(now) {
+        if (!this.isRunning) return;
+
+        if (!this._busy && now - this._lastFrameTime >= this.minInterval && this.isFrameReady()) {
+            this._lastFrameTime = now;
+            this._busy = true;
+
+            const image = this.getImage();
+            const frame = {
+                image,
+                frameId: ++this.frameId,
+                timestamp: now,
+                width: image.videoWidth || image.width,
+                height: image.videoHeight || image.height
+            };
+
+            try {
+                if (this.callbacks.onFrame) await this.callbacks.onFrame(frame);
+            } catch (error) {
+                console.error('Frame callback error:', error);
+            }
+
+            this._busy = false;
+        }
+
+        if (this.isRunning) {
+            this._rafId = requestAnimationFrame(this._loop);
+        }
+    }
+}
+
+/**
+ * WebcamSource - live camera through getUserMedia
+ */
+class WebcamSource extends FrameSource {
+    /**
+     * @param {Object} options - FrameSource options plus:
+     * @param {HTMLVideoElement} options.videoElement - Element that shows the feed (created if omitted)
+     * @param {string} options.facingMode - 'user' or 'environment' (default: 'user')
+     */
+    constructor(options = {}) {
+        super(options);
+        this.videoElement = options.videoElement || document.createElement('video');
+        this.facingMode = options.facingMode || 'user';
+        this.stream = null;
+    }
+
+    async open() {
+        if (this.stream) return;
+
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            video: {
+                width: this.width,
+                height: this.height,
+                facingMode: this.facingMode
+            }
+        });
+
+        this.videoElement.srcObject = this.stream;
+        this.videoElement.playsInline = true;
+
+        await new Promise(resolve => {
+            this.videoElement.onloadedmetadata = () => {
+                this.videoElement.play();
+                resolve();
+            };
+        });
+    }
+
+    close() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.videoElement.srcObject = null;
+    }
+
+    isFrameReady() {
+        return this.videoElement.readyState >= 2;
+    }
+
+    getImage() {
+        return this.videoElement;
+    }
+}
+
+/**
+ * VideoFileSource - a recorded clip (URL or File/Blob), e.g. an MP4 of a player
+ */
+class VideoFileSource extends FrameSource {
+    /**
+     * @param {string|Blob} src - Video URL or File
+     * @param {Object} options - FrameSource options plus:
+     * @param {HTMLVideoElement} options.videoElement - Element to play into (created if omitted)
+     * @param {boolean} options.loop - Loop the clip (default: true)
+     * @param {number} options.playbackRate - Playback speed (default: 1)
+     */
+    constructor(src, options = {}) {
+        super(options);
+        this.src = src;
+        this.videoElement = options.videoElement || document.createElement('video');
+        this.loop = options.loop !== false;
+        this.playbackRate = options.playbackRate || 1;
+        this._objectUrl = null;
+        this._loaded = false;
+        this._lastMediaTime = -1;
+    }
+
+    async open() {
+        const video = this.videoElement;
+
+        if (this._loaded) {
+            await video.play();
+            return;
+        }
+
+        if (this.src instanceof Blob) {
+            this._objectUrl = URL.createObjectURL(this.src);
+            video.src = this._objectUrl;
+        } else {
+            video.src = this.src;
+        }
+
+        video.muted = true;
+        video.playsInline = true;
+        video.loop = this.loop;
+
+        await new Promise((resolve, reject) => {
+            video.onloadeddata = resolve;
+            video.onerror = () => reject(new Error(`Failed to load video: ${this.src.name || this.src}`));
+        });
+
+        video.playbackRate = this.playbackRate;
+        this._loaded = true;
+        await video.play();
+    }
+
+    close() {
+        this.videoElement.pause();
+        if (this._objectUrl) {
+            URL.revokeObjectURL(this._objectUrl);
+            this._objectUrl = null;
+            this._loaded = false;
+        }
+        this._lastMediaTime = -1;
+    }
+
+    isFrameReady() {
+        // Skip duplicate deliveries of the same decoded frame
+        const time = this.videoElement.currentTime;
+        if (this.videoElement.readyState < 2 || time === this._lastMediaTime) return false;
+        this._lastMediaTime = time;
+        return true;
+    }
+
+    getImage() {
+        return this.videoElement;
+    }
+}
+
+/**
+ * ImageSequenceSource - a list of still images played at a fixed rate
+ */
+class ImageSequenceSource extends FrameSource {
+    /**
+     * @param {Array<string|HTMLImageElement>} images - Image URLs or loaded images
+     * @param {Object} options - FrameSource options plus:
+     * @param {number} options.fps - Playback rate (default: 30)
+     * @param {boolean} options.loop - Loop the sequence (default: true)
+     */
+    constructor(images, options = {}) {
+        super({ ...options, minInterval: 1000 / (options.fps || 30) });
+        this.sources = images;
+        this.loop = options.loop !== false;
+        this.images = [];
+        this.index = 0;
+    }
+
+    async open() {
+        if (this.images.length === this.sources.length) return;
+
+        this.images = await Promise.all(this.sources.map(src => {
+            if (src instanceof HTMLImageElement && src.complete) return src;
+
+            return new Promise((resolve, reject) => {
+                const img = src instanceof HTMLImageElement ? src : new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error(`Failed to load image: ${img.src}`));
+                if (!(src instanceof HTMLImageElement)) img.src = src;
+            });
+        }));
+        this.index = 0;
+    }
+
+    isFrameReady() {
+        if (this.index < this.images.length) return true;
+        if (!this.loop) return false;
+        this.index = 0;
+        return this.images.length > 0;
+    }
+
+    getImage() {
+        return this.images[this.index++];
+    }
+}
+
+/**
+ * CanvasSource - any canvas, e.g. the output of GpuPreprocessor or a test pattern
+ */
+class CanvasSource extends FrameSource {
+    /**
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+     * @param {Object} options - FrameSource options
+     */
+    constructor(canvas, options = {}) {
+        super({ width: canvas.width, height: canvas.height, ...options });
+        this.canvas = canvas;
+    }
+
+    getImage() {
+        return this.canvas;
+    }
+}
+
+/**
+ * SyntheticSource - frames drawn by a generator function
+ *
+ * Without a generator it renders a moving checkerboard, which has enough
+ * texture for optical-flow checks.
+ */
+class SyntheticSource extends CanvasSource {
+    /**
+     * @param {Function} generator - (ctx, { frameId, time, width, height }) => void
+     * @param {Object} options - FrameSource options
+     */
+    constructor(generator = null, options = {}) {
+        const width = options.width || 640;
+        const height = options.height || 480;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        super(canvas, { ...options, width, height });
+        this.ctx = canvas.getContext('2d');
+        this.generator = generator || SyntheticSource.checkerboard;
+        this._startTime = 0;
+    }
+
+    async open() {
+        this._startTime = performance.now();
+    }
+
+    getImage() {
+        this.generator(this.ctx, {
+            frameId: this.frameId + 1,
+            time: performance.now() - this._startTime,
+            width: this.canvas.width,
+            height: this.canvas.height
+        });
+        return this.canvas;
+    }
+
+    /**
+     * Default pattern: checkerboard drifting diagonally at 30 px/s
+     */
+    static checkerboard(ctx, { time, width, height }) {
+        const cell = 32;
+        // Pattern repeats every two cells, so wrapping the shift keeps it seamless
+        const shift = ((time / 1000) * 30) % (cell * 2);
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = '#fff';
+
+        for (let row = -2; row * cell < height; row++) {
+            for (let col = -2; col * cell < width; col++) {
+                if ((row + col) % 2 === 0) {
+                    ctx.fillRect(col * cell + shift, row * cell + shift, cell, cell);
+                }
+            }
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FrameSource, WebcamSource, VideoFileSource, ImageSequenceSource, CanvasSource, SyntheticSource };
+}
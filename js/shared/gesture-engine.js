@@ -0,0 +1,339 @@
+/**
+ * Gesture Engine
+ * Declarative static-pose recognizer shared by all games
+ *
+ * Each gesture is a list of conditions on hand features. Features are joint
+ * angles (degrees) or distances normalized by hand size, so the same
+ * thresholds work close to and far from the camera.
+ *
+ * Conditions use two thresholds for hysteresis: a gesture turns on when every
+ * condition passes its `enter` threshold and stays on until a condition fails
+ * its looser `exit` threshold. `minHoldMs` / `minReleaseMs` debounce the edges.
+ *
+ * Classic script: pages load it with a <script> tag, ES modules use the globals.
+ */
+
+// Landmark indices per finger: [MCP, PIP, DIP, TIP] (thumb: [CMC, MCP, IP, TIP])
+const GESTURE_FINGERS = {
+    thumb: [1, 2, 3, 4],
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+};
+
+/**
+ * Distance between two landmarks (x/y plus damped z, as in the pinch measurement)
+ */
+function landmarkDistance(a, b) {
+    return Math.sqrt(
+        Math.pow(a.x - b.x, 2) +
+        Math.pow(a.y - b.y, 2) +
+        Math.pow((a.z || 0) - (b.z || 0), 2) * 0.5
+    );
+}
+
+/**
+ * Bend angle at joint b, in degrees (0 = straight, 180 = folded back)
+ */
+function jointBend(a, b, c) {
+    const v1x = b.x - a.x, v1y = b.y - a.y, v1z = (b.z || 0) - (a.z || 0);
+    const v2x = c.x - b.x, v2y = c.y - b.y, v2z = (c.z || 0) - (b.z || 0);
+
+    const len1 = Math.sqrt(v1x * v1x + v1y * v1y + v1z * v1z);
+    const len2 = Math.sqrt(v2x * v2x + v2y * v2y + v2z * v2z);
+    if (len1 === 0 || len2 === 0) return 0;
+
+    const cos = (v1x * v2x + v1y * v2y + v1z * v2z) / (len1 * len2);
+    return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+}
+
+/**
+ * Hand size: wrist to middle-finger MCP (stays constant while fingers move)
+ */
+function measureHandSize(landmarks) {
+    return landmarkDistance(landmarks[0], landmarks[9]);
+}
+
+/**
+ * Compute the feature vector used by gesture definitions
+ * @param {Array} landmarks - 21 MediaPipe landmarks
+ * @returns {Object|null} Features, or null for an invalid hand
+ */
+function computeHandFeatures(landmarks) {
+    if (!landmarks || landmarks.length < 21) return null;
+
+    const handSize = measureHandSize(landmarks);
+    if (handSize <= 0) return null;
+
+    const features = { handSize };
+
+    // Curl = sum of bends along the finger (0 = straight, ~180+ = closed).
+    // Fingers include the knuckle bend from the wrist; the thumb's CMC moves too freely for that.
+    Object.entries(GESTURE_FINGERS).forEach(([name, [mcp, pip, dip, tip]]) => {
+        let curl = jointBend(landmarks[mcp], landmarks[pip], landmarks[dip]) +
+            jointBend(landmarks[pip], landmarks[dip], landmarks[tip]);
+        if (name !== 'thumb') {
+            curl += jointBend(landmarks[0], landmarks[mcp], landmarks[pip]);
+        }
+        features[`${name}Curl`] = curl;
+    });
+
+    features.pinchDistance = landmarkDistance(landmarks[4], landmarks[8]) / handSize;
+    features.indexMiddleSpread = landmarkDistance(landmarks[8], landmarks[12]) / handSize;
+
+    // Positive when the thumb tip is above its MCP joint (image y grows downward)
+    features.thumbUp = (landmarks[2].y - landmarks[4].y) / handSize;
+
+    return features;
+}
+
+/**
+ * Built-in gestures. Thresholds: curls in degrees, distances in hand sizes.
+ */
+const DEFAULT_GESTURES = {
+    pinch: {
+        priority: 3,
+        minHoldMs: 60,
+        minReleaseMs: 80,
+        conditions: [
+            { feature: 'pinchDistance', below: { enter: 0.3, exit: 0.42 } }
+        ]
+    },
+    ok: {
+        priority: 4,
+        minHoldMs: 150,
+        minReleaseMs: 100,
+        conditions: [
+            { feature: 'pinchDistance', below: { enter: 0.3, exit: 0.42 } },
+            { feature: 'middleCurl', below: { enter: 60, exit: 80 } },
+            { feature: 'ringCurl', below: { enter: 60, exit: 80 } },
+            { feature: 'pinkyCurl', below: { enter: 60, exit: 80 } }
+        ]
+    },
+    fist: {
+        priority: 2,
+        minHoldMs: 80,
+        minReleaseMs: 80,
+        conditions: [
+            { feature: 'indexCurl', above: { enter: 140, exit: 110 } },
+            { feature: 'middleCurl', above: { enter: 140, exit: 110 } },
+            { feature: 'ringCurl', above: { enter: 140, exit: 110 } },
+            { feature: 'pinkyCurl', above: { enter: 140, exit: 110 } }
+        ]
+    },
+    open_palm: {
+        priority: 1,
+        minHoldMs: 80,
+        minReleaseMs: 80,
+        conditions: [
+            { feature: 'indexCurl', below: { enter: 50, exit: 70 } },
+            { feature: 'middleCurl', below: { enter: 50, exit: 70 } },
+            { feature: 'ringCurl', below: { enter: 50, exit: 70 } },
+            { feature: 'pinkyCurl', below: { enter: 50, exit: 70 } },
+            { feature: 'pinchDistance', above: { enter: 0.5, exit: 0.42 } }
+        ]
+    },
+    point: {
+        priority: 2,
+        minHoldMs: 120,
+        minReleaseMs: 100,
+        conditions: [
+            { feature: 'indexCurl', below: { enter: 50, exit: 70 } },
+            { feature: 'middleCurl', above: { enter: 130, exit: 100 } },
+            { feature: 'ringCurl', above: { enter: 130, exit: 100 } },
+            { feature: 'pinkyCurl', above: { enter: 130, exit: 100 } }
+        ]
+    },
+    victory: {
+        priority: 2,
+        minHoldMs: 120,
+        minReleaseMs: 100,
+        conditions: [
+            { feature: 'indexCurl', below: { enter: 50, exit: 70 } },
+            { feature: 'middleCurl', below: { enter: 50, exit: 70 } },
+            { feature: 'ringCurl', above: { enter: 130, exit: 100 } },
+            { feature: 'pinkyCurl', above: { enter: 130, exit: 100 } },
+            { feature: 'indexMiddleSpread', above: { enter: 0.35, exit: 0.25 } }
+        ]
+    },
+    thumbs_up: {
+        priority: 3,
+        minHoldMs: 150,
+        minReleaseMs: 100,
+        conditions: [
+            { feature: 'indexCurl', above: { enter: 130, exit: 100 } },
+            { feature: 'middleCurl', above: { enter: 130, exit: 100 } },
+            { feature: 'ringCurl', above: { enter: 130, exit: 100 } },
+            { feature: 'pinkyCurl', above: { enter: 130, exit: 100 } },
+            { feature: 'thumbCurl', below: { enter: 50, exit: 70 } },
+            { feature: 'thumbUp', above: { enter: 0.5, exit: 0.3 } }
+        ]
+    }
+};
+
+/**
+ * Confidence that one condition holds (0 at the exit threshold, 1 at the enter threshold)
+ */
+function conditionConfidence(condition, value) {
+    const { enter, exit } = condition.below || condition.above;
+    const span = Math.abs(exit - enter) || 1e-6;
+    const margin = condition.below ? exit - value : value - exit;
+    return Math.max(0, Math.min(1, margin / span));
+}
+
+/**
+ * GestureEngine - evaluates gesture definitions over time for one hand
+ */
+class GestureEngine {
+    /**
+     * @param {Object} options
+     * @param {Object} options.gestures - Gesture definitions (default: DEFAULT_GESTURES)
+     */
+    constructor(options = {}) {
+        this.definitions = {};
+        this.states = {};
+        this.features = null;
+
+        const gestures = options.gestures || DEFAULT_GESTURES;
+        Object.entries(gestures).forEach(([name, definition]) => this.define(name, definition));
+    }
+
+    /**
+     * Register or replace a gesture definition
+     * @param {string} name
+     * @param {Object} definition - { conditions, priority, minHoldMs, minReleaseMs }
+     */
+    define(name, definition) {
+        this.definitions[name] = {
+            priority: 0,
+            minHoldMs: 0,
+            minReleaseMs: 0,
+            ...definition,
+            conditions: definition.conditions.map(c => ({ ...c }))
+        };
+        this.states[name] = this._createState();
+    }
+
+    /**
+     * Change thresholds of one condition, e.g. after calibration
+     * @param {string} name - Gesture name
+     * @param {string} feature - Feature the condition tests
+     * @param {Object} thresholds - { enter, exit }
+     */
+    setThresholds(name, feature, thresholds) {
+        const definition = this.definitions[name];
+        if (!definition) return;
+
+        definition.conditions.forEach(condition => {
+            if (condition.feature !== feature) return;
+            const key = condition.below ? 'below' : 'above';
+            condition[key] = { ...condition[key], ...thresholds };
+        });
+    }
+
+    /**
+     * Evaluate all gestures for a new frame
+     * @param {Array} landmarks - 21 MediaPipe landmarks (null when no hand)
+     * @param {number} timestamp - ms (default: performance.now())
+     * @returns {Object} { features, gestures, active, primary }
+     */
+    update(landmarks, timestamp = performance.now()) {
+        const features = computeHandFeatures(landmarks);
+        this.features = features;
+
+        if (!features) {
+            this.reset();
+            return this.getResult();
+        }
+
+        Object.entries(this.definitions).forEach(([name, definition]) => {
+            const state = this.states[name];
+
+            let confidence = 1;
+            let passes = true;
+            definition.conditions.forEach(condition => {
+                const c = conditionConfidence(condition, features[condition.feature]);
+                confidence = Math.min(confidence, c);
+                // Inactive gestures must reach the enter threshold, active ones only stay above exit
+                passes = passes && (state.active ? c > 0 : c >= 1);
+            });
+            state.confidence = confidence;
+
+            if (passes === state.active) {
+                state.pendingSince = null;
+                return;
+            }
+
+            if (state.pendingSince === null) state.pendingSince = timestamp;
+            const wait = state.active ? definition.minReleaseMs : definition.minHoldMs;
+
+            if (timestamp - state.pendingSince >= wait) {
+                state.active = passes;
+                state.since = timestamp;
+                state.pendingSince = null;
+            }
+        });
+
+        return this.getResult();
+    }
+
+    /**
+     * Whether a gesture is currently active
+     * @param {string} name
+     */
+    isActive(name) {
+        return !!(this.states[name] && this.states[name].active);
+    }
+
+    /**
+     * Confidence (0-1) of a gesture on the last frame
+     * @param {string} name
+     */
+    getConfidence(name) {
+        return this.states[name] ? this.states[name].confidence : 0;
+    }
+
+    /**
+     * Snapshot of the current recognition result
+     */
+    getResult() {
+        const gestures = {};
+        const active = [];
+
+        Object.entries(this.states).forEach(([name, state]) => {
+            gestures[name] = { active: state.active, confidence: state.confidence, since: state.since };
+            if (state.active) active.push(name);
+        });
+
+        active.sort((a, b) => this.definitions[b].priority - this.definitions[a].priority);
+
+        return {
+            features: this.features,
+            gestures,
+            active,
+            primary: active[0] || null
+        };
+    }
+
+    /**
+     * Clear all temporal state (call when the hand is lost)
+     */
+    reset() {
+        Object.keys(this.states).forEach(name => {
+            this.states[name] = this._createState();
+        });
+    }
+
+    /**
+     * @private
+     */
+    _createState() {
+        return { active: false, confidence: 0, since: null, pendingSince: null };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GestureEngine, DEFAULT_GESTURES, landmarkDistance, jointBend, measureHandSize, computeHandFeatures };
+}
@@ -1,23 +1,44 @@
 /**
  * GPU Image Preprocessor using WebGPU Compute Shaders
- * Handles Grayscale conversion and Gaussian Blur
+ * Handles Grayscale conversion, Gaussian Blur and the image pyramid
+ *
+ * Pipeline (all passes stay on the GPU):
+ *   source -> grayscale -> blur (horizontal, then vertical) -> level 0
+ *   level N -> 2x2 average -> level N + 1
+ *
+ * Storage textures are write-only, so the blur ping-pongs between level 0
+ * and a scratch texture. Pyramid textures are rgba8unorm with the gray value
+ * in every channel, and can be passed straight to WebGpuOpticalFlow.
+ *
+ * GpuPreprocessor.cpuReference() runs the same steps on the CPU (including
+ * the 8-bit rounding after every pass) so GPU output can be checked, e.g. on
+ * machines that fall back to a software adapter.
  */
 class GpuPreprocessor {
-    constructor(device) {
+    /**
+     * @param {GPUDevice} device
+     * @param {Object} options
+     * @param {number} options.blurSigma - Gaussian sigma in pixels, 0 = no blur (default: 1)
+     * @param {number} options.blurRadius - Kernel radius in pixels (default: ceil(2 * sigma))
+     * @param {number} options.pyramidLevels - Levels including full resolution (default: 3)
+     */
+    constructor(device, options = {}) {
         this.device = device;
-        this.pipeline = null;
-        this.bindGroup = null;
+        this.blurSigma = options.blurSigma ?? 1;
+        this.blurRadius = options.blurRadius ?? Math.ceil(this.blurSigma * 2);
+        this.pyramidLevels = options.pyramidLevels || 3;
+
+        this.pipelines = {};
+        this.pyramid = null;
         this.inputTexture = null;
-        this.outputTexture = null;
-        this.gpuReadBuffer = null;
         this.width = 0;
         this.height = 0;
     }
 
     async init() {
-        // WGSL Shader Code
-        const shaderModule = this.device.createShaderModule({
-            label: 'Preprocessor Compute Shader',
+        // Video frames are imported without a copy
+        const videoModule = this.device.createShaderModule({
+            label: 'Preprocessor Grayscale (video)',
             code: `
                 @group(0) @binding(0) var inputTexture : texture_external;
                 @group(0) @binding(1) var outputTexture : texture_storage_2d<rgba8unorm, write>;
@@ -32,129 +53,442 @@ class GpuPreprocessor {
                     let gray = dot(pixel.rgb, vec3<f32>(0.299, 0.587, 0.114));
                     textureStore(outputTexture, global_id.xy, vec4<f32>(gray, gray, gray, 1.0));
                 }
+            `
+        });
+
+        // Canvases and bitmaps are copied into a texture first
+        const imageModule = this.device.createShaderModule({
+            label: 'Preprocessor Grayscale (image)',
+            code: `
+                @group(0) @binding(0) var inputTexture : texture_2d<f32>;
+                @group(0) @binding(1) var outputTexture : texture_storage_2d<rgba8unorm, write>;
 
                 @compute @workgroup_size(16, 16)
-                fn blur(@builtin(global_invocation_id) global_id : vec3<u32>) {
+                fn grayscale(@builtin(global_invocation_id) global_id : vec3<u32>) {
                     let dims = textureDimensions(inputTexture);
                     if (global_id.x >= dims.x || global_id.y >= dims.y) {
                         return;
                     }
-                    
-                    // Simple Box Blur 3x3
-                    var colorSum = vec3<f32>(0.0);
-                    var weightSum = 0.0;
-                    
-                    for (let x = -1; x <= 1; x++) {
-                        for (let y = -1; y <= 1; y++) {
-                            let coords = vec2<i32>(i32(global_id.x) + x, i32(global_id.y) + y);
-                            if (coords.x >= 0 && coords.x < i32(dims.x) && coords.y >= 0 && coords.y < i32(dims.y)) {
-                                let pixel = textureLoad(inputTexture, coords); // Helper needed if reading from storage texture?
-                                // Note: Can't read from storage texture directly if it's write-only.
-                                // Solution: Blur needs separate input texture or use texture_2d if ping-ponging.
-                                // For simplicity in this step: Grayscale writes to Texture A, Blur reads A writes to B.
-                                // BUT: Here we use single pass for simplicity in demo or just use standard textureLoad if bound as texture_2d.
-                            }
-                        }
+                    let pixel = textureLoad(inputTexture, global_id.xy, 0);
+                    let gray = dot(pixel.rgb, vec3<f32>(0.299, 0.587, 0.114));
+                    textureStore(outputTexture, global_id.xy, vec4<f32>(gray, gray, gray, 1.0));
+                }
+            `
+        });
+
+        const filterModule = this.device.createShaderModule({
+            label: 'Preprocessor Blur / Downsample',
+            code: `
+                struct BlurParams {
+                    direction : vec2<i32>,
+                    radius : i32,
+                    pad : i32,
+                }
+
+                @group(0) @binding(0) var src : texture_2d<f32>;
+                @group(0) @binding(1) var dst : texture_storage_2d<rgba8unorm, write>;
+                @group(0) @binding(2) var<uniform> params : BlurParams;
+                @group(0) @binding(3) var<storage, read> weights : array<f32>;
+
+                // One direction of the separable Gaussian, edges clamped
+                @compute @workgroup_size(16, 16)
+                fn blur(@builtin(global_invocation_id) global_id : vec3<u32>) {
+                    let dims = vec2<i32>(textureDimensions(src));
+                    let p = vec2<i32>(global_id.xy);
+                    if (p.x >= dims.x || p.y >= dims.y) {
+                        return;
                     }
-                    // For now, let's keep Grayscale only to ensure stability first.
-                    // Adding specific Gaussian Blur shader needs 2-pass or carefully managed barriers.
+
+                    var sum = 0.0;
+                    for (var i = -params.radius; i <= params.radius; i++) {
+                        let c = clamp(p + params.direction * i, vec2<i32>(0, 0), dims - vec2<i32>(1, 1));
+                        sum += textureLoad(src, c, 0).r * weights[i + params.radius];
+                    }
+                    textureStore(dst, global_id.xy, vec4<f32>(sum, sum, sum, 1.0));
+                }
+
+                // 2x2 average into a half-size level (same as OpticalFlow.buildPyramid)
+                @compute @workgroup_size(16, 16)
+                fn downsample(@builtin(global_invocation_id) global_id : vec3<u32>) {
+                    let dims = textureDimensions(dst);
+                    if (global_id.x >= dims.x || global_id.y >= dims.y) {
+                        return;
+                    }
+                    let p = vec2<i32>(global_id.xy) * 2;
+                    let sum = textureLoad(src, p, 0).r + textureLoad(src, p + vec2<i32>(1, 0), 0).r +
+                        textureLoad(src, p + vec2<i32>(0, 1), 0).r + textureLoad(src, p + vec2<i32>(1, 1), 0).r;
+                    let avg = sum * 0.25;
+                    textureStore(dst, global_id.xy, vec4<f32>(avg, avg, avg, 1.0));
                 }
             `
         });
 
-        // Create Compute Pipelines
-        this.pipeline = this.device.createComputePipeline({
-            label: 'Grayscale Pipeline',
+        const pipeline = (label, module, entryPoint) => this.device.createComputePipeline({
+            label,
             layout: 'auto',
-            compute: { module: shaderModule, entryPoint: 'grayscale' },
+            compute: { module, entryPoint }
         });
+
+        this.pipelines = {
+            grayscaleVideo: pipeline('Grayscale Pipeline (video)', videoModule, 'grayscale'),
+            grayscaleImage: pipeline('Grayscale Pipeline (image)', imageModule, 'grayscale'),
+            blur: pipeline('Blur Pipeline', filterModule, 'blur'),
+            downsample: pipeline('Downsample Pipeline', filterModule, 'downsample')
+        };
+        // Kept for code that only needs grayscale
+        this.pipeline = this.pipelines.grayscaleVideo;
+
+        this.setBlur(this.blurSigma, this.blurRadius);
+    }
+
+    /**
+     * Change the Gaussian kernel
+     * @param {number} sigma - Pixels, 0 = no blur
+     * @param {number} radius - Kernel radius (default: ceil(2 * sigma))
+     */
+    setBlur(sigma, radius = Math.ceil(sigma * 2)) {
+        this.blurSigma = sigma;
+        this.blurRadius = radius;
+        if (!this.pipelines.blur || sigma <= 0) return;
+
+        const weights = GpuPreprocessor.gaussianKernel(sigma, radius);
+        if (this.weightsBuffer) this.weightsBuffer.destroy();
+        this.weightsBuffer = this.device.createBuffer({
+            size: weights.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.device.queue.writeBuffer(this.weightsBuffer, 0, weights);
+
+        // direction.x, direction.y, radius, padding
+        if (this.blurParams) this.blurParams.forEach(buffer => buffer.destroy());
+        this.blurParams = [[1, 0], [0, 1]].map(([dx, dy]) => {
+            const buffer = this.device.createBuffer({
+                size: 16,
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+            });
+            this.device.queue.writeBuffer(buffer, 0, new Int32Array([dx, dy, radius, 0]));
+            return buffer;
+        });
+    }
+
+    /**
+     * Level sizes for an image (halved until a side drops below 10 px, like the CPU pyramid)
+     * @returns {Array} [{width, height}]
+     */
+    levelSizes(width, height) {
+        const sizes = [{ width, height }];
+        for (let level = 1; level < this.pyramidLevels; level++) {
+            const w = Math.floor(sizes[level - 1].width / 2);
+            const h = Math.floor(sizes[level - 1].height / 2);
+            if (w < 10 || h < 10) break;
+            sizes.push({ width: w, height: h });
+        }
+        return sizes;
+    }
+
+    /**
+     * Allocate a pyramid (one per snapshot when several frames must stay on the GPU)
+     * @param {number} width
+     * @param {number} height
+     * @returns {Object} {width, height, levels: [GPUTexture], scratch: GPUTexture}
+     */
+    createPyramid(width, height) {
+        const usage = GPUTextureUsage.STORAGE_BINDING | GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_SRC;
+        const sizes = this.levelSizes(width, height);
+
+        return {
+            width,
+            height,
+            sizes,
+            levels: sizes.map(size => this.device.createTexture({ size: [size.width, size.height], format: 'rgba8unorm', usage })),
+            scratch: this.device.createTexture({ size: [width, height], format: 'rgba8unorm', usage })
+        };
+    }
+
+    /**
+     * Release a pyramid's textures
+     * @param {Object} pyramid - From createPyramid()
+     */
+    destroyPyramid(pyramid) {
+        pyramid.levels.forEach(texture => texture.destroy());
+        pyramid.scratch.destroy();
     }
 
     ensureTextures(width, height) {
-        if (this.width === width && this.height === height && this.outputTexture) return;
+        if (this.width === width && this.height === height && this.pyramid) return;
 
         this.width = width;
         this.height = height;
 
-        // Output Texture (Storage Texture)
-        if (this.outputTexture) this.outputTexture.destroy();
-        this.outputTexture = this.device.createTexture({
-            size: [width, height],
-            format: 'rgba8unorm',
-            usage: GPUTextureUsage.STORAGE_BINDING | GPUTextureUsage.COPY_SRC
-        });
-
-        // Buffer for reading back data to CPU
-        const bufferSize = width * height * 4;
-        if (this.gpuReadBuffer) this.gpuReadBuffer.destroy();
-        this.gpuReadBuffer = this.device.createBuffer({
-            size: bufferSize,
-            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
-        });
+        if (this.pyramid) this.destroyPyramid(this.pyramid);
+        this.pyramid = this.createPyramid(width, height);
     }
 
     /**
-     * Processes a video frame or canvas on GPU
-     * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source 
-     * @returns {Promise<Uint8Array>} Raw pixel data (RGBA)
+     * Full-resolution grayscale (blurred) texture of the last execute()
+     * @returns {GPUTexture}
      */
     getOutputTexture() {
-        return this.outputTexture;
+        return this.pyramid ? this.pyramid.levels[0] : null;
+    }
+
+    /**
+     * Pyramid textures of the last execute(), finest first
+     * @returns {Array<GPUTexture>}
+     */
+    getPyramid() {
+        return this.pyramid ? this.pyramid.levels : [];
     }
 
     /**
      * Executes the shader pipeline without reading back to CPU
+     * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source
+     * @param {Object} pyramid - Target from createPyramid() (default: the preprocessor's own)
+     * @returns {Object} The pyramid written to
      */
-    execute(source) {
+    execute(source, pyramid = null) {
         const width = source.videoWidth || source.width;
         const height = source.videoHeight || source.height;
-        this.ensureTextures(width, height);
+        if (!pyramid) {
+            this.ensureTextures(width, height);
+            pyramid = this.pyramid;
+        }
+
+        const commandEncoder = this.device.createCommandEncoder();
+        const run = (pipeline, entries, size) => {
+            const pass = commandEncoder.beginComputePass();
+            pass.setPipeline(pipeline);
+            pass.setBindGroup(0, this.device.createBindGroup({ layout: pipeline.getBindGroupLayout(0), entries }));
+            pass.dispatchWorkgroups(Math.ceil(size.width / 16), Math.ceil(size.height / 16));
+            pass.end();
+        };
+        const level0 = pyramid.levels[0];
+        const full = pyramid.sizes[0];
+
+        // 1. Grayscale into level 0
+        if (typeof HTMLVideoElement !== 'undefined' && source instanceof HTMLVideoElement) {
+            run(this.pipelines.grayscaleVideo, [
+                { binding: 0, resource: this.device.importExternalTexture({ source }) },
+                { binding: 1, resource: level0.createView() }
+            ], full);
+        } else {
+            this._ensureInputTexture(width, height);
+            this.device.queue.copyExternalImageToTexture({ source }, { texture: this.inputTexture }, [width, height]);
+            run(this.pipelines.grayscaleImage, [
+                { binding: 0, resource: this.inputTexture.createView() },
+                { binding: 1, resource: level0.createView() }
+            ], full);
+        }
+
+        // 2. Separable blur: level 0 -> scratch (horizontal) -> level 0 (vertical)
+        if (this.blurSigma > 0) {
+            [[level0, pyramid.scratch], [pyramid.scratch, level0]].forEach(([src, dst], pass) => {
+                run(this.pipelines.blur, [
+                    { binding: 0, resource: src.createView() },
+                    { binding: 1, resource: dst.createView() },
+                    { binding: 2, resource: { buffer: this.blurParams[pass] } },
+                    { binding: 3, resource: { buffer: this.weightsBuffer } }
+                ], full);
+            });
+        }
 
-        const inputTexture = this.device.importExternalTexture({ source: source });
+        // 3. Pyramid levels
+        for (let level = 1; level < pyramid.levels.length; level++) {
+            run(this.pipelines.downsample, [
+                { binding: 0, resource: pyramid.levels[level - 1].createView() },
+                { binding: 1, resource: pyramid.levels[level].createView() }
+            ], pyramid.sizes[level]);
+        }
 
-        const bindGroup = this.device.createBindGroup({
-            layout: this.pipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: inputTexture },
-                { binding: 1, resource: this.outputTexture.createView() }
-            ]
+        this.device.queue.submit([commandEncoder.finish()]);
+        return pyramid;
+    }
+
+    /**
+     * Read one pyramid level back to the CPU
+     * @param {number} level - 0 = full resolution
+     * @param {Object} pyramid - Default: the preprocessor's own
+     * @returns {Promise<Object>} {data: Uint8Array (RGBA), width, height}
+     */
+    async readLevel(level = 0, pyramid = this.pyramid) {
+        const { width, height } = pyramid.sizes[level];
+        // Buffer rows must be 256-byte aligned
+        const bytesPerRow = Math.ceil(width * 4 / 256) * 256;
+
+        const readBuffer = this.device.createBuffer({
+            size: bytesPerRow * height,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
         });
 
         const commandEncoder = this.device.createCommandEncoder();
-        const passEncoder = commandEncoder.beginComputePass();
-        passEncoder.setPipeline(this.pipeline);
-        passEncoder.setBindGroup(0, bindGroup);
-        passEncoder.dispatchWorkgroups(Math.ceil(width / 16), Math.ceil(height / 16));
-        passEncoder.end();
-
+        commandEncoder.copyTextureToBuffer(
+            { texture: pyramid.levels[level] },
+            { buffer: readBuffer, bytesPerRow },
+            [width, height]
+        );
         this.device.queue.submit([commandEncoder.finish()]);
+
+        await readBuffer.mapAsync(GPUMapMode.READ);
+        const padded = new Uint8Array(readBuffer.getMappedRange());
+        const data = new Uint8Array(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            data.set(padded.subarray(y * bytesPerRow, y * bytesPerRow + width * 4), y * width * 4);
+        }
+        readBuffer.unmap();
+        readBuffer.destroy();
+
+        return { data, width, height };
     }
 
     /**
      * Processes a video frame or canvas on GPU and reads back to CPU
-     * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source 
-     * @returns {Promise<Uint8Array>} Raw pixel data (RGBA)
+     * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source
+     * @returns {Promise<Uint8Array>} Raw pixel data (RGBA) of the blurred full-resolution level
      */
     async process(source) {
         this.execute(source);
+        const { data } = await this.readLevel(0);
+        return data;
+    }
 
-        // Buffer readback logic
+    /**
+     * Run the GPU and CPU pipelines on the same image and compare every level
+     * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source
+     * @returns {Promise<Array>} Per level {width, height, maxDiff, meanDiff} in gray levels (0-255)
+     */
+    async compareWithCpu(source) {
         const width = source.videoWidth || source.width;
         const height = source.videoHeight || source.height;
 
-        const commandEncoder = this.device.createCommandEncoder();
-        commandEncoder.copyTextureToBuffer(
-            { texture: this.outputTexture },
-            { buffer: this.gpuReadBuffer, bytesPerRow: width * 4 },
-            [width, height]
-        );
-        this.device.queue.submit([commandEncoder.finish()]);
+        // Freeze the frame so both pipelines see the same pixels
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0, width, height);
+
+        const reference = GpuPreprocessor.cpuReference(ctx.getImageData(0, 0, width, height), {
+            blurSigma: this.blurSigma,
+            blurRadius: this.blurRadius,
+            pyramidLevels: this.pyramidLevels
+        });
+
+        // Own pyramid: a process() loop on the same preprocessor would overwrite the shared one
+        const pyramid = this.execute(canvas, this.createPyramid(width, height));
+
+        try {
+            const report = [];
+            for (let level = 0; level < reference.length; level++) {
+                const gpu = await this.readLevel(level, pyramid);
+                const cpu = reference[level];
+                let maxDiff = 0, sumDiff = 0;
+                for (let i = 0; i < cpu.data.length; i++) {
+                    const diff = Math.abs(gpu.data[i * 4] - cpu.data[i]);
+                    maxDiff = Math.max(maxDiff, diff);
+                    sumDiff += diff;
+                }
+                report.push({ width: cpu.width, height: cpu.height, maxDiff, meanDiff: sumDiff / cpu.data.length });
+            }
+            return report;
+        } finally {
+            this.destroyPyramid(pyramid);
+        }
+    }
+
+    /**
+     * Normalized 1D Gaussian weights
+     * @param {number} sigma
+     * @param {number} radius
+     * @returns {Float32Array} 2 * radius + 1 weights
+     */
+    static gaussianKernel(sigma, radius) {
+        const weights = new Float32Array(2 * radius + 1);
+        let sum = 0;
+        for (let i = -radius; i <= radius; i++) {
+            const w = Math.exp(-(i * i) / (2 * sigma * sigma));
+            weights[i + radius] = w;
+            sum += w;
+        }
+        return weights.map(w => w / sum);
+    }
+
+    /**
+     * CPU reference of execute(): same passes, edge handling and 8-bit rounding
+     * @param {ImageData|Object} image - {data: RGBA bytes, width, height}
+     * @param {Object} options - blurSigma, blurRadius, pyramidLevels (see constructor)
+     * @returns {Array} Levels [{data: Float32Array gray 0-255, width, height}], finest first
+     */
+    static cpuReference(image, options = {}) {
+        const sigma = options.blurSigma ?? 1;
+        const radius = options.blurRadius ?? Math.ceil(sigma * 2);
+        const pyramidLevels = options.pyramidLevels || 3;
+        const { width, height, data } = image;
+
+        // Storage textures are rgba8unorm, so every pass ends in 8-bit rounding
+        const quantize = v => Math.round(Math.max(0, Math.min(255, v)));
+
+        let gray = new Float32Array(width * height);
+        for (let i = 0, idx = 0; i < gray.length; i++, idx += 4) {
+            gray[i] = quantize(0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2]);
+        }
+
+        if (sigma > 0) {
+            const weights = GpuPreprocessor.gaussianKernel(sigma, radius);
+            const pass = (src, dx, dy) => {
+                const dst = new Float32Array(src.length);
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        let sum = 0;
+                        for (let i = -radius; i <= radius; i++) {
+                            const sx = Math.max(0, Math.min(width - 1, x + dx * i));
+                            const sy = Math.max(0, Math.min(height - 1, y + dy * i));
+                            sum += src[sy * width + sx] * weights[i + radius];
+                        }
+                        dst[y * width + x] = quantize(sum);
+                    }
+                }
+                return dst;
+            };
+            gray = pass(pass(gray, 1, 0), 0, 1);
+        }
+
+        const levels = [{ data: gray, width, height }];
+        for (let level = 1; level < pyramidLevels; level++) {
+            const prev = levels[level - 1];
+            const w = Math.floor(prev.width / 2);
+            const h = Math.floor(prev.height / 2);
+            if (w < 10 || h < 10) break;
 
-        await this.gpuReadBuffer.mapAsync(GPUMapMode.READ);
-        const arrayBuffer = this.gpuReadBuffer.getMappedRange();
-        const outputData = new Uint8Array(arrayBuffer.slice(0));
-        this.gpuReadBuffer.unmap();
+            const out = new Float32Array(w * h);
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    const i = 2 * y * prev.width + 2 * x;
+                    out[y * w + x] = quantize(
+                        (prev.data[i] + prev.data[i + 1] + prev.data[i + prev.width] + prev.data[i + prev.width + 1]) / 4
+                    );
+                }
+            }
+            levels.push({ data: out, width: w, height: h });
+        }
 
-        return outputData;
+        return levels;
     }
+
+    /**
+     * @private
+     */
+    _ensureInputTexture(width, height) {
+        if (this.inputTexture && this.inputTexture.width === width && this.inputTexture.height === height) return;
+
+        if (this.inputTexture) this.inputTexture.destroy();
+        this.inputTexture = this.device.createTexture({
+            size: [width, height],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GpuPreprocessor };
 }
@@ -0,0 +1,210 @@
+/**
+ * HandDepthEstimator - How far the hand is pushed toward or pulled from the camera
+ *
+ * MediaPipe landmarks are 2D plus a z that is only relative to the wrist, so
+ * depth is combined from two cues:
+ *
+ *   size  apparent palm size (wrist to middle knuckle, unaffected by curling
+ *         fingers) against the calibrated palm size; log ratio, so 20% bigger
+ *         and 20% smaller are equally far from neutral
+ *   z     index fingertip z in front of the wrist, in palm lengths, against
+ *         the player's usual pointing pose
+ *
+ * The result is smoothed and clamped to [-1, 1]: 0 at the neutral distance,
+ * positive when the hand pushes toward the camera.
+ *
+ * The neutral palm size comes from the calibration's relax step when a
+ * CalibrationManager is passed; otherwise (and always for z) it is learned
+ * from the first frames after reset().
+ *
+ * depthCursorPoint() turns the depth into a 3D cursor position along the
+ * view ray, and placeDepthShadow() puts a marker under the cursor so the
+ * player can see how far in it is.
+ *
+ * Usage:
+ *   const depth = new HandDepthEstimator({ calibration: calibrationManager });
+ *   const d = depth.update(landmarks);   // in onResults
+ *   const point = depthCursorPoint(raycaster.ray, 0, d, { depthRange: 3, depthLimit: 2, surface });
+ */
+
+class HandDepthEstimator {
+    /**
+     * @param {Object} options
+     * @param {CalibrationManager} options.calibration - Neutral palm size from its relax step
+     * @param {number} options.sizeRange - Log palm-size ratio that maps to full depth (default: ln 1.5)
+     * @param {number} options.zRange - Fingertip z offset in palm lengths that maps to full depth (default: 0.6)
+     * @param {number} options.sizeWeight - Weight of the size cue (default: 0.7)
+     * @param {number} options.zWeight - Weight of the z cue (default: 0.3)
+     * @param {number} options.smoothing - EMA weight of a new frame (default: 0.3)
+     * @param {number} options.baselineFrames - Frames used to learn the neutral pose (default: 15)
+     */
+    constructor(options = {}) {
+        this.calibration = options.calibration || null;
+        this.sizeRange = options.sizeRange || Math.log(1.5);
+        this.zRange = options.zRange || 0.6;
+        this.sizeWeight = options.sizeWeight ?? 0.7;
+        this.zWeight = options.zWeight ?? 0.3;
+        this.smoothing = options.smoothing || 0.3;
+        this.baselineFrames = options.baselineFrames || 15;
+        this.reset();
+    }
+
+    /**
+     * Add a frame
+     * @param {Array} landmarks - 21 MediaPipe landmarks
+     * @returns {number} Smoothed depth in [-1, 1]
+     */
+    update(landmarks) {
+        if (!landmarks || landmarks.length < 21) return this.depth;
+
+        const wrist = landmarks[0], middleBase = landmarks[9], indexTip = landmarks[8];
+        const palmSize = Math.hypot(middleBase.x - wrist.x, middleBase.y - wrist.y);
+        if (palmSize <= 0) return this.depth;
+        const reach = ((wrist.z || 0) - (indexTip.z || 0)) / palmSize;
+
+        // Learn the neutral pose first
+        if (this.baseline.length < this.baselineFrames) {
+            this.baseline.push({ palmSize, reach });
+            if (this.baseline.length < this.baselineFrames) return this.depth;
+            this.neutral = {
+                palmSize: HandDepthEstimator.median(this.baseline.map(s => s.palmSize)),
+                reach: HandDepthEstimator.median(this.baseline.map(s => s.reach))
+            };
+        }
+
+        const sizeDepth = Math.log(palmSize / this.getNeutralPalmSize()) / this.sizeRange;
+        const zDepth = (reach - this.neutral.reach) / this.zRange;
+        const raw = Math.max(-1, Math.min(1,
+            (sizeDepth * this.sizeWeight + zDepth * this.zWeight) / (this.sizeWeight + this.zWeight)
+        ));
+
+        this.depth += (raw - this.depth) * this.smoothing;
+        return this.depth;
+    }
+
+    /**
+     * @returns {number} Smoothed depth in [-1, 1]
+     */
+    getDepth() {
+        return this.depth;
+    }
+
+    /**
+     * Palm size at the neutral distance: calibrated, else learned
+     * @returns {number}
+     */
+    getNeutralPalmSize() {
+        const relax = this.calibration && this.calibration.getResult('relax');
+        if (relax && relax.palmSize) return relax.palmSize;
+        return this.neutral ? this.neutral.palmSize : 0;
+    }
+
+    /**
+     * Forget the smoothed depth and relearn the neutral pose
+     */
+    reset() {
+        this.depth = 0;
+        this.baseline = [];
+        this.neutral = null;
+    }
+
+    /**
+     * @param {Array<number>} values
+     * @returns {number}
+     */
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
+
+/**
+ * Height of the surface under a point: the top of a box centered at the origin, or the floor beside it
+ * @param {number} x
+ * @param {number} z
+ * @param {Object} surface - {halfWidth, halfDepth, top, floor}
+ * @returns {number}
+ */
+function depthSurfaceY(x, z, surface) {
+    return Math.abs(x) <= surface.halfWidth && Math.abs(z) <= surface.halfDepth ? surface.top : surface.floor;
+}
+
+/**
+ * Cursor position for a view ray and a hand depth
+ * The ray is followed from where it crosses planeY, depth * depthRange further
+ * in (or back out). The distance is held where the ray would pass the z
+ * limit or go into the surface, so the point always stays on the ray.
+ * @param {Object} ray - {origin, direction} with x/y/z, direction normalized (e.g. THREE.Ray)
+ * @param {number} planeY - Height the cursor rests at with the hand at neutral depth
+ * @param {number} depth - HandDepthEstimator depth in [-1, 1]
+ * @param {Object} options
+ * @param {number} options.depthRange - World units along the ray at full depth
+ * @param {number} options.depthLimit - Largest |z|
+ * @param {Object} options.surface - Box (e.g. a game board) on a floor: {halfWidth, halfDepth, top, floor}
+ * @param {number} options.clearance - Gap kept above the surface, e.g. the cursor's radius (default: 0)
+ * @returns {Object|null} {x, y, z}, or null when the ray doesn't reach planeY
+ */
+function depthCursorPoint(ray, planeY, depth, options) {
+    const { origin, direction } = ray;
+    const clearance = options.clearance || 0;
+    if (direction.y === 0) return null;
+    const start = (planeY - origin.y) / direction.y;
+    if (start < 0) return null;
+
+    let near = 0, far = Infinity;
+    // |z| limit
+    if (direction.z !== 0) {
+        const t1 = (-options.depthLimit - origin.z) / direction.z;
+        const t2 = (options.depthLimit - origin.z) / direction.z;
+        near = Math.max(near, Math.min(t1, t2));
+        far = Math.min(far, Math.max(t1, t2));
+    }
+    // Floor, and the box raised by the clearance (slab test for the entry point)
+    const { halfWidth, halfDepth, top, floor } = options.surface;
+    if (direction.y < 0) far = Math.min(far, (floor + clearance - origin.y) / direction.y);
+    let enter = 0, exit = Infinity;
+    [['x', -halfWidth, halfWidth], ['y', floor, top + clearance], ['z', -halfDepth, halfDepth]].forEach(([axis, min, max]) => {
+        if (direction[axis] === 0) {
+            if (origin[axis] < min || origin[axis] > max) exit = -Infinity;
+            return;
+        }
+        const t1 = (min - origin[axis]) / direction[axis];
+        const t2 = (max - origin[axis]) / direction[axis];
+        enter = Math.max(enter, Math.min(t1, t2));
+        exit = Math.min(exit, Math.max(t1, t2));
+    });
+    if (enter <= exit) far = Math.min(far, enter);
+
+    // The surface wins over the z limit where they disagree
+    const t = Math.min(far, Math.max(near, start + depth * options.depthRange));
+    return {
+        x: origin.x + direction.x * t,
+        y: origin.y + direction.y * t,
+        z: origin.z + direction.z * t
+    };
+}
+
+/**
+ * Put a flat marker on the surface under the cursor; higher cursor, bigger and fainter marker
+ * @param {Object} shadow - Marker mesh (e.g. THREE.Mesh with a transparent material)
+ * @param {Object} cursor - Cursor mesh
+ * @param {Object} surface - As in depthCursorPoint()
+ */
+function placeDepthShadow(shadow, cursor, surface) {
+    shadow.visible = cursor.visible;
+    if (!cursor.visible) return;
+
+    const { x, y, z } = cursor.position;
+    // Just above the surface, so it doesn't flicker against it
+    const surfaceY = depthSurfaceY(x, z, surface) + 0.01;
+    const height = Math.max(0, y - surfaceY);
+    shadow.position.set(x, surfaceY, z);
+    shadow.scale.setScalar(1 + height * 0.15);
+    shadow.material.opacity = Math.max(0.15, 0.45 - height * 0.06);
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HandDepthEstimator, depthSurfaceY, depthCursorPoint, placeDepthShadow };
+}
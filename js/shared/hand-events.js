@@ -0,0 +1,285 @@
+/**
+ * HandEventEmitter - Gesture transitions as DOM-style events
+ *
+ * Games used to diff booleans every frame (`isPinching && !lastPinchState`)
+ * to find when a pinch started or ended. The emitter keeps that state per
+ * hand ID and dispatches typed events (HAND_EVENTS) instead:
+ *
+ *   handenter / handleave        a hand ID appears / is gone
+ *   pinchstart / move / end      pinch held (pinchmove every frame while held)
+ *   grab / release               fist closed / opened
+ *   swipe                        fast straight stroke of an open hand (`direction`)
+ *   gesturechange                primary GestureEngine gesture changed
+ *   trackinglost / recovered     no hand for lostTimeout ms / a hand is back
+ *
+ * It only diffs: the game decides what a pinch is (GestureEngine, calibrated
+ * thresholds...) and passes the result in. Swipes need motion-gestures.js;
+ * without it none are emitted.
+ *
+ * Classic script: pages load it with a <script> tag, ES modules use the globals.
+ *
+ * Usage:
+ *   const handEvents = new HandEventEmitter();
+ *   handEvents.on('pinchstart', (e) => grab(e.handId, e.position));
+ *   handEvents.on('pinchend', (e) => drop(e.position));
+ *   handEvents.update([{ id, landmarks, position, isPinching, gesture, gestures }], { captureTime });
+ */
+
+/**
+ * Event types dispatched by HandEventEmitter (and HandTracker)
+ */
+const HAND_EVENTS = Object.freeze({
+    HAND_ENTER: 'handenter',
+    HAND_LEAVE: 'handleave',
+    PINCH_START: 'pinchstart',
+    PINCH_MOVE: 'pinchmove',
+    PINCH_END: 'pinchend',
+    GRAB: 'grab',
+    RELEASE: 'release',
+    SWIPE: 'swipe',
+    GESTURE_CHANGE: 'gesturechange',
+    TRACKING_LOST: 'trackinglost',
+    TRACKING_RECOVERED: 'trackingrecovered'
+});
+
+const SWIPE_GESTURES = ['swipe_left', 'swipe_right', 'swipe_up', 'swipe_down'];
+
+/**
+ * Event dispatched by HandEventEmitter
+ * Hand events describe one hand (by stable ID) with its smoothed, mirrored
+ * position; tracking events (lost/recovered) have no hand.
+ */
+class HandEvent extends Event {
+    /**
+     * @param {string} type - One of HAND_EVENTS
+     * @param {Object} init
+     * @param {number} init.timestamp - ms (performance.now()) the result was processed
+     * @param {number} init.captureTime - ms the frame was captured, when the frame source knows
+     * @param {number} init.handId - Stable hand ID (HandIdentityTracker)
+     * @param {string} init.label - 'Left' or 'Right'
+     * @param {Object} init.position - Smoothed index-tip position { x, y }, 0-1, mirrored for the screen
+     * @param {Object} init.rawPosition - Unsmoothed position { x, y }
+     * @param {number} init.pinchDistance
+     * @param {string} init.gesture - Primary gesture (GestureEngine)
+     * @param {string} init.previousGesture - gesturechange: the gesture before
+     * @param {Object} init.startPosition - Pinch and grab events: smoothed position when it started
+     * @param {number} init.duration - pinchmove/pinchend/release: ms since it started;
+     *   swipe: length of the stroke; trackingrecovered: ms without hands
+     * @param {boolean} init.cancelled - pinchend/release: the hand was lost while holding
+     * @param {string} init.direction - swipe: 'left', 'right', 'up' or 'down' as the player sees it
+     */
+    constructor(type, init = {}) {
+        super(type);
+        this.timestamp = init.timestamp;
+        this.captureTime = init.captureTime ?? null;
+        this.handId = init.handId ?? null;
+        this.label = init.label ?? null;
+        this.position = init.position || null;
+        this.rawPosition = init.rawPosition || null;
+        this.pinchDistance = init.pinchDistance ?? null;
+        this.gesture = init.gesture ?? null;
+        this.previousGesture = init.previousGesture ?? null;
+        this.startPosition = init.startPosition || null;
+        this.duration = init.duration ?? null;
+        this.cancelled = !!init.cancelled;
+        this.direction = init.direction ?? null;
+    }
+}
+
+class HandEventEmitter extends EventTarget {
+    /**
+     * @param {Object} options
+     * @param {EventTarget} options.target - Where events are dispatched (default: the emitter)
+     * @param {number} options.lostTimeout - ms without any hand before 'trackinglost' (default: 500)
+     * @param {Array<string>} options.swipeGestures - Swipes to recognize (default: all four directions)
+     * @param {Object} options.motion - Extra MotionGestureRecognizer options (e.g. sensitivity)
+     */
+    constructor(options = {}) {
+        super();
+        this.target = options.target || this;
+        this.lostTimeout = options.lostTimeout ?? 500;
+        this.swipeGestures = options.swipeGestures || SWIPE_GESTURES;
+        this.motionOptions = options.motion || {};
+
+        // Hand ID -> { gesture, pinch, grab, last, motion }
+        this.hands = new Map();
+        this.lastSeenAt = null;
+        this.trackingLost = false;
+    }
+
+    /**
+     * addEventListener on the target that returns its own remover
+     * @param {string} type - One of HAND_EVENTS
+     * @param {Function} listener - (HandEvent) => void
+     * @returns {Function} Unsubscribe
+     */
+    on(type, listener) {
+        this.target.addEventListener(type, listener);
+        return () => this.target.removeEventListener(type, listener);
+    }
+
+    /**
+     * Add a frame and dispatch its transitions
+     * @param {Array} hands - [{ id, label, landmarks, position, rawPosition, pinchDistance,
+     *   isPinching, gesture, gestures }]: gesture is GestureEngine's primary, gestures its active list
+     * @param {Object} frame
+     * @param {number} frame.timestamp - ms (default: performance.now())
+     * @param {number} frame.captureTime - ms the frame was captured
+     * @param {Array<number>} frame.lost - IDs that are gone (default: every known ID missing from hands);
+     *   pass HandIdentityTracker's list to keep hands through its grace period
+     * @returns {Array<HandEvent>} The dispatched events
+     */
+    update(hands, frame = {}) {
+        const timestamp = frame.timestamp ?? performance.now();
+        const captureTime = frame.captureTime ?? null;
+        const events = [];
+
+        const present = new Set(hands.map(hand => hand.id));
+        const lost = frame.lost || [...this.hands.keys()].filter(id => !present.has(id));
+        lost.forEach(id => this._leave(id, timestamp, captureTime, events));
+
+        hands.forEach(hand => this._updateHand(hand, timestamp, captureTime, events));
+
+        if (hands.length > 0) {
+            if (this.trackingLost) {
+                events.unshift(new HandEvent(HAND_EVENTS.TRACKING_RECOVERED, {
+                    timestamp, captureTime, duration: timestamp - this.lastSeenAt
+                }));
+                this.trackingLost = false;
+            }
+            this.lastSeenAt = timestamp;
+        } else if (!this.trackingLost && this.lastSeenAt !== null && timestamp - this.lastSeenAt >= this.lostTimeout) {
+            this.trackingLost = true;
+            events.push(new HandEvent(HAND_EVENTS.TRACKING_LOST, { timestamp, captureTime }));
+        }
+
+        // State is up to date before listeners run
+        events.forEach(event => this.target.dispatchEvent(event));
+        return events;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {boolean} The hand is holding a pinch
+     */
+    isPinching(id) {
+        const hand = this.hands.get(id);
+        return !!(hand && hand.pinch);
+    }
+
+    /**
+     * @param {number} id
+     * @returns {boolean} The hand is holding a fist
+     */
+    isGrabbing(id) {
+        const hand = this.hands.get(id);
+        return !!(hand && hand.grab);
+    }
+
+    /**
+     * Forget every hand without dispatching (e.g. gesture mode switched off)
+     */
+    reset() {
+        this.hands.clear();
+        this.lastSeenAt = null;
+        this.trackingLost = false;
+    }
+
+    /**
+     * @private
+     */
+    _leave(id, timestamp, captureTime, events) {
+        const state = this.hands.get(id);
+        if (!state) return;
+        this.hands.delete(id);
+        if (!state.last) return;
+
+        const last = { ...state.last, timestamp, captureTime, cancelled: true };
+        if (state.pinch) {
+            events.push(new HandEvent(HAND_EVENTS.PINCH_END, {
+                ...last, startPosition: state.pinch.position, duration: timestamp - state.pinch.start
+            }));
+        }
+        if (state.grab) {
+            events.push(new HandEvent(HAND_EVENTS.RELEASE, {
+                ...last, startPosition: state.grab.position, duration: timestamp - state.grab.start
+            }));
+        }
+        events.push(new HandEvent(HAND_EVENTS.HAND_LEAVE, { ...state.last, timestamp, captureTime }));
+    }
+
+    /**
+     * @private
+     */
+    _updateHand(hand, timestamp, captureTime, events) {
+        let state = this.hands.get(hand.id);
+        const isNew = !state;
+        if (!state) {
+            state = { gesture: null, pinch: null, grab: null, last: null, motion: null };
+            this.hands.set(hand.id, state);
+        }
+
+        const detail = {
+            timestamp,
+            captureTime,
+            handId: hand.id,
+            label: hand.label ?? null,
+            position: hand.position ? { ...hand.position } : null,
+            rawPosition: hand.rawPosition ? { ...hand.rawPosition } : null,
+            pinchDistance: hand.pinchDistance ?? null,
+            gesture: hand.gesture ?? null
+        };
+        state.last = detail;
+
+        if (isNew) events.push(new HandEvent(HAND_EVENTS.HAND_ENTER, detail));
+
+        if (detail.gesture !== state.gesture) {
+            events.push(new HandEvent(HAND_EVENTS.GESTURE_CHANGE, { ...detail, previousGesture: state.gesture }));
+            state.gesture = detail.gesture;
+        }
+
+        // Pinch
+        const isPinching = !!hand.isPinching;
+        if (isPinching && !state.pinch) {
+            state.pinch = { start: timestamp, position: detail.position };
+            events.push(new HandEvent(HAND_EVENTS.PINCH_START, { ...detail, startPosition: detail.position, duration: 0 }));
+        } else if (state.pinch) {
+            const pinch = { ...detail, startPosition: state.pinch.position, duration: timestamp - state.pinch.start };
+            events.push(new HandEvent(isPinching ? HAND_EVENTS.PINCH_MOVE : HAND_EVENTS.PINCH_END, pinch));
+            if (!isPinching) state.pinch = null;
+        }
+
+        // Fist
+        const isGrabbing = (hand.gestures || []).includes('fist');
+        if (isGrabbing && !state.grab) {
+            state.grab = { start: timestamp, position: detail.position };
+            events.push(new HandEvent(HAND_EVENTS.GRAB, { ...detail, startPosition: detail.position, duration: 0 }));
+        } else if (!isGrabbing && state.grab) {
+            events.push(new HandEvent(HAND_EVENTS.RELEASE, {
+                ...detail, startPosition: state.grab.position, duration: timestamp - state.grab.start
+            }));
+            state.grab = null;
+        }
+
+        // Swipes: only an open hand that isn't holding anything
+        if (typeof MotionGestureRecognizer === 'undefined' || !hand.landmarks) return;
+        if (!state.motion) {
+            state.motion = new MotionGestureRecognizer({ ...this.motionOptions, gestures: this.swipeGestures });
+        }
+        if (isPinching || isGrabbing) {
+            state.motion.reset();
+            return;
+        }
+        const motion = state.motion.update(hand.landmarks, captureTime ?? timestamp);
+        if (motion && motion.type.startsWith('swipe_')) {
+            events.push(new HandEvent(HAND_EVENTS.SWIPE, {
+                ...detail, direction: motion.type.slice('swipe_'.length), duration: motion.duration
+            }));
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HandEventEmitter, HandEvent, HAND_EVENTS };
+}
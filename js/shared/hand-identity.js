@@ -0,0 +1,155 @@
+/**
+ * Hand Identity Tracker
+ * Keeps a stable ID and a smoothed left/right label for every detected hand
+ *
+ * MediaPipe returns hands in arbitrary order and its handedness label can
+ * flicker, so hands are matched frame to frame by palm position instead of
+ * array index.
+ *
+ * Classic script: pages load it with a <script> tag, ES modules use the globals.
+ */
+
+const IDENTITY_PALM_POINTS = [0, 5, 9, 13, 17];
+
+/**
+ * Palm center (average of wrist and finger bases)
+ */
+function palmCenter(landmarks) {
+    let x = 0, y = 0;
+    IDENTITY_PALM_POINTS.forEach(i => {
+        x += landmarks[i].x;
+        y += landmarks[i].y;
+    });
+    return { x: x / IDENTITY_PALM_POINTS.length, y: y / IDENTITY_PALM_POINTS.length };
+}
+
+class HandIdentityTracker {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxMatchDistance - Max palm movement between frames, normalized (default: 0.25)
+     * @param {number} options.labelMismatchPenalty - Extra match cost when labels disagree (default: 0.1)
+     * @param {number} options.gracePeriodMs - Keep a lost hand's ID this long (default: 300)
+     * @param {boolean} options.mirrorHandedness - Swap MediaPipe labels for an unmirrored camera (default: true)
+     */
+    constructor(options = {}) {
+        this.maxMatchDistance = options.maxMatchDistance || 0.25;
+        this.labelMismatchPenalty = options.labelMismatchPenalty ?? 0.1;
+        this.gracePeriodMs = options.gracePeriodMs ?? 300;
+        // MediaPipe assumes a selfie-mirrored image; our webcam frames are not mirrored
+        this.mirrorHandedness = options.mirrorHandedness !== false;
+
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Match this frame's hands to known tracks
+     * @param {Array} multiHandLandmarks - MediaPipe landmarks per hand
+     * @param {Array} multiHandedness - MediaPipe handedness per hand
+     * @param {number} timestamp - ms (default: performance.now())
+     * @returns {Object} { hands: [{ id, label, score, labelConfidence, landmarks, isNew }], lost: [id] }
+     *   score is MediaPipe's handedness score for this frame, labelConfidence how settled the smoothed label is (0.5-1)
+     */
+    update(multiHandLandmarks = [], multiHandedness = [], timestamp = performance.now()) {
+        const detections = multiHandLandmarks.map((landmarks, index) => {
+            const handedness = multiHandedness[index] || { label: 'Right', score: 0.5 };
+            return {
+                landmarks,
+                center: palmCenter(landmarks),
+                label: this._correctLabel(handedness.label),
+                score: handedness.score
+            };
+        });
+
+        // Greedy matching: cheapest detection/track pairs first
+        const pairs = [];
+        detections.forEach((detection, d) => {
+            this.tracks.forEach((track, t) => {
+                const dx = detection.center.x - track.center.x;
+                const dy = detection.center.y - track.center.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance > this.maxMatchDistance) return;
+
+                const penalty = detection.label !== track.label ? this.labelMismatchPenalty : 0;
+                pairs.push({ d, t, cost: distance + penalty });
+            });
+        });
+        pairs.sort((a, b) => a.cost - b.cost);
+
+        const matchedDetections = new Set();
+        const matchedTracks = new Set();
+        const assignments = new Array(detections.length).fill(null);
+
+        pairs.forEach(({ d, t }) => {
+            if (matchedDetections.has(d) || matchedTracks.has(t)) return;
+            matchedDetections.add(d);
+            matchedTracks.add(t);
+            assignments[d] = this.tracks[t];
+        });
+
+        const hands = detections.map((detection, d) => {
+            let track = assignments[d];
+            const isNew = !track;
+
+            if (isNew) {
+                track = { id: this.nextId++, rightVote: null, label: detection.label };
+                this.tracks.push(track);
+            }
+
+            track.center = detection.center;
+            track.lastSeen = timestamp;
+            this._updateLabel(track, detection);
+
+            return {
+                id: track.id,
+                label: track.label,
+                score: detection.score,
+                labelConfidence: Math.max(track.rightVote, 1 - track.rightVote),
+                landmarks: detection.landmarks,
+                isNew
+            };
+        });
+
+        // Drop tracks that have been missing longer than the grace period
+        const lost = [];
+        this.tracks = this.tracks.filter(track => {
+            if (timestamp - track.lastSeen <= this.gracePeriodMs) return true;
+            lost.push(track.id);
+            return false;
+        });
+
+        return { hands, lost };
+    }
+
+    /**
+     * Forget all hands
+     */
+    reset() {
+        this.tracks = [];
+    }
+
+    /**
+     * @private
+     */
+    _correctLabel(label) {
+        if (!this.mirrorHandedness) return label;
+        return label === 'Left' ? 'Right' : 'Left';
+    }
+
+    /**
+     * Exponential vote so a single mislabeled frame doesn't flip the hand
+     * @private
+     */
+    _updateLabel(track, detection) {
+        const rightProbability = detection.label === 'Right' ? detection.score : 1 - detection.score;
+        track.rightVote = track.rightVote === null
+            ? rightProbability
+            : track.rightVote * 0.8 + rightProbability * 0.2;
+        track.label = track.rightVote >= 0.5 ? 'Right' : 'Left';
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HandIdentityTracker, palmCenter };
+}
@@ -0,0 +1,423 @@
+/**
+ * HandPointer - The index fingertip as a pointer for DOM menus
+ *
+ * Menus (hub cards, difficulty buttons, retry, sliders...) are plain DOM, so
+ * instead of giving each one gesture code the pointer dispatches real pointer
+ * and mouse events to whatever element is under the fingertip:
+ *
+ *   move    pointerover/out + mouseover/out when the element changes,
+ *           pointermove + mousemove every frame
+ *   pinch   pointerdown/mousedown; releasing over the same control clicks it
+ *   dwell   resting on a control for `dwellTime` clicks it; a ring around the
+ *           cursor fills up meanwhile
+ *   drag    pinching on <input type="range"> drags its value (input events,
+ *           change on release)
+ *
+ * Synthetic events can't trigger :hover, so the control under the pointer
+ * gets the `hand-hover` class instead. <select> can't be opened from script;
+ * clicking one steps to its next option.
+ *
+ * Pages that track hands already feed it their landmarks; pages that don't
+ * (the hub) use startHandPointerCamera(). Whether the player wants the pointer
+ * is remembered in localStorage and shared by all pages.
+ *
+ * Usage:
+ *   const pointer = new HandPointer({ mapPosition: (x, y) => calibration.mapToReach(x, y) });
+ *   pointer.update(landmarks);        // in onResults, null when the hand is lost
+ */
+
+const HAND_POINTER_STORAGE_KEY = 'handPointerEnabled';
+
+// What a click, dwell or hover outline applies to
+const HAND_POINTER_CONTROLS = 'a[href], button, input, select, label, [role="button"], [role="switch"]';
+
+/**
+ * Text through the shared i18n instance when the page loaded i18n.js
+ */
+function pointerText(key, params = {}) {
+    return typeof i18n !== 'undefined' ? i18n.t(key, params) : key;
+}
+
+class HandPointer {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.enabled - Start enabled (default: true)
+     * @param {boolean} options.mirrored - Flip x to match a mirrored preview (default: true)
+     * @param {Function} options.mapPosition - (x, y) => { x, y } in 0-1, e.g. calibrated reach
+     * @param {number} options.smoothing - EMA weight of a new position (default: 0.35)
+     * @param {number} options.dwellTime - ms resting on a control to click it, 0 = pinch only (default: 1200)
+     * @param {number|Function} options.pinchThreshold - Thumb-index distance, or () => distance (default: 0.06)
+     * @param {boolean} options.idleHidden - Only show the cursor over controls, for pages with their own cursor (default: false)
+     * @param {HTMLElement} options.container - Where the cursor element goes (default: document.body)
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? true;
+        this.mirrored = options.mirrored ?? true;
+        this.mapPosition = options.mapPosition || ((x, y) => ({ x, y }));
+        this.smoothing = options.smoothing || 0.35;
+        this.dwellTime = options.dwellTime ?? 1200;
+        this.dwellEnabled = true;
+        this.pinchThreshold = options.pinchThreshold || 0.06;
+        this.idleHidden = options.idleHidden || false;
+        this.pointerId = 1000;
+
+        this.element = this._createElement();
+        (options.container || document.body).appendChild(this.element);
+
+        this.position = null;
+        this.target = null;
+        this.control = null;
+        this.pinching = false;
+        this.pressed = null;
+        this.slider = null;
+        this.dwellStart = 0;
+        this.dwellDone = false;
+        this._render(0);
+    }
+
+    /**
+     * Add a frame
+     * @param {Array|null} landmarks - 21 MediaPipe landmarks, null when the hand is lost
+     * @param {Object} options
+     * @param {boolean} options.pinching - The page's own pinch state (default: measured here)
+     * @param {number} options.timestamp - ms (default: performance.now())
+     * @returns {boolean} The pointer is over a control (the page should ignore the hand)
+     */
+    update(landmarks, options = {}) {
+        if (!this.enabled || !landmarks || landmarks.length < 21) {
+            this.hide();
+            return false;
+        }
+        const timestamp = options.timestamp ?? performance.now();
+
+        // Fingertip -> viewport pixels
+        const indexTip = landmarks[8];
+        const mapped = this.mapPosition(this.mirrored ? 1 - indexTip.x : indexTip.x, indexTip.y);
+        const x = mapped.x * window.innerWidth, y = mapped.y * window.innerHeight;
+        this.position = this.position
+            ? { x: this.position.x + (x - this.position.x) * this.smoothing, y: this.position.y + (y - this.position.y) * this.smoothing }
+            : { x, y };
+
+        this._hover(document.elementFromPoint(this.position.x, this.position.y));
+        this._dispatch(this.target, 'move');
+
+        const pinching = options.pinching ?? this._measurePinch(landmarks);
+        if (pinching && !this.pinching) this._press();
+        else if (!pinching && this.pinching) this._release();
+        this.pinching = pinching;
+
+        if (this.slider) this._dragSlider();
+
+        this._render(this._dwell(timestamp));
+        return this.control !== null;
+    }
+
+    /**
+     * @returns {boolean} The pointer is over a control
+     */
+    isOverControl() {
+        return this.control !== null;
+    }
+
+    /**
+     * Turn the pointer on or off (off hides it and cancels a press)
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+        if (!enabled) this.hide();
+    }
+
+    /**
+     * Turn dwell clicks on or off; pinch clicks either way
+     * (e.g. off during play, so a resting hand doesn't press buttons)
+     * @param {boolean} enabled
+     */
+    setDwell(enabled) {
+        this.dwellEnabled = enabled;
+        if (!enabled) this.dwellStart = 0;
+    }
+
+    /**
+     * Hide the cursor and drop hover, press and dwell (e.g. the hand left the frame)
+     */
+    hide() {
+        if (this.pressed) this._dispatch(this.target, 'cancel');
+        if (this.slider) this.slider.dispatchEvent(new Event('change', { bubbles: true }));
+        this._hover(null);
+        this.position = null;
+        this.pinching = false;
+        this.pressed = null;
+        this.slider = null;
+        this._render(0);
+    }
+
+    /**
+     * Remove the cursor element
+     */
+    destroy() {
+        this.hide();
+        this.element.remove();
+    }
+
+    /**
+     * Is the player using the hand pointer? (saved across pages)
+     * @returns {boolean}
+     */
+    static isPreferred() {
+        try {
+            return localStorage.getItem(HAND_POINTER_STORAGE_KEY) === 'true';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    static setPreferred(enabled) {
+        try {
+            localStorage.setItem(HAND_POINTER_STORAGE_KEY, String(enabled));
+        } catch (e) {
+            console.warn('Failed to save hand pointer setting:', e);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _createElement() {
+        const element = document.createElement('div');
+        element.className = 'hand-pointer hidden';
+        element.innerHTML = `
+            <svg viewBox="0 0 44 44">
+                <circle class="hand-pointer-track" cx="22" cy="22" r="19"></circle>
+                <circle class="hand-pointer-ring" cx="22" cy="22" r="19"></circle>
+            </svg>
+            <div class="hand-pointer-dot"></div>
+        `;
+        this.ring = element.querySelector('.hand-pointer-ring');
+        this.ringLength = 2 * Math.PI * 19;
+        this.ring.style.strokeDasharray = this.ringLength;
+        return element;
+    }
+
+    /**
+     * @private
+     */
+    _render(dwellProgress) {
+        const visible = this.position !== null && (!this.idleHidden || this.control !== null || this.slider !== null);
+        this.element.classList.toggle('hidden', !visible);
+        if (!visible) return;
+        this.element.style.transform = `translate(${this.position.x}px, ${this.position.y}px)`;
+        this.element.classList.toggle('pressed', this.pinching);
+        this.ring.style.strokeDashoffset = this.ringLength * (1 - dwellProgress);
+    }
+
+    /**
+     * @private
+     */
+    _measurePinch(landmarks) {
+        const thumbTip = landmarks[4], indexTip = landmarks[8];
+        const distance = Math.hypot(thumbTip.x - indexTip.x, thumbTip.y - indexTip.y);
+        const threshold = typeof this.pinchThreshold === 'function' ? this.pinchThreshold() : this.pinchThreshold;
+        // Release a little further out than the press so the click doesn't stutter
+        return distance < threshold * (this.pinching ? 1.3 : 1);
+    }
+
+    /**
+     * @private
+     */
+    _hover(target) {
+        if (target === this.target) return;
+        if (this.target) this._dispatch(this.target, 'out');
+        this.target = target;
+        if (target) this._dispatch(target, 'over');
+
+        const control = target && target.closest(HAND_POINTER_CONTROLS);
+        if (control === this.control) return;
+        if (this.control) this.control.classList.remove('hand-hover');
+        this.control = control || null;
+        if (this.control) this.control.classList.add('hand-hover');
+        this.dwellStart = 0;
+        this.dwellDone = false;
+    }
+
+    /**
+     * @private
+     */
+    _press() {
+        this._dispatch(this.target, 'down');
+        this.pressed = this.control;
+        this.dwellStart = 0;
+        if (this.control && this.control.matches('input[type="range"]') && !this.control.disabled) this.slider = this.control;
+    }
+
+    /**
+     * @private
+     */
+    _release() {
+        this._dispatch(this.target, 'up');
+        if (this.slider) {
+            this.slider.dispatchEvent(new Event('change', { bubbles: true }));
+        } else if (this.pressed && this.pressed === this.control) {
+            this._click(this.control);
+        }
+        this.pressed = null;
+        this.slider = null;
+        this.dwellDone = true;
+    }
+
+    /**
+     * @private
+     */
+    _dragSlider() {
+        const slider = this.slider;
+        const rect = slider.getBoundingClientRect();
+        const min = parseFloat(slider.min) || 0, max = parseFloat(slider.max) || 100;
+        const step = parseFloat(slider.step) || 1;
+        const ratio = Math.max(0, Math.min(1, (this.position.x - rect.left) / (rect.width || 1)));
+        const value = String(Math.round((min + ratio * (max - min)) / step) * step);
+        if (value === slider.value) return;
+        slider.value = value;
+        slider.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * @private
+     * @returns {number} Dwell progress 0-1
+     */
+    _dwell(timestamp) {
+        const control = this.control;
+        if (!this.dwellEnabled || !this.dwellTime || !control || this.pinching || this.dwellDone || control.disabled
+            || control.matches('input[type="range"]')) return 0;
+
+        if (!this.dwellStart) this.dwellStart = timestamp;
+        const progress = (timestamp - this.dwellStart) / this.dwellTime;
+        if (progress < 1) return progress;
+
+        // One click per visit: move off the control to dwell again
+        this.dwellDone = true;
+        this._click(control);
+        return 0;
+    }
+
+    /**
+     * @private
+     */
+    _click(control) {
+        if (control.disabled) return;
+        if (control.tagName === 'SELECT') {
+            if (control.options.length === 0) return;
+            control.selectedIndex = (control.selectedIndex + 1) % control.options.length;
+            control.dispatchEvent(new Event('change', { bubbles: true }));
+            return;
+        }
+        if (typeof control.focus === 'function') control.focus({ preventScroll: true });
+        control.click();
+    }
+
+    /**
+     * Pointer event plus its mouse counterpart, for pages that listen to either
+     * @private
+     */
+    _dispatch(target, action) {
+        if (!target) return;
+        const init = {
+            bubbles: true,
+            cancelable: true,
+            composed: true,
+            clientX: this.position ? this.position.x : 0,
+            clientY: this.position ? this.position.y : 0,
+            button: action === 'down' || action === 'up' ? 0 : -1,
+            buttons: this.pinching || action === 'down' ? 1 : 0
+        };
+        target.dispatchEvent(new PointerEvent('pointer' + action, {
+            ...init, pointerId: this.pointerId, pointerType: 'hand', isPrimary: false
+        }));
+        if (action !== 'cancel') target.dispatchEvent(new MouseEvent('mouse' + action, init));
+    }
+}
+
+/**
+ * Camera + MediaPipe loop that drives a pointer, for pages without their own tracking
+ * @param {HandPointer} pointer
+ * @param {Object} options
+ * @param {number} options.interval - ms between processed frames (default: 66)
+ * @returns {Promise<Object>} { stop() }
+ */
+async function startHandPointerCamera(pointer, options = {}) {
+    const interval = options.interval || 66;
+    await AssetLoader.load(['mediapipeHands']);
+
+    const video = document.createElement('video');
+    video.autoplay = true;
+    video.playsInline = true;
+    video.muted = true;
+    const stream = await navigator.mediaDevices.getUserMedia({ video: { width: 640, height: 480, facingMode: 'user' } });
+    video.srcObject = stream;
+    await new Promise(r => { video.onloadedmetadata = r; });
+
+    const hands = new Hands({ locateFile: (file) => AssetLoader.locateFile('mediapipeHands', file) });
+    hands.setOptions({ maxNumHands: 1, modelComplexity: 0, minDetectionConfidence: 0.5, minTrackingConfidence: 0.5 });
+    hands.onResults((results) => {
+        pointer.update(results.multiHandLandmarks ? results.multiHandLandmarks[0] : null);
+    });
+
+    let running = true, lastTime = 0;
+    const loop = async () => {
+        if (!running) return;
+        const now = performance.now();
+        if (now - lastTime >= interval) {
+            lastTime = now;
+            try { await hands.send({ image: video }); } catch (e) { }
+        }
+        requestAnimationFrame(loop);
+    };
+    loop();
+
+    return {
+        stop() {
+            running = false;
+            stream.getTracks().forEach(track => track.stop());
+            hands.close();
+            pointer.hide();
+        }
+    };
+}
+
+/**
+ * Button that turns the hand pointer on and off (and saves the choice)
+ * @param {HTMLElement} container
+ * @param {Object} options
+ * @param {Function} options.onChange - (enabled) => void
+ * @returns {HTMLElement} The button
+ */
+function createHandPointerToggle(container, options = {}) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'hand-pointer-toggle';
+
+    const render = () => {
+        // data-i18n lets the language switcher retranslate the current label
+        button.dataset.i18n = HandPointer.isPreferred() ? 'pointer.disable' : 'pointer.enable';
+        button.textContent = pointerText(button.dataset.i18n);
+    };
+
+    button.addEventListener('click', () => {
+        const enabled = !HandPointer.isPreferred();
+        HandPointer.setPreferred(enabled);
+        render();
+        if (options.onChange) options.onChange(enabled);
+    });
+
+    render();
+    container.appendChild(button);
+    return button;
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HandPointer, startHandPointerCamera, createHandPointerToggle, HAND_POINTER_CONTROLS };
+}
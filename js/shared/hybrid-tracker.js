@@ -11,15 +11,39 @@ class HybridTracker {
     /**
      * @param {Object} options
      * @param {number} options.keyframeInterval - Frames between MediaPipe runs (default: 5)
-     * @param {number} options.maxDriftError - Error threshold to force keyframe (default: 0.05)
+     * @param {number} options.maxDriftError - SSD error threshold to force keyframe, used without forward-backward (default: 0.05)
      * @param {number} options.minConfidence - Min MediaPipe confidence (default: 0.7)
      * @param {boolean} options.adaptiveInterval - Adjust interval based on movement (default: true)
+     * @param {number} options.maxInFlight - Keyframes allowed in MediaPipe at once (default: 1)
+     * @param {boolean} options.forwardBackward - Validate each landmark by tracking it back (default: true)
+     * @param {number} options.maxForwardBackwardError - Round-trip error in pixels before a landmark is invalid (default: 2)
+     * @param {number} options.maxInvalidRatio - Share of invalid landmarks that forces a keyframe (default: 0.3)
+     * @param {number} options.maxInvalidFingertips - Invalid fingertips that force a keyframe (default: 2)
+     * @param {number} options.maxAccumulatedDrift - Summed per-frame round-trip error (px) since the keyframe (default: 8)
+     * @param {boolean} options.restrictToHand - Only process a padded box around the hand on tracking frames (default: true)
+     * @param {number} options.roiPadding - Box margin as a fraction of the hand size (default: 0.5)
+     * @param {string} options.backend - 'main' (in-thread) or 'worker' (Web Worker) optical flow (default: 'main')
+     * @param {string} options.workerUrl - Worker script for the 'worker' backend (default: next to optical-flow.js)
+     * @param {string} options.flowBackend - 'cpu', 'webgpu' or 'auto' (WebGPU when available) (default: 'cpu').
+     *   With 'cpu', `backend` picks the thread; the GPU backend starts once its device is ready (see `ready`).
      */
     constructor(options = {}) {
         this.keyframeInterval = options.keyframeInterval || 5;
         this.maxDriftError = options.maxDriftError || 0.05;
         this.minConfidence = options.minConfidence || 0.7;
         this.adaptiveInterval = options.adaptiveInterval !== false;
+        this.maxInFlight = options.maxInFlight || 1;
+
+        // Drift policy
+        this.maxInvalidRatio = options.maxInvalidRatio ?? 0.3;
+        this.maxInvalidFingertips = options.maxInvalidFingertips ?? 2;
+        this.maxAccumulatedDrift = options.maxAccumulatedDrift || 8;
+        this.fingertips = [4, 8, 12, 16, 20];
+        this.accumulatedDrift = 0;
+
+        // Tracking frames only convert the area around the hand
+        this.restrictToHand = options.restrictToHand !== false;
+        this.roiPadding = options.roiPadding || 0.5;
 
         // State
         this.frameCount = 0;
@@ -29,8 +53,22 @@ class HybridTracker {
         this.isTracking = false;
         this.trackingLost = false;
 
-        // Optical Flow tracker
-        this.opticalFlow = new OpticalFlow(11, 3, 10, 0.01);
+        // Frame pipeline: keyframes waiting for MediaPipe (oldest first) and the newest processed frame
+        this.inFlight = [];
+        this.latestFrame = null;
+        this._canvasPool = [];
+
+        // Optical Flow tracker; every backend solves with the same Lucas-Kanade settings
+        this.flowParams = { windowSize: 11, pyramidLevels: 3, maxIterations: 10, epsilon: 0.01 };
+        this.flowOptions = {
+            forwardBackward: options.forwardBackward !== false,
+            maxForwardBackwardError: options.maxForwardBackwardError || 2,
+            workerUrl: options.workerUrl
+        };
+        this.backend = 'main';
+        this.flowBackend = 'cpu';
+        this.cpuBackend = options.backend || 'main';
+        this.opticalFlow = this.createOpticalFlow(this.cpuBackend);
 
         // Performance metrics
         this.metrics = {
@@ -38,7 +76,21 @@ class HybridTracker {
             trackingFrameCount: 0,
             forcedKeyframes: 0,
             avgTrackingError: 0,
-            lastProcessingTime: 0
+            lastProcessingTime: 0,
+            lastKeyframeLatency: 0,
+            // Measured cost per frame type (EMA, ms)
+            avgKeyframeMs: 0,
+            avgTrackingMs: 0,
+            deferredKeyframes: 0,
+            droppedKeyframes: 0,
+            reprojectedKeyframes: 0,
+            orphanResults: 0,
+            // Forward-backward validation (last tracking frame)
+            pointValidity: [],
+            validPointRatio: 1,
+            invalidFingertips: 0,
+            medianFbError: 0,
+            driftKeyframes: { invalidPoints: 0, fingertips: 0, accumulated: 0, error: 0 }
         };
 
         // Callbacks
@@ -49,6 +101,101 @@ class HybridTracker {
         // Movement detection for adaptive interval
         this.movementHistory = [];
         this.movementThreshold = 0.02;
+
+        // Resolves to the flow backend in use once WebGPU setup has finished
+        this.ready = this.initFlowBackend(options.flowBackend || 'cpu');
+    }
+
+    /**
+     * Move optical flow to the GPU when requested and available
+     * Tracking runs on the CPU until the device is ready.
+     * @param {string} flowBackend - 'cpu', 'webgpu' or 'auto'
+     * @returns {Promise<string>} 'cpu' or 'webgpu'
+     */
+    async initFlowBackend(flowBackend) {
+        if (flowBackend === 'cpu') return this.flowBackend;
+
+        const available = typeof WebGPUUtils !== 'undefined' && typeof WebGpuFlowBackend !== 'undefined' &&
+            WebGPUUtils.isSupported();
+        const fallback = (reason) => {
+            // 'auto' falls back silently, an explicit 'webgpu' request says why
+            if (flowBackend === 'webgpu') console.warn('WebGPU optical flow unavailable, tracking on the CPU:', reason);
+            return this.flowBackend;
+        };
+
+        if (!available) return fallback('navigator.gpu missing');
+
+        try {
+            const device = await new WebGPUUtils().init();
+            if (!device) return fallback('no WebGPU device');
+
+            const flow = new WebGpuFlowBackend(device, { ...this.flowOptions, ...this.flowParams });
+            await flow.init();
+
+            // Only switch if the GPU lands where the CPU does on a known motion
+            const { windowSize, pyramidLevels, maxIterations, epsilon } = this.flowParams;
+            const parity = await verifyOpticalFlowParity(flow, {
+                reference: new OpticalFlow(windowSize, pyramidLevels, maxIterations, epsilon)
+            });
+            if (!parity.passed) {
+                flow.terminate();
+                return fallback(`GPU flow diverges from the CPU by up to ${parity.maxDivergence.toFixed(2)} px`);
+            }
+            flow.onError = (error) => this.setBackend(this.cpuBackend, error);
+
+            const previous = this.opticalFlow;
+            this.reset();
+            this.opticalFlow = flow;
+            this.backend = 'webgpu';
+            this.flowBackend = 'webgpu';
+            if (previous.terminate) previous.terminate();
+        } catch (error) {
+            return fallback(error);
+        }
+
+        return this.flowBackend;
+    }
+
+    /**
+     * Create the optical-flow backend
+     * All backends share the snapshot / trackSnapshot / setKeyframe / reset
+     * contract; the worker and WebGPU ones answer with Promises, which is why tracking awaits.
+     * @param {string} backend - 'main' or 'worker'
+     * @returns {OpticalFlow|OpticalFlowWorker}
+     */
+    createOpticalFlow(backend) {
+        const { windowSize, pyramidLevels, maxIterations, epsilon } = this.flowParams;
+        this.flowBackend = 'cpu';
+
+        if (backend === 'worker' && typeof Worker !== 'undefined' && typeof OpticalFlowWorker !== 'undefined') {
+            try {
+                const flow = new OpticalFlowWorker(windowSize, pyramidLevels, maxIterations, epsilon, this.flowOptions);
+                flow.onError = (error) => this.setBackend('main', error);
+                this.backend = 'worker';
+                return flow;
+            } catch (error) {
+                // e.g. pages opened from file:// can't start workers
+                console.warn('Optical flow worker unavailable, tracking on the main thread:', error);
+            }
+        }
+
+        this.backend = 'main';
+        return new OpticalFlow(windowSize, pyramidLevels, maxIterations, epsilon, this.flowOptions);
+    }
+
+    /**
+     * Switch optical-flow backend (tracking restarts from the next keyframe)
+     * Also the fallback when the WebGPU device is lost.
+     * @param {string} backend - 'main' or 'worker'
+     * @param {Error} reason - Why the switch happened (logged)
+     */
+    setBackend(backend, reason = null) {
+        if (reason) console.warn(`Optical flow switching to ${backend} thread:`, reason);
+
+        const previous = this.opticalFlow;
+        this.reset();
+        this.opticalFlow = this.createOpticalFlow(backend);
+        if (previous !== this.opticalFlow && previous.terminate) previous.terminate();
     }
 
     /**
@@ -71,88 +218,154 @@ class HybridTracker {
 
     /**
      * Process a frame - decides whether to use MediaPipe or Optical Flow
-     * @param {HTMLVideoElement} videoElement
+     *
+     * Keyframe results are correlated with the frame that produced them: the
+     * frame's pixels are snapshotted before they go to MediaPipe, and that
+     * snapshot becomes the optical-flow reference when the landmarks arrive.
+     *
+     * @param {Object|HTMLVideoElement} frame - FrameSource frame { image, frameId, timestamp } or an image
      * @param {Hands} mediaPipeHands - MediaPipe Hands instance
-     * @param {Function} callback - Called with landmarks {points, isKeyframe, error}
+     * @param {Function} callback - Called with { points, isKeyframe, error, frameId, latency, method }
      */
-    async processFrame(videoElement, mediaPipeHands, callback) {
+    async processFrame(frame, mediaPipeHands, callback) {
         const startTime = performance.now();
         this.frameCount++;
+        frame = this.normalizeFrame(frame, startTime);
 
         if (this.shouldRunKeyframe()) {
-            // KEYFRAME: Run full MediaPipe detection
-            await this.runKeyframe(videoElement, mediaPipeHands, callback, startTime);
-        } else {
-            // TRACKING: Use Optical Flow
-            this.runTracking(videoElement, callback, startTime);
+            if (this.inFlight.length < this.maxInFlight) {
+                // KEYFRAME: Run full MediaPipe detection
+                await this.runKeyframe(frame, mediaPipeHands, callback, startTime);
+                return;
+            }
+
+            // Previous keyframe still processing: track this frame, keyframe stays due
+            this.metrics.deferredKeyframes++;
         }
+
+        // TRACKING: Use Optical Flow
+        await this.runTracking(frame, callback, startTime);
     }
 
     /**
-     * Run MediaPipe detection (keyframe)
+     * Give raw images an ID and capture time
+     * @returns {Object} { image, frameId, timestamp }
      */
-    async runKeyframe(videoElement, mediaPipeHands, callback, startTime) {
-        try {
-            // Send to MediaPipe
-            await mediaPipeHands.send({ image: videoElement });
+    normalizeFrame(frame, now = performance.now()) {
+        if (frame && frame.image) {
+            return {
+                image: frame.image,
+                frameId: frame.frameId ?? this.frameCount,
+                timestamp: frame.timestamp ?? now
+            };
+        }
+        return { image: frame, frameId: this.frameCount, timestamp: now };
+    }
 
-            // Results will come via onResults callback
-            // Store callback for when results arrive
-            this._pendingCallback = callback;
-            this._keyframeStartTime = startTime;
+    /**
+     * Run MediaPipe detection (keyframe)
+     */
+    async runKeyframe(frame, mediaPipeHands, callback, startTime) {
+        // Freeze the pixels: MediaPipe and the flow reference see the same image
+        const canvas = this._acquireCanvas(frame.image);
+        const entry = {
+            frameId: frame.frameId,
+            timestamp: frame.timestamp,
+            startTime,
+            callback,
+            snapshot: this.opticalFlow.snapshot(canvas),
+            settled: false,
+            cancelled: false
+        };
+        this.inFlight.push(entry);
 
+        try {
+            await mediaPipeHands.send({ image: canvas });
         } catch (error) {
             console.error('MediaPipe keyframe error:', error);
             if (this.onError) this.onError(error);
+        }
 
-            // Fall back to tracking if we have previous landmarks
-            if (this.lastLandmarks) {
-                this.runTracking(videoElement, callback, startTime);
-            }
+        this._releaseCanvas(canvas);
+        this.metrics.avgKeyframeMs = this._average(this.metrics.avgKeyframeMs, performance.now() - startTime);
+
+        // send() settled without onResults for this frame: the keyframe was dropped
+        if (!entry.settled) {
+            this.inFlight.splice(this.inFlight.indexOf(entry), 1);
+            if (!entry.cancelled) await this.handleDroppedKeyframe(entry);
         }
     }
 
     /**
      * Handle MediaPipe results (called from onResults)
+     * MediaPipe answers sends in order, so results belong to the oldest in-flight keyframe.
      * @param {Object} results - MediaPipe results
      */
-    handleMediaPipeResults(results) {
-        const callback = this._pendingCallback;
-        const startTime = this._keyframeStartTime || performance.now();
+    async handleMediaPipeResults(results) {
+        const entry = this.inFlight.shift();
 
-        if (!callback) return;
+        if (!entry) {
+            // Results we didn't ask for (e.g. someone else called hands.send)
+            this.metrics.orphanResults++;
+            return;
+        }
+        entry.settled = true;
+        if (entry.cancelled) return;
+
+        const { callback, startTime } = entry;
+        const now = performance.now();
+        const latency = now - entry.timestamp;
+        this.metrics.lastKeyframeLatency = latency;
 
         if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
             const landmarks = results.multiHandLandmarks[0];
 
             // Convert to simple {x, y} format
-            const points = landmarks.map(l => ({ x: l.x, y: l.y, z: l.z || 0 }));
+            let points = landmarks.map(l => ({ x: l.x, y: l.y, z: l.z || 0 }));
+            let frameId = entry.frameId;
+            let method = 'mediapipe';
+
+            // Reset optical flow with the frame MediaPipe actually analysed
+            this.opticalFlow.setKeyframe(entry.snapshot);
+
+            // Newer frames were tracked meanwhile: carry the landmarks forward to the latest one
+            if (this.latestFrame && this.latestFrame.frameId > entry.frameId) {
+                const result = await this.opticalFlow.trackSnapshot(this.latestFrame.snapshot, points);
+                points = result.points.map((p, i) => ({ x: p.x, y: p.y, z: points[i].z }));
+                frameId = this.latestFrame.frameId;
+                method = 'mediapipe+flow';
+                this.metrics.reprojectedKeyframes++;
+            } else {
+                this.latestFrame = { frameId: entry.frameId, snapshot: entry.snapshot };
+            }
 
             // Store for tracking
             this.lastLandmarks = points;
             this.trackingLost = false;
+            this.accumulatedDrift = 0;
             this.isTracking = true;
 
-            // Reset optical flow with new keyframe
-            this.opticalFlow.setKeyframe(this._currentVideo);
-
             // Update metrics
             this.metrics.keyframeCount++;
-            this.lastKeyframeTime = performance.now();
+            this.lastKeyframeTime = now;
 
             // Detect movement for adaptive interval
             this.updateMovementHistory(points);
             this.adjustInterval();
 
-            const processingTime = performance.now() - startTime;
+            const processingTime = now - startTime;
             this.metrics.lastProcessingTime = processingTime;
 
             callback({
-                points: landmarks, // Return original MediaPipe format
+                points: method === 'mediapipe' ? landmarks : points, // Original MediaPipe format when current
                 isKeyframe: true,
                 error: 0,
                 processingTime,
-                method: 'mediapipe'
+                frameId,
+                keyframeId: entry.frameId,
+                timestamp: entry.timestamp,
+                latency,
+                method
             });
 
             if (this.onKeyframe) this.onKeyframe(points);
@@ -167,47 +380,96 @@ class HybridTracker {
                 points: null,
                 isKeyframe: true,
                 error: 1,
-                processingTime: performance.now() - startTime,
+                processingTime: now - startTime,
+                frameId: entry.frameId,
+                keyframeId: entry.frameId,
+                timestamp: entry.timestamp,
+                latency,
                 method: 'mediapipe'
             });
         }
+    }
+
+    /**
+     * A keyframe produced no results: track its snapshot instead so the caller still gets a frame
+     */
+    async handleDroppedKeyframe(entry) {
+        this.metrics.droppedKeyframes++;
+        if (this.onError) this.onError({ type: 'dropped-keyframe', frameId: entry.frameId });
+
+        // Keyframe is still due on the next frame
+        this.trackingLost = true;
 
-        this._pendingCallback = null;
+        if (this.latestFrame && this.latestFrame.frameId > entry.frameId) {
+            // Frame is already out of date, nothing useful to report
+            return;
+        }
+
+        await this.runTracking({ frameId: entry.frameId, timestamp: entry.timestamp, snapshot: entry.snapshot },
+            entry.callback, entry.startTime);
     }
 
     /**
      * Run Optical Flow tracking
      */
-    runTracking(videoElement, callback, startTime) {
-        if (!this.lastLandmarks) {
+    async runTracking(frame, callback, startTime) {
+        const roi = this.restrictToHand && this.lastLandmarks
+            ? OpticalFlow.boundingBox(this.lastLandmarks, this.roiPadding)
+            : null;
+        const snapshot = frame.snapshot || this.opticalFlow.snapshot(frame.image, roi);
+        this.latestFrame = { frameId: frame.frameId, snapshot };
+
+        // Track landmarks using optical flow
+        const previous = this.lastLandmarks;
+        let result = null;
+        if (previous) {
+            try {
+                result = await this.opticalFlow.trackSnapshot(snapshot, previous);
+            } catch (error) {
+                console.error('Optical flow tracking error:', error);
+                this.trackingLost = true;
+            }
+        }
+
+        if (!result) {
             callback({
                 points: null,
                 isKeyframe: false,
                 error: 1,
                 processingTime: 0,
+                frameId: frame.frameId,
+                timestamp: frame.timestamp,
+                latency: performance.now() - frame.timestamp,
                 method: 'none'
             });
             return;
         }
 
-        this._currentVideo = videoElement;
-
-        // Track landmarks using optical flow
-        const result = this.opticalFlow.track(videoElement, this.lastLandmarks);
-
         // Check for drift
-        if (result.avgError > this.maxDriftError) {
+        const reason = this.evaluateDrift(result);
+        if (reason) {
             // Drift detected - force keyframe next frame
             this.trackingLost = true;
             this.metrics.forcedKeyframes++;
+            this.metrics.driftKeyframes[reason]++;
 
             if (this.onError) {
-                this.onError({ type: 'drift', error: result.avgError });
+                this.onError({ type: 'drift', reason, error: result.avgError, frameId: frame.frameId });
             }
         }
 
+        // Invalid landmarks follow the hand's overall motion instead of their own bad flow
+        const tracked = this.fillInvalidPoints(previous, result);
+
+        // Convert to MediaPipe-like format (flow doesn't estimate depth, keep the last z)
+        const mediaPipeFormat = tracked.map((p, i) => ({
+            x: p.x,
+            y: p.y,
+            z: previous[i]?.z || 0
+        }));
+
         // Update landmarks with tracked positions
-        this.lastLandmarks = result.points;
+        this.lastLandmarks = mediaPipeFormat;
 
         // Update metrics
         this.metrics.trackingFrameCount++;
@@ -217,25 +479,82 @@ class HybridTracker {
 
         const processingTime = performance.now() - startTime;
         this.metrics.lastProcessingTime = processingTime;
-
-        // Convert to MediaPipe-like format
-        const mediaPipeFormat = result.points.map((p, i) => ({
-            x: p.x,
-            y: p.y,
-            z: this.lastLandmarks[i]?.z || 0
-        }));
+        this.metrics.avgTrackingMs = this._average(this.metrics.avgTrackingMs, processingTime);
 
         callback({
             points: mediaPipeFormat,
             isKeyframe: false,
             error: result.avgError,
             processingTime,
+            frameId: frame.frameId,
+            timestamp: frame.timestamp,
+            latency: performance.now() - frame.timestamp,
+            valid: result.valid,
             method: 'optical-flow'
         });
 
         if (this.onTracking) this.onTracking(result);
     }
 
+    /**
+     * Decide whether tracking has drifted too far to trust
+     * @param {Object} result - OpticalFlow.trackSnapshot() result
+     * @returns {string|null} Key of metrics.driftKeyframes, or null when tracking is fine
+     */
+    evaluateDrift(result) {
+        if (!this.opticalFlow.forwardBackward) {
+            return result.avgError > this.maxDriftError ? 'error' : null;
+        }
+
+        const invalidRatio = 1 - result.validCount / result.valid.length;
+        const invalidFingertips = this.fingertips.filter(i => result.valid[i] === false).length;
+
+        // Median round-trip error of the points we trust; small per frame, but it adds up
+        const validErrors = result.fbErrors.filter((e, i) => result.valid[i]).sort((a, b) => a - b);
+        const medianFbError = validErrors.length > 0 ? validErrors[Math.floor(validErrors.length / 2)] : Infinity;
+        this.accumulatedDrift += medianFbError;
+
+        this.metrics.pointValidity = result.valid.slice();
+        this.metrics.validPointRatio = 1 - invalidRatio;
+        this.metrics.invalidFingertips = invalidFingertips;
+        this.metrics.medianFbError = medianFbError;
+
+        if (invalidRatio > this.maxInvalidRatio) return 'invalidPoints';
+        // Fingertips drive pinch/point gestures, re-detect even if the palm is fine
+        if (invalidFingertips >= this.maxInvalidFingertips) return 'fingertips';
+        if (this.accumulatedDrift > this.maxAccumulatedDrift) return 'accumulated';
+        return null;
+    }
+
+    /**
+     * Move invalid points by the median motion of the valid ones
+     * @param {Array} previous - Landmarks before tracking
+     * @param {Object} result - OpticalFlow.trackSnapshot() result
+     * @returns {Array} {x, y} per landmark
+     */
+    fillInvalidPoints(previous, result) {
+        if (!result.valid || result.validCount === result.valid.length) return result.points;
+
+        const dx = [], dy = [];
+        result.points.forEach((p, i) => {
+            if (!result.valid[i]) return;
+            dx.push(p.x - previous[i].x);
+            dy.push(p.y - previous[i].y);
+        });
+
+        const median = values => {
+            if (values.length === 0) return 0;
+            values.sort((a, b) => a - b);
+            return values[Math.floor(values.length / 2)];
+        };
+        const mx = median(dx);
+        const my = median(dy);
+
+        return result.points.map((p, i) => result.valid[i]
+            ? p
+            : { x: previous[i].x + mx, y: previous[i].y + my });
+    }
+
     /**
      * Track movement history for adaptive interval
      */
@@ -297,6 +616,11 @@ class HybridTracker {
         this.opticalFlow.reset();
         this.movementHistory = [];
         this.currentInterval = this.keyframeInterval;
+        this.latestFrame = null;
+        this.accumulatedDrift = 0;
+
+        // Results still owed by MediaPipe will be matched and discarded
+        this.inFlight.forEach(entry => { entry.cancelled = true; });
     }
 
     /**
@@ -309,7 +633,12 @@ class HybridTracker {
             totalFrames: total,
             keyframeRatio: total > 0 ? this.metrics.keyframeCount / total : 0,
             trackingRatio: total > 0 ? this.metrics.trackingFrameCount / total : 0,
-            currentInterval: this.currentInterval
+            currentInterval: this.currentInterval,
+            keyframesInFlight: this.inFlight.length,
+            backend: this.backend,
+            flowBackend: this.flowBackend,
+            accumulatedDrift: this.accumulatedDrift,
+            driftKeyframes: { ...this.metrics.driftKeyframes }
         };
     }
 
@@ -318,14 +647,69 @@ class HybridTracker {
      */
     getEfficiencyStats() {
         const metrics = this.getMetrics();
+
+        // Measured ms per frame against running MediaPipe on every frame
+        let savings = metrics.trackingRatio;
+        let msPerFrame = null;
+        if (metrics.avgKeyframeMs > 0) {
+            msPerFrame = metrics.keyframeRatio * metrics.avgKeyframeMs + metrics.trackingRatio * metrics.avgTrackingMs;
+            savings = Math.max(0, 1 - msPerFrame / metrics.avgKeyframeMs);
+        }
+
         return {
-            cpuSavings: `${Math.round(metrics.trackingRatio * 100)}%`,
+            cpuSavings: `${Math.round(savings * 100)}%`,
+            msPerFrame: msPerFrame !== null ? msPerFrame.toFixed(2) : '-',
+            mediapipeMsPerFrame: metrics.avgKeyframeMs.toFixed(2),
             keyframes: metrics.keyframeCount,
             trackingFrames: metrics.trackingFrameCount,
             avgError: metrics.avgTrackingError.toFixed(4),
-            forcedKeyframes: metrics.forcedKeyframes
+            forcedKeyframes: metrics.forcedKeyframes,
+            droppedKeyframes: metrics.droppedKeyframes
         };
     }
+
+    /**
+     * Benchmark optical-flow tracking on the current image around the current hand
+     * @param {HTMLVideoElement|HTMLCanvasElement} source
+     * @param {Object} options - { frames }
+     * @returns {Object|Promise<Object>|null} {before, after, speedup} in ms per frame (a Promise on the
+     *   worker backend), null without a tracked hand or on the WebGPU backend
+     */
+    benchmark(source, options = {}) {
+        if (!this.lastLandmarks || !this.opticalFlow.benchmark) return null;
+        return this.opticalFlow.benchmark(source, this.lastLandmarks, options);
+    }
+
+    /**
+     * @private
+     */
+    _average(current, sample) {
+        return current === 0 ? sample : current * 0.9 + sample * 0.1;
+    }
+
+    /**
+     * Copy an image into a pooled canvas (one per in-flight keyframe)
+     * @private
+     */
+    _acquireCanvas(image) {
+        const canvas = this._canvasPool.pop() || document.createElement('canvas');
+        const width = image.videoWidth || image.width;
+        const height = image.videoHeight || image.height;
+
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        return canvas;
+    }
+
+    /**
+     * @private
+     */
+    _releaseCanvas(canvas) {
+        this._canvasPool.push(canvas);
+    }
 }
 
 // Export
@@ -0,0 +1,589 @@
+/**
+ * I18n - Message catalogs, locale detection and locale-aware formatting
+ *
+ * Loaded as a classic script before anything that shows text; it creates the
+ * global `i18n` instance. Static markup is translated through attributes:
+ *
+ *   <h3 data-i18n="common.howToPlay">How to Play</h3>       (textContent)
+ *   <button data-i18n-title="profiles.export" title="...">   (title attribute)
+ *
+ * and scripts use i18n.t('key', { param }) for text they set themselves.
+ * The English text stays in the markup, so pages still read fine without JS.
+ *
+ * The chosen locale is saved in localStorage and shared by the hub and games.
+ */
+
+const I18N_LOCALES = {
+    en: 'English',
+    vi: 'Tiếng Việt'
+};
+
+const I18N_MESSAGES = {
+    en: {
+        // Shared
+        'common.backToHub': '← Back to Hub',
+        'common.howToPlay': 'How to Play',
+        'common.language': 'Language',
+
+        // Hub
+        'hub.title': '🎮 Gesture Games Hub',
+        'hub.subtitle': 'Control games with your hands using AI-powered gesture recognition. Choose a game below to start playing!',
+        'hub.play': 'Play Now',
+        'hub.footer': 'Built with ❤️ using Three.js & MediaPipe',
+        'hub.racing.title': 'Hand Racing',
+        'hub.racing.description': 'Race through a neon-lit track by controlling your car with hand gestures. Open palm to accelerate, close fist to brake, and tilt to steer!',
+        'hub.racing.gesture': '🖐️ Gesture Control',
+        'hub.racing.keyboard': '⌨️ Keyboard Support',
+        'hub.racing.highScore': '🏆 High Score',
+        'hub.racing.sound': '🎵 Sound Effects',
+        'hub.hanoi.title': 'Tower of Hanoi',
+        'hub.hanoi.description': 'Solve the classic Tower of Hanoi puzzle in stunning 3D. Use pinch gestures to grab and move disks, or play with mouse controls.',
+        'hub.hanoi.pinch': '🤏 Pinch Gesture',
+        'hub.hanoi.mouse': '🖱️ Mouse Control',
+        'hub.hanoi.disks': '🎯 3-7 Disks',
+        'hub.hanoi.timer': '⏱️ Timer',
+
+        // Player profiles
+        'profiles.player': 'Player',
+        'profiles.new': 'New player',
+        'profiles.export': 'Export profile',
+        'profiles.import': 'Import profile',
+        'profiles.delete': 'Delete profile',
+        'profiles.namePrompt': 'Player name:',
+        'profiles.deleteConfirm': 'Delete player "{name}" and their calibration?',
+        'profiles.importFailed': 'Import failed: {message}',
+
+        // Loading and camera
+        'loading.three': 'Loading Three.js...',
+        'loading.mediapipe': 'Loading MediaPipe...',
+        'loading.audio': 'Setting up audio...',
+        'loading.game': 'Preparing game...',
+        'loading.ready': 'Ready!',
+        'loading.initializing': 'Initializing...',
+        'loading.error': 'Error loading game. Please refresh.',
+        'camera.requesting': 'Requesting camera access...',
+        'camera.initTracking': 'Initializing hand tracking...',
+        'camera.ready': 'Ready! ✓',
+        'camera.assetError': '{error} Using mouse mode.',
+        'camera.denied': 'Camera access denied. Using mouse mode.',
+        'camera.notFound': 'No camera found. Using mouse mode.',
+        'camera.error': 'Camera error. Using mouse mode.',
+        'camera.unavailable': 'Camera not available. Please allow camera access.',
+        'camera.startFailed': 'Failed to start camera',
+
+        // Calibration
+        'calibration.button': '🎯 Calibrate',
+        'calibration.title': '🎯 Calibration',
+        'calibration.preparing': 'Preparing...',
+        'calibration.skip': 'Skip',
+        'calibration.detect': 'Put your hand in front of the camera...',
+        'calibration.waitingForHand': 'Waiting for a hand',
+        'calibration.searching': 'Looking for your hand...',
+        'calibration.handFound': '✅ Hand detected!',
+        'calibration.handLost': '⚠️ Hand lost! Keep it in view',
+        'calibration.stepOf': 'Step {index}/{total}',
+        'calibration.attempt': ' (try {attempt})',
+        'calibration.step.relax': 'Relax your hand in front of the camera',
+        'calibration.step.pinch': 'Pinch your thumb and index finger together',
+        'calibration.step.pinchOpen': 'Open your thumb and index finger as if dropping a disk',
+        'calibration.step.reach': 'Move your index finger to every corner you can comfortably reach',
+        'calibration.step.tiltLeft': '👈 Tilt your hand LEFT as far as you can!',
+        'calibration.step.tiltRight': '👉 Tilt your hand RIGHT as far as you can!',
+        'calibration.retryNoHand': 'No hand seen, repeating this step...',
+        'calibration.retryInvalid': '{message}. Repeating...',
+        'calibration.error.noSamples': 'No hand seen ({count}/{min} samples)',
+        'calibration.error.shaky': 'Too much shaking, hold still',
+        'calibration.error.handDistance': 'Hand too far from or too close to the camera',
+        'calibration.error.pinchClosed': 'Touch your thumb to your index finger',
+        'calibration.error.pinchOpen': 'Open your fingers wider',
+        'calibration.error.reach': 'Move your hand over a wider area',
+        'calibration.error.tiltLeft': 'Wrong direction, tilt LEFT',
+        'calibration.error.tiltRight': 'Wrong direction, tilt RIGHT',
+        'calibration.error.noHand': 'No hand found!',
+        'calibration.error.noHandHint': 'Make sure your hand is inside the frame',
+        'calibration.error.cancelled': 'Calibration cancelled',
+        'calibration.error.stepFailed': 'Step {step} failed',
+        'calibration.complete': '✅ Calibration complete!',
+        'calibration.failed': '❌ Calibration failed!',
+        'calibration.summary.racing': 'Left: {left}% | Right: {right}% | Quality: {quality}%',
+        'calibration.summary.hanoi': 'Pinch: {threshold} | Quality: {quality}%',
+        'calibration.drift': '📐 Calibration drift {percent}% · Save',
+        'calibration.driftTitle': 'Keep the adapted values',
+        'calibration.updated': 'Calibration updated',
+        'calibration.needsGesture': 'Turn on Gesture Mode to calibrate',
+
+        // Tracking diagnostics
+        'diagnostics.tooFar': '🔭 Move closer to the camera',
+        'diagnostics.tooClose': '✋ Move your hand further from the camera',
+        'diagnostics.offEdge.left': '👉 Your hand is leaving the frame, move it right',
+        'diagnostics.offEdge.right': '👈 Your hand is leaving the frame, move it left',
+        'diagnostics.offEdge.top': '👇 Your hand is leaving the frame, lower it',
+        'diagnostics.offEdge.bottom': '👆 Your hand is leaving the frame, raise it',
+        'diagnostics.tooDark': '💡 Too dark, turn on a light',
+        'diagnostics.backlit': '🌅 Bright light behind you, face the light instead',
+        'diagnostics.motionBlur': '🐢 Moving too fast, slow down a little',
+
+        // Hand pointer
+        'pointer.enable': '🖐️ Control with hand',
+        'pointer.disable': '🖱️ Use mouse',
+        'pointer.cameraFailed': 'The hand pointer needs the camera: {message}',
+
+        // Telemetry overlay
+        'telemetry.title': '📊 Telemetry',
+        'telemetry.fps': 'Render FPS',
+        'telemetry.inference': 'Inference',
+        'telemetry.latency': 'Latency',
+        'telemetry.keyframeInterval': 'Keyframe interval',
+        'telemetry.dropped': 'Dropped frames',
+        'telemetry.method': 'Method',
+        'telemetry.copy': '📋 Copy JSON',
+        'telemetry.copied': '✅ Copied',
+        'telemetry.copyFailed': '❌ Copy failed',
+        'telemetry.download': '⬇ Save JSON',
+        'telemetry.hint': 'Press ` to hide',
+
+        // Quality governor
+        'quality.label': 'Quality',
+        'quality.title': 'Graphics and tracking quality',
+        'quality.auto': '⚙️ Auto ({tier})',
+        'quality.tier.high': 'High',
+        'quality.tier.medium': 'Medium',
+        'quality.tier.low': 'Low',
+        'quality.tier.minimal': 'Minimal',
+
+        // Tower of Hanoi
+        'hanoi.moves': 'Moves',
+        'hanoi.time': 'Time',
+        'hanoi.minimum': 'Minimum',
+        'hanoi.disks': 'Disks',
+        'hanoi.gestureMode': 'Gesture Mode',
+        'hanoi.restart': 'Restart',
+        'hanoi.instructions.mouse': 'Click and drag disks to move them between rods. Only smaller disks can be placed on larger ones!',
+        'hanoi.instructions.gesture': 'Pinch (thumb + index) to grab the top disk. Move your hand (push toward the camera to reach back) and release to drop! Swipe left with an open hand to undo.',
+        'hanoi.win': '🎉 YOU WIN! 🎉',
+        'hanoi.winStats': 'Moves: {moves} | Time: {time}',
+        'hanoi.playAgain': 'Play Again',
+        'hanoi.invalidMove': 'Invalid Move!',
+        'hanoi.undo': '↩️ Undo',
+        'hanoi.undone': '↩️ Move undone',
+        'hanoi.nothingToUndo': 'Nothing to undo',
+        'hanoi.diskSelected': 'Disk Selected - Drag to Move!',
+        'hanoi.gesture.open': 'Open Hand',
+        'hanoi.gesture.pinching': 'Pinching',
+        'hanoi.gesture.holding': 'Holding Disk',
+        'hanoi.gesture.almost': 'Almost...',
+
+        // Hand Racing
+        'racing.title': '🏎️ Hand Racing',
+        'racing.subtitle': 'Control with your hands!',
+        'racing.highScore': '🏆 High Score: {score}',
+        'racing.help.accelerate': 'Open palms = Accelerate',
+        'racing.help.brake': 'Closed fists = Brake',
+        'racing.help.left': 'Tilt hands left = Steer left',
+        'racing.help.right': 'Tilt hands right = Steer right',
+        'racing.help.avoid': 'Avoid red obstacles!',
+        'racing.difficulty.easy': '😊 Easy',
+        'racing.difficulty.medium': '😐 Medium',
+        'racing.difficulty.hard': '😈 Hard',
+        'racing.start': '🚀 Start Race!',
+        'racing.score': 'Score',
+        'racing.speed': 'Speed',
+        'racing.speedValue': '{speed} km/h',
+        'racing.exit': 'Previous',
+        'racing.left': '👈 LEFT',
+        'racing.right': 'RIGHT 👉',
+        'racing.detecting': 'Detecting...',
+        'racing.gameOver': '💥 Game Over!',
+        'racing.finalScore': 'Score:',
+        'racing.newHighScore': '🎉 New High Score!',
+        'racing.waveToRestart': '👋 Wave at the camera to race again',
+        'racing.playAgain': '🔄 Play Again',
+        'racing.mainMenu': '🏠 Main Menu',
+        'racing.backToHub': '🔙 Back to Hub',
+        'racing.cameraError': 'Camera Error',
+        'racing.gesture.braking': '✊ Braking',
+        'racing.gesture.accelerating': '✋ Accelerating',
+        'racing.gesture.coasting': '🖐️ Coasting',
+        'racing.gesture.noHands': '❓ No hands'
+    },
+
+    vi: {
+        // Shared
+        'common.backToHub': '← Về trang chủ',
+        'common.howToPlay': 'Cách chơi',
+        'common.language': 'Ngôn ngữ',
+
+        // Hub
+        'hub.title': '🎮 Trò chơi điều khiển bằng tay',
+        'hub.subtitle': 'Điều khiển trò chơi bằng đôi tay với nhận dạng cử chỉ AI. Chọn một trò chơi bên dưới để bắt đầu!',
+        'hub.play': 'Chơi ngay',
+        'hub.footer': 'Xây dựng với ❤️ bằng Three.js & MediaPipe',
+        'hub.racing.title': 'Đua xe bằng tay',
+        'hub.racing.description': 'Đua trên đường đua neon, điều khiển xe bằng cử chỉ tay. Mở bàn tay để tăng tốc, nắm tay để phanh và nghiêng tay để lái!',
+        'hub.racing.gesture': '🖐️ Điều khiển cử chỉ',
+        'hub.racing.keyboard': '⌨️ Hỗ trợ bàn phím',
+        'hub.racing.highScore': '🏆 Điểm cao',
+        'hub.racing.sound': '🎵 Hiệu ứng âm thanh',
+        'hub.hanoi.title': 'Tháp Hà Nội',
+        'hub.hanoi.description': 'Giải câu đố Tháp Hà Nội kinh điển trong không gian 3D. Chụm ngón tay để nhấc và di chuyển đĩa, hoặc chơi bằng chuột.',
+        'hub.hanoi.pinch': '🤏 Cử chỉ chụm ngón',
+        'hub.hanoi.mouse': '🖱️ Điều khiển chuột',
+        'hub.hanoi.disks': '🎯 3-7 đĩa',
+        'hub.hanoi.timer': '⏱️ Bấm giờ',
+
+        // Player profiles
+        'profiles.player': 'Người chơi',
+        'profiles.new': 'Người chơi mới',
+        'profiles.export': 'Xuất hồ sơ',
+        'profiles.import': 'Nhập hồ sơ',
+        'profiles.delete': 'Xóa hồ sơ',
+        'profiles.namePrompt': 'Tên người chơi:',
+        'profiles.deleteConfirm': 'Xóa người chơi "{name}" và dữ liệu hiệu chỉnh?',
+        'profiles.importFailed': 'Nhập thất bại: {message}',
+
+        // Loading and camera
+        'loading.three': 'Đang tải Three.js...',
+        'loading.mediapipe': 'Đang tải MediaPipe...',
+        'loading.audio': 'Đang chuẩn bị âm thanh...',
+        'loading.game': 'Đang chuẩn bị trò chơi...',
+        'loading.ready': 'Sẵn sàng!',
+        'loading.initializing': 'Đang khởi tạo...',
+        'loading.error': 'Lỗi tải trò chơi. Hãy tải lại trang.',
+        'camera.requesting': 'Đang xin quyền truy cập camera...',
+        'camera.initTracking': 'Đang khởi tạo nhận dạng tay...',
+        'camera.ready': 'Sẵn sàng! ✓',
+        'camera.assetError': '{error} Dùng chế độ chuột.',
+        'camera.denied': 'Không được phép dùng camera. Dùng chế độ chuột.',
+        'camera.notFound': 'Không tìm thấy camera. Dùng chế độ chuột.',
+        'camera.error': 'Lỗi camera. Dùng chế độ chuột.',
+        'camera.unavailable': 'Không có camera. Hãy cho phép truy cập camera.',
+        'camera.startFailed': 'Không khởi động được camera',
+
+        // Calibration
+        'calibration.button': '🎯 Hiệu chỉnh',
+        'calibration.title': '🎯 Hiệu chỉnh',
+        'calibration.preparing': 'Đang chuẩn bị...',
+        'calibration.skip': 'Bỏ qua',
+        'calibration.detect': 'Đưa tay vào camera...',
+        'calibration.waitingForHand': 'Đang chờ phát hiện tay',
+        'calibration.searching': 'Đang tìm tay...',
+        'calibration.handFound': '✅ Tay đã phát hiện!',
+        'calibration.handLost': '⚠️ Tay mất! Giữ tay trong camera',
+        'calibration.stepOf': 'Bước {index}/{total}',
+        'calibration.attempt': ' (lần {attempt})',
+        'calibration.step.relax': 'Thả lỏng tay trước camera',
+        'calibration.step.pinch': 'Nắm ngón cái và trỏ lại',
+        'calibration.step.pinchOpen': 'Mở ngón cái và trỏ ra như khi thả đĩa',
+        'calibration.step.reach': 'Di chuyển ngón trỏ tới mọi góc bạn với tới thoải mái',
+        'calibration.step.tiltLeft': '👈 Nghiêng tay TRÁI hết cỡ!',
+        'calibration.step.tiltRight': '👉 Nghiêng tay PHẢI hết cỡ!',
+        'calibration.retryNoHand': 'Không thấy tay, làm lại bước này...',
+        'calibration.retryInvalid': '{message}. Làm lại...',
+        'calibration.error.noSamples': 'Không thấy tay ({count}/{min} mẫu)',
+        'calibration.error.shaky': 'Tay rung quá nhiều, hãy giữ yên',
+        'calibration.error.handDistance': 'Tay quá xa hoặc quá gần camera',
+        'calibration.error.pinchClosed': 'Hãy chạm ngón cái vào ngón trỏ',
+        'calibration.error.pinchOpen': 'Hãy mở ngón tay rộng hơn',
+        'calibration.error.reach': 'Hãy di chuyển tay rộng hơn',
+        'calibration.error.tiltLeft': 'Nghiêng sai hướng, hãy nghiêng sang TRÁI',
+        'calibration.error.tiltRight': 'Nghiêng sai hướng, hãy nghiêng sang PHẢI',
+        'calibration.error.noHand': 'Không tìm thấy tay!',
+        'calibration.error.noHandHint': 'Hãy đảm bảo tay nằm trong khung hình',
+        'calibration.error.cancelled': 'Đã hủy hiệu chỉnh',
+        'calibration.error.stepFailed': 'Bước {step} thất bại',
+        'calibration.complete': '✅ Hiệu chỉnh hoàn thành!',
+        'calibration.failed': '❌ Hiệu chỉnh thất bại!',
+        'calibration.summary.racing': 'Trái: {left}% | Phải: {right}% | Chất lượng: {quality}%',
+        'calibration.summary.hanoi': 'Pinch: {threshold} | Chất lượng: {quality}%',
+        'calibration.drift': '📐 Hiệu chỉnh lệch {percent}% · Lưu',
+        'calibration.driftTitle': 'Giữ các giá trị đã thích nghi',
+        'calibration.updated': 'Đã cập nhật hiệu chỉnh',
+        'calibration.needsGesture': 'Bật chế độ cử chỉ để hiệu chỉnh',
+
+        // Tracking diagnostics
+        'diagnostics.tooFar': '🔭 Lại gần camera hơn',
+        'diagnostics.tooClose': '✋ Đưa tay ra xa camera hơn',
+        'diagnostics.offEdge.left': '👉 Tay sắp ra khỏi khung hình, dịch sang phải',
+        'diagnostics.offEdge.right': '👈 Tay sắp ra khỏi khung hình, dịch sang trái',
+        'diagnostics.offEdge.top': '👇 Tay sắp ra khỏi khung hình, hạ tay xuống',
+        'diagnostics.offEdge.bottom': '👆 Tay sắp ra khỏi khung hình, nâng tay lên',
+        'diagnostics.tooDark': '💡 Quá tối, hãy bật đèn',
+        'diagnostics.backlit': '🌅 Có nguồn sáng mạnh sau lưng, hãy quay mặt về phía ánh sáng',
+        'diagnostics.motionBlur': '🐢 Di chuyển quá nhanh, chậm lại một chút',
+
+        // Hand pointer
+        'pointer.enable': '🖐️ Điều khiển bằng tay',
+        'pointer.disable': '🖱️ Dùng chuột',
+        'pointer.cameraFailed': 'Con trỏ tay cần camera: {message}',
+
+        // Telemetry overlay
+        'telemetry.title': '📊 Thông số',
+        'telemetry.fps': 'FPS hiển thị',
+        'telemetry.inference': 'Suy luận',
+        'telemetry.latency': 'Độ trễ',
+        'telemetry.keyframeInterval': 'Khoảng keyframe',
+        'telemetry.dropped': 'Khung hình bị rớt',
+        'telemetry.method': 'Phương pháp',
+        'telemetry.copy': '📋 Sao chép JSON',
+        'telemetry.copied': '✅ Đã sao chép',
+        'telemetry.copyFailed': '❌ Không sao chép được',
+        'telemetry.download': '⬇ Lưu JSON',
+        'telemetry.hint': 'Nhấn ` để ẩn',
+
+        // Quality governor
+        'quality.label': 'Chất lượng',
+        'quality.title': 'Chất lượng đồ họa và nhận diện',
+        'quality.auto': '⚙️ Tự động ({tier})',
+        'quality.tier.high': 'Cao',
+        'quality.tier.medium': 'Trung bình',
+        'quality.tier.low': 'Thấp',
+        'quality.tier.minimal': 'Tối thiểu',
+
+        // Tower of Hanoi
+        'hanoi.moves': 'Số bước',
+        'hanoi.time': 'Thời gian',
+        'hanoi.minimum': 'Tối thiểu',
+        'hanoi.disks': 'Đĩa',
+        'hanoi.gestureMode': 'Chế độ cử chỉ',
+        'hanoi.restart': 'Chơi lại',
+        'hanoi.instructions.mouse': 'Nhấn và kéo đĩa để chuyển giữa các cọc. Chỉ được đặt đĩa nhỏ lên đĩa lớn hơn!',
+        'hanoi.instructions.gesture': 'Chụm ngón cái và ngón trỏ để nhấc đĩa trên cùng. Di chuyển tay (đẩy tay về phía camera để với ra sau) rồi thả ra để đặt đĩa! Vuốt sang trái với bàn tay mở để hoàn tác.',
+        'hanoi.win': '🎉 BẠN THẮNG! 🎉',
+        'hanoi.winStats': 'Số bước: {moves} | Thời gian: {time}',
+        'hanoi.playAgain': 'Chơi lại',
+        'hanoi.invalidMove': 'Nước đi không hợp lệ!',
+        'hanoi.undo': '↩️ Hoàn tác',
+        'hanoi.undone': '↩️ Đã hoàn tác nước đi',
+        'hanoi.nothingToUndo': 'Không có gì để hoàn tác',
+        'hanoi.diskSelected': 'Đã chọn đĩa - Kéo để di chuyển!',
+        'hanoi.gesture.open': 'Mở tay',
+        'hanoi.gesture.pinching': 'Đang chụm',
+        'hanoi.gesture.holding': 'Đang giữ đĩa',
+        'hanoi.gesture.almost': 'Sắp được...',
+
+        // Hand Racing
+        'racing.title': '🏎️ Đua xe bằng tay',
+        'racing.subtitle': 'Điều khiển bằng đôi tay!',
+        'racing.highScore': '🏆 Điểm cao: {score}',
+        'racing.help.accelerate': 'Mở bàn tay = Tăng tốc',
+        'racing.help.brake': 'Nắm tay = Phanh',
+        'racing.help.left': 'Nghiêng tay trái = Rẽ trái',
+        'racing.help.right': 'Nghiêng tay phải = Rẽ phải',
+        'racing.help.avoid': 'Tránh chướng ngại vật màu đỏ!',
+        'racing.difficulty.easy': '😊 Dễ',
+        'racing.difficulty.medium': '😐 Vừa',
+        'racing.difficulty.hard': '😈 Khó',
+        'racing.start': '🚀 Bắt đầu đua!',
+        'racing.score': 'Điểm',
+        'racing.speed': 'Tốc độ',
+        'racing.speedValue': '{speed} km/h',
+        'racing.exit': 'Quay lại',
+        'racing.left': '👈 TRÁI',
+        'racing.right': 'PHẢI 👉',
+        'racing.detecting': 'Đang nhận dạng...',
+        'racing.gameOver': '💥 Kết thúc!',
+        'racing.finalScore': 'Điểm:',
+        'racing.newHighScore': '🎉 Kỷ lục mới!',
+        'racing.waveToRestart': '👋 Vẫy tay trước camera để đua tiếp',
+        'racing.playAgain': '🔄 Chơi lại',
+        'racing.mainMenu': '🏠 Menu chính',
+        'racing.backToHub': '🔙 Về trang chủ',
+        'racing.cameraError': 'Lỗi camera',
+        'racing.gesture.braking': '✊ Đang phanh',
+        'racing.gesture.accelerating': '✋ Đang tăng tốc',
+        'racing.gesture.coasting': '🖐️ Thả trôi',
+        'racing.gesture.noHands': '❓ Không thấy tay'
+    }
+};
+
+class I18n {
+    /**
+     * @param {Object} options
+     * @param {Object} options.messages - { locale: { key: text } } (default: I18N_MESSAGES)
+     * @param {string} options.fallback - Locale used for missing keys (default: 'en')
+     * @param {string} options.storageKey - localStorage key of the chosen locale (default: 'gestureLocale')
+     */
+    constructor(options = {}) {
+        this.messages = options.messages || I18N_MESSAGES;
+        this.fallback = options.fallback || 'en';
+        this.storageKey = options.storageKey || 'gestureLocale';
+        this.listeners = new Set();
+        this.formatters = new Map();
+
+        this.locale = this.detectLocale();
+    }
+
+    /**
+     * Saved choice, then the browser's preferred languages, then the fallback
+     * @returns {string}
+     */
+    detectLocale() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved && this.messages[saved]) return saved;
+        } catch (e) { }
+
+        const preferred = typeof navigator !== 'undefined'
+            ? (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language])
+            : [];
+        for (const tag of preferred) {
+            if (!tag) continue;
+            // 'vi-VN' -> 'vi'
+            const language = tag.toLowerCase().split('-')[0];
+            if (this.messages[language]) return language;
+        }
+        return this.fallback;
+    }
+
+    /**
+     * Translate a key
+     * @param {string} key - e.g. 'hanoi.invalidMove'
+     * @param {Object} params - Values for {placeholders}
+     * @returns {string} The key itself when no catalog has it (so literal text passes through)
+     */
+    t(key, params = {}) {
+        const catalog = this.messages[this.locale] || {};
+        let text = catalog[key] ?? (this.messages[this.fallback] || {})[key] ?? key;
+
+        Object.keys(params).forEach(name => {
+            text = text.split(`{${name}}`).join(params[name]);
+        });
+        return text;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean} Whether any catalog has the key
+     */
+    has(key) {
+        return key in (this.messages[this.locale] || {}) || key in (this.messages[this.fallback] || {});
+    }
+
+    /**
+     * Add or override messages (e.g. a game's own strings)
+     * @param {string} locale
+     * @param {Object} messages - { key: text }
+     */
+    addMessages(locale, messages) {
+        this.messages[locale] = { ...(this.messages[locale] || {}), ...messages };
+    }
+
+    /**
+     * Switch language, re-translate the page and notify listeners
+     * @param {string} locale
+     */
+    setLocale(locale) {
+        if (!this.messages[locale] || locale === this.locale) return;
+        this.locale = locale;
+        this.formatters.clear();
+
+        try {
+            localStorage.setItem(this.storageKey, locale);
+        } catch (e) { }
+
+        if (typeof document !== 'undefined') this.translatePage();
+        this.listeners.forEach(callback => {
+            try {
+                callback(locale);
+            } catch (e) {
+                console.error('Locale listener error:', e);
+            }
+        });
+    }
+
+    /**
+     * Listen for language changes (to refresh text set from scripts)
+     * @param {Function} callback - (locale) => void
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Translate data-i18n / data-i18n-title elements
+     * @param {HTMLElement|Document} root
+     */
+    translatePage(root = document) {
+        document.documentElement.lang = this.locale;
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+    }
+
+    /**
+     * Locale-aware number (scores, counts)
+     * @param {number} value
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string}
+     */
+    formatNumber(value, options = {}) {
+        const cacheKey = JSON.stringify(options);
+        if (!this.formatters.has(cacheKey)) {
+            this.formatters.set(cacheKey, new Intl.NumberFormat(this.locale, options));
+        }
+        return this.formatters.get(cacheKey).format(value);
+    }
+
+    /**
+     * Elapsed time as m:ss (h:mm:ss past an hour) with the locale's digits
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatDuration(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const rest = total % 60;
+        const pad = (value) => this.formatNumber(value, { minimumIntegerDigits: 2, useGrouping: false });
+
+        return hours > 0
+            ? `${this.formatNumber(hours)}:${pad(minutes)}:${pad(rest)}`
+            : `${pad(minutes)}:${pad(rest)}`;
+    }
+
+    /**
+     * Language dropdown
+     * @param {HTMLElement} container
+     * @returns {HTMLSelectElement}
+     */
+    createLanguageSwitcher(container) {
+        const select = document.createElement('select');
+        select.className = 'language-select';
+        select.dataset.i18nTitle = 'common.language';
+        select.title = this.t('common.language');
+
+        Object.keys(this.messages).forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = I18N_LOCALES[locale] || locale;
+            option.selected = locale === this.locale;
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', () => this.setLocale(select.value));
+        this.subscribe(locale => { select.value = locale; });
+
+        container.appendChild(select);
+        return select;
+    }
+}
+
+// Shared instance
+const i18n = new I18n();
+
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => i18n.translatePage());
+    } else {
+        i18n.translatePage();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n, i18n, I18N_MESSAGES, I18N_LOCALES };
+}
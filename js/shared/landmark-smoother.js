@@ -0,0 +1,141 @@
+/**
+ * LandmarkSmoother - One Euro filtering of all 21 landmarks of every hand
+ *
+ * Gesture features (pinch distance, finger curls, hand size) are computed
+ * from several landmarks at once, so filtering only the cursor point leaves
+ * them jittery. This filters every landmark, with presets per joint group:
+ * the palm is the slow, stable anchor; fingertips move fastest and need the
+ * least lag.
+ *
+ * Requires one-euro-filter.js (OneEuroFilter3D).
+ *
+ * Usage:
+ *   const smoother = new LandmarkSmoother();
+ *   const smoothed = smoother.smooth(handId, landmarks, timestamp);
+ *   smoother.forget(handId);   // hand lost
+ */
+
+const LANDMARK_GROUPS = {
+    palm: [0, 1, 5, 9, 13, 17],
+    joints: [2, 3, 6, 7, 10, 11, 14, 15, 18, 19],
+    fingertips: [4, 8, 12, 16, 20]
+};
+
+const LANDMARK_SMOOTHING_PRESETS = {
+    // Wrist and finger bases: hand size and steering tilt come from here
+    palm: { minCutoff: 0.8, beta: 0.005, dCutoff: 1.0 },
+    // Middle joints: finger curls
+    joints: { minCutoff: 1.0, beta: 0.01, dCutoff: 1.0 },
+    // Tips: pinch and the cursor, where lag is noticed first
+    fingertips: { minCutoff: 1.5, beta: 0.03, dCutoff: 1.0 }
+};
+
+class LandmarkSmoother {
+    /**
+     * @param {Object} options
+     * @param {number} options.freq - Expected frame rate in Hz, refined from timestamps (default: 30)
+     * @param {Object} options.presets - Per-group overrides, e.g. { fingertips: { beta: 0.05 } }
+     * @param {number} options.resetAfterMs - Gap after which a hand's filters start over (default: 250)
+     */
+    constructor(options = {}) {
+        this.freq = options.freq || 30;
+        this.resetAfterMs = options.resetAfterMs ?? 250;
+
+        this.presets = {};
+        Object.keys(LANDMARK_SMOOTHING_PRESETS).forEach(group => {
+            this.presets[group] = { ...LANDMARK_SMOOTHING_PRESETS[group], ...(options.presets || {})[group] };
+        });
+
+        // Joint index -> preset group
+        this.groupOf = [];
+        Object.entries(LANDMARK_GROUPS).forEach(([group, indices]) => {
+            indices.forEach(i => { this.groupOf[i] = group; });
+        });
+
+        // Hand ID -> { filters: [OneEuroFilter3D x 21], lastTime }
+        this.hands = new Map();
+    }
+
+    /**
+     * Filter one hand's landmarks
+     * @param {number|string} id - Stable hand ID (e.g. from HandIdentityTracker)
+     * @param {Array} landmarks - 21 MediaPipe landmarks
+     * @param {number} timestamp - ms (default: performance.now())
+     * @returns {Array} Smoothed landmarks {x, y, z}
+     */
+    smooth(id, landmarks, timestamp = performance.now()) {
+        let hand = this.hands.get(id);
+        if (!hand) {
+            hand = { filters: landmarks.map((_, i) => this._createFilter(i)), lastTime: null };
+            this.hands.set(id, hand);
+        }
+
+        // A long gap means the hand was lost and came back: don't glide from the old pose
+        if (hand.lastTime !== null && timestamp - hand.lastTime > this.resetAfterMs) {
+            hand.filters.forEach(filter => filter.reset());
+        }
+        hand.lastTime = timestamp;
+
+        return landmarks.map((point, i) => {
+            const filter = hand.filters[i] || (hand.filters[i] = this._createFilter(i));
+            return filter.filter(point.x, point.y, point.z || 0, timestamp);
+        });
+    }
+
+    /**
+     * Filter every hand of a frame and forget hands that are gone
+     * @param {Array} hands - [{ id, landmarks }] (e.g. HandIdentityTracker.update().hands)
+     * @param {number} timestamp - ms (default: performance.now())
+     * @returns {Array} Same hands with smoothed `landmarks` and the originals in `rawLandmarks`
+     */
+    smoothHands(hands, timestamp = performance.now()) {
+        const seen = new Set(hands.map(hand => hand.id));
+        this.hands.forEach((_, id) => {
+            if (!seen.has(id)) this.forget(id);
+        });
+
+        return hands.map(hand => ({
+            ...hand,
+            rawLandmarks: hand.landmarks,
+            landmarks: this.smooth(hand.id, hand.landmarks, timestamp)
+        }));
+    }
+
+    /**
+     * Change one group's parameters (e.g. from calibration); running filters are rebuilt
+     * @param {string} group - 'palm', 'joints' or 'fingertips'
+     * @param {Object} params - { minCutoff, beta, dCutoff }
+     */
+    setPreset(group, params) {
+        if (!this.presets[group]) return;
+        this.presets[group] = { ...this.presets[group], ...params };
+        this.reset();
+    }
+
+    /**
+     * Drop one hand's filter state (call when the hand is lost)
+     * @param {number|string} id
+     */
+    forget(id) {
+        this.hands.delete(id);
+    }
+
+    /**
+     * Drop all filter state (call when tracking is lost)
+     */
+    reset() {
+        this.hands.clear();
+    }
+
+    /**
+     * @private
+     */
+    _createFilter(index) {
+        const preset = this.presets[this.groupOf[index] || 'joints'];
+        return new OneEuroFilter3D(this.freq, preset.minCutoff, preset.beta, preset.dCutoff);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LandmarkSmoother, LANDMARK_GROUPS, LANDMARK_SMOOTHING_PRESETS };
+}
@@ -1,8 +1,43 @@
 /**
  * MediaPipe Utilities
  * Shared utilities for hand gesture recognition
+ *
+ * HandTracker builds on classic scripts the page loads first: frame-sources.js
+ * (default WebcamSource input), gesture-engine.js, hand-identity.js,
+ * hand-events.js and session-recorder.js.
  */
 
+const MEDIAPIPE_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands/';
+
+/**
+ * URL of a MediaPipe Hands support file (wasm, model, graph)
+ * Served from wherever hands.js came from: the vendor directory when the page
+ * uses AssetLoader, the CDN otherwise.
+ * @param {string} file - File name requested by MediaPipe
+ * @returns {string}
+ */
+export function locateMediaPipeFile(file) {
+    if (typeof AssetLoader !== 'undefined') {
+        return AssetLoader.locateFile('mediapipeHands', file);
+    }
+    return `${MEDIAPIPE_CDN}${file}`;
+}
+
+/**
+ * LandmarkSmoother for all 21 landmarks of every hand
+ * Needs one-euro-filter.js and landmark-smoother.js loaded as classic scripts;
+ * without them landmarks are used raw.
+ * @param {Object} options - LandmarkSmoother options
+ * @returns {LandmarkSmoother|null}
+ */
+export function createLandmarkSmoother(options = {}) {
+    if (typeof LandmarkSmoother === 'undefined' || typeof OneEuroFilter3D === 'undefined') {
+        console.warn('LandmarkSmoother not loaded, landmarks will not be smoothed');
+        return null;
+    }
+    return new LandmarkSmoother(options);
+}
+
 /**
  * Initialize MediaPipe Hands
  * @param {Object} options - Configuration options
@@ -17,21 +52,15 @@ export async function initMediaPipe(options = {}) {
     };
     
     const config = { ...defaultOptions, ...options };
+
+    // Load hands.js on demand (local vendor copy first, then CDN)
+    if (typeof AssetLoader !== 'undefined') {
+        await AssetLoader.load(['mediapipeHands']);
+    }
     
-    return new Promise((resolve, reject) => {
-        try {
-            const hands = new Hands({
-                locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-                }
-            });
-            
-            hands.setOptions(config);
-            resolve(hands);
-        } catch (error) {
-            reject(error);
-        }
-    });
+    const hands = new Hands({ locateFile: locateMediaPipeFile });
+    hands.setOptions(config);
+    return hands;
 }
 
 /**
@@ -83,11 +112,28 @@ export function stopCamera(videoElement) {
 
 /**
  * HandTracker class for encapsulating hand tracking state
+ *
+ * Also an EventTarget: instead of diffing getState() every frame, listen for
+ * the transitions (HAND_EVENTS, dispatched by a HandEventEmitter), e.g.
+ *   tracker.on('pinchstart', (e) => grab(e.handId, e.position));
+ *   tracker.on('pinchend', (e) => { if (!e.cancelled) drop(e.position); });
  */
-export class HandTracker {
-    constructor() {
+export class HandTracker extends EventTarget {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxNumHands - Hands to detect per frame (default: 1)
+     * @param {boolean} options.mirrorHandedness - Swap MediaPipe left/right labels (default: true)
+     * @param {boolean} options.smoothLandmarks - One Euro filter all landmarks before gesture logic (default: true)
+     * @param {Object} options.landmarkSmoothing - LandmarkSmoother options (presets per joint group)
+     * @param {number} options.lostTimeout - ms without any hand before 'trackinglost' (default: 500)
+     */
+    constructor(options = {}) {
+        super();
+        this.maxNumHands = options.maxNumHands || 1;
         this.hands = null;
-        this.camera = null;
+        this.frameSource = null;
+        this.replaySource = null;
+        this.recorder = new SessionRecorder();
         this.isRunning = false;
         this.callbacks = {
             onResults: null,
@@ -100,40 +146,70 @@ export class HandTracker {
             smoothedPosition: { x: 0.5, y: 0.5 },
             isPinching: false,
             pinchDistance: 1,
-            handsDetected: false
+            gesture: null,
+            gestures: [],
+            handsDetected: false,
+            // Every detected hand: { id, label, score, labelConfidence, landmarks, handPosition, smoothedPosition, ... }
+            hands: []
         };
         
         // Smoothing parameters
         this.smoothing = 0.3;
-        this.pinchBuffer = [];
-        this.pinchBufferSize = 5;
-        this.pinchThreshold = 0.06;
+        
+        // Per-hand tracking, keyed by stable hand ID
+        this.identity = new HandIdentityTracker({ mirrorHandedness: options.mirrorHandedness });
+        this.handStates = new Map();
+        this.smoother = options.smoothLandmarks !== false
+            ? createLandmarkSmoother(options.landmarkSmoothing)
+            : null;
+
+        // Transitions are dispatched on the tracker itself
+        this.events = new HandEventEmitter({ target: this, lostTimeout: options.lostTimeout });
+        this.frameTime = null;
+    }
+
+    /**
+     * addEventListener that returns its own remover
+     * @param {string} type - One of HAND_EVENTS
+     * @param {Function} listener - (HandEvent) => void
+     * @returns {Function} Unsubscribe
+     */
+    on(type, listener) {
+        return this.events.on(type, listener);
     }
     
     /**
      * Initialize hand tracking
      * @param {HTMLVideoElement} videoElement - Video element for camera feed
      * @param {Function} onResults - Callback for hand detection results
+     * @param {Object} options
+     * @param {FrameSource} options.frameSource - Image input (default: WebcamSource on videoElement)
+     * @param {ReplaySource} options.replaySource - Play recorded results instead of using the camera
      */
-    async init(videoElement, onResults) {
+    async init(videoElement, onResults, options = {}) {
         this.callbacks.onResults = onResults;
         
+        if (options.replaySource) {
+            this.replaySource = options.replaySource;
+            this.replaySource.onResults(this._processResults.bind(this));
+            return true;
+        }
+        
         try {
-            this.hands = await initMediaPipe();
+            this.hands = await initMediaPipe({ maxNumHands: this.maxNumHands });
             this.hands.onResults(this._processResults.bind(this));
             
-            await startCamera(videoElement);
-            
-            this.camera = new Camera(videoElement, {
-                onFrame: async () => {
-                    if (this.isRunning && this.hands) {
-                        await this.hands.send({ image: videoElement });
-                    }
-                },
-                width: 640,
-                height: 480
+            this.frameSource = options.frameSource || new WebcamSource({ videoElement });
+            this.frameSource.onFrame(async (frame) => {
+                if (this.isRunning && this.hands) {
+                    this.frameTime = frame.timestamp;
+                    await this.hands.send({ image: frame.image });
+                }
             });
             
+            // Open now so camera permission errors surface from init()
+            await this.frameSource.open();
+            
             return true;
         } catch (error) {
             console.error('HandTracker init error:', error);
@@ -145,9 +221,12 @@ export class HandTracker {
      * Start hand tracking
      */
     async start() {
-        if (this.camera) {
+        if (this.replaySource) {
+            this.isRunning = true;
+            this.replaySource.play();
+        } else if (this.frameSource) {
             this.isRunning = true;
-            await this.camera.start();
+            await this.frameSource.start();
         }
     }
     
@@ -156,9 +235,32 @@ export class HandTracker {
      */
     stop() {
         this.isRunning = false;
-        if (this.camera) {
-            this.camera.stop();
+        if (this.replaySource) {
+            this.replaySource.pause();
+        }
+        if (this.frameSource) {
+            this.frameSource.stop();
+        }
+    }
+    
+    /**
+     * Start recording results to a JSONL session
+     */
+    startRecording() {
+        this.recorder.start();
+    }
+    
+    /**
+     * Stop recording
+     * @param {boolean} download - Save the session as a .jsonl file
+     * @returns {string} Recorded session as JSONL
+     */
+    stopRecording(download = false) {
+        this.recorder.stop();
+        if (download) {
+            this.recorder.download();
         }
+        return this.recorder.toJSONL();
     }
     
     /**
@@ -166,51 +268,139 @@ export class HandTracker {
      * @private
      */
     _processResults(results) {
-        if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-            const landmarks = results.multiHandLandmarks[0];
-            
-            // Key landmarks
-            const thumbTip = landmarks[4];
-            const indexTip = landmarks[8];
-            
-            // Calculate pinch distance
-            const pinchDistance = Math.sqrt(
-                Math.pow(thumbTip.x - indexTip.x, 2) +
-                Math.pow(thumbTip.y - indexTip.y, 2)
-            );
-            
-            // Stabilize pinch detection
-            const rawPinching = pinchDistance < this.pinchThreshold;
-            this.pinchBuffer.push(rawPinching);
-            if (this.pinchBuffer.length > this.pinchBufferSize) {
-                this.pinchBuffer.shift();
-            }
-            
-            const pinchCount = this.pinchBuffer.filter(Boolean).length;
-            this.state.isPinching = pinchCount >= Math.ceil(this.pinchBufferSize * 0.6);
-            
-            // Smooth position (flipped for mirrored webcam)
-            const rawX = 1 - indexTip.x;
-            const rawY = indexTip.y;
-            
-            this.state.smoothedPosition.x += (rawX - this.state.smoothedPosition.x) * this.smoothing;
-            this.state.smoothedPosition.y += (rawY - this.state.smoothedPosition.y) * this.smoothing;
+        this.recorder.record(results);
+        
+        // Replayed results run on the recording's clock, so replays don't depend on speed or stepping
+        const timestamp = results.replayTime ?? performance.now();
+        const captureTime = results.replayTime ?? this.frameTime;
+        this.frameTime = null;
+        
+        const { hands, lost } = this.identity.update(
+            results.multiHandLandmarks || [],
+            results.multiHandedness || []
+        );
+        
+        lost.forEach(id => {
+            this.handStates.delete(id);
+            if (this.smoother) this.smoother.forget(id);
+        });
+        
+        this.state.hands = hands.map(hand => this._updateHand(hand, timestamp));
+        
+        if (this.state.hands.length > 0) {
+            // Legacy single-hand fields follow the longest-tracked hand (lowest ID)
+            const primary = this.state.hands.reduce((a, b) => (a.id <= b.id ? a : b));
             
-            this.state.handPosition.x = rawX;
-            this.state.handPosition.y = rawY;
-            this.state.pinchDistance = pinchDistance;
+            this.state.handPosition = { ...primary.handPosition };
+            this.state.smoothedPosition = { ...primary.smoothedPosition };
+            this.state.isPinching = primary.isPinching;
+            this.state.pinchDistance = primary.pinchDistance;
+            this.state.gesture = primary.gesture;
+            this.state.gestures = primary.gestures;
             this.state.handsDetected = true;
         } else {
+            if (this.smoother) this.smoother.reset();
             this.state.handsDetected = false;
-            this.pinchBuffer = [];
+            this.state.isPinching = false;
+            this.state.gesture = null;
+            this.state.gestures = [];
         }
         
+        // State is up to date before listeners run
+        this.events.update(this.state.hands.map(hand => ({
+            ...hand,
+            position: hand.smoothedPosition,
+            rawPosition: hand.handPosition
+        })), { timestamp, captureTime, lost });
+        
         // Call user callback
         if (this.callbacks.onResults) {
             this.callbacks.onResults(results, this.state);
         }
     }
     
+    /**
+     * Update smoothing and gestures for one identified hand
+     * @param {Object} hand - HandIdentityTracker hand
+     * @param {number} timestamp - ms, for the smoother and gesture hold times
+     * @private
+     */
+    _updateHand(hand, timestamp) {
+        let handState = this.handStates.get(hand.id);
+        if (!handState) {
+            handState = {
+                gestureEngine: new GestureEngine(),
+                smoothedPosition: null
+            };
+            this.handStates.set(hand.id, handState);
+        }
+        
+        // Gesture logic runs on smoothed landmarks so pinch/fist don't flicker
+        const landmarks = this.smoother
+            ? this.smoother.smooth(hand.id, hand.landmarks, timestamp)
+            : hand.landmarks;
+        
+        // Key landmarks
+        const thumbTip = landmarks[4];
+        const indexTip = landmarks[8];
+        
+        // Calculate pinch distance
+        const pinchDistance = Math.sqrt(
+            Math.pow(thumbTip.x - indexTip.x, 2) +
+            Math.pow(thumbTip.y - indexTip.y, 2)
+        );
+        
+        // Gesture recognition (hysteresis + hold times stabilize pinch)
+        const gestureResult = handState.gestureEngine.update(landmarks, timestamp);
+        
+        // Smooth position (flipped for mirrored webcam)
+        const rawX = 1 - indexTip.x;
+        const rawY = indexTip.y;
+        
+        if (!handState.smoothedPosition) {
+            handState.smoothedPosition = { x: rawX, y: rawY };
+        }
+        handState.smoothedPosition.x += (rawX - handState.smoothedPosition.x) * this.smoothing;
+        handState.smoothedPosition.y += (rawY - handState.smoothedPosition.y) * this.smoothing;
+        
+        const isPinching = handState.gestureEngine.isActive('pinch');
+        
+        return {
+            id: hand.id,
+            label: hand.label,
+            score: hand.score,
+            labelConfidence: hand.labelConfidence,
+            landmarks,
+            rawLandmarks: hand.landmarks,
+            handPosition: { x: rawX, y: rawY },
+            smoothedPosition: { ...handState.smoothedPosition },
+            pinchDistance,
+            isPinching,
+            gesture: gestureResult.primary,
+            gestures: gestureResult.active
+        };
+    }
+    
+    /**
+     * Get a tracked hand by its stable ID
+     * @param {number} id
+     * @returns {Object|null}
+     */
+    getHand(id) {
+        return this.state.hands.find(hand => hand.id === id) || null;
+    }
+    
+    /**
+     * Get the hand most surely carrying the given label
+     * @param {string} label - 'Left' or 'Right' (the player's own hand)
+     * @returns {Object|null}
+     */
+    getHandByLabel(label) {
+        return this.state.hands
+            .filter(hand => hand.label === label)
+            .sort((a, b) => b.labelConfidence - a.labelConfidence)[0] || null;
+    }
+    
     /**
      * Get current state
      */
@@ -225,15 +415,14 @@ export class HandTracker {
  * @returns {Object} { openFingers, isOpen, isClosed }
  */
 export function detectFingerState(landmarks) {
-    const fingerTips = [8, 12, 16, 20]; // Index, middle, ring, pinky tips
-    const fingerBases = [5, 9, 13, 17]; // Corresponding bases
+    const features = computeHandFeatures(landmarks);
+    if (!features) {
+        return { openFingers: 0, isOpen: false, isClosed: false };
+    }
     
-    let openFingers = 0;
-    fingerTips.forEach((tipIdx, i) => {
-        if (landmarks[tipIdx].y < landmarks[fingerBases[i]].y) {
-            openFingers++;
-        }
-    });
+    // A finger counts as open while mostly straight (same scale as GestureEngine curls)
+    const openFingers = ['index', 'middle', 'ring', 'pinky']
+        .filter(finger => features[`${finger}Curl`] < 70).length;
     
     return {
         openFingers,
@@ -0,0 +1,352 @@
+/**
+ * MotionGestureRecognizer - Swipes, circles, waves and pushes from the hand's path
+ *
+ * Static poses (open palm, fist, pinch) only need one frame; these gestures
+ * are movements, so the recognizer keeps a short trajectory buffer of the
+ * palm centre and palm size and matches its velocity and shape:
+ *
+ *   swipe_left/right/up/down  fast, straight stroke along one axis, not
+ *                             followed by a quick reversal (that is a wave)
+ *   circle_cw/circle_ccw      the path sweeps most of a turn around its
+ *                             centroid at a roughly constant radius
+ *   wave                      side-to-side strokes with several reversals
+ *   push                      the palm grows quickly (hand toward the camera)
+ *                             while staying in place
+ *
+ * Distances are in palm lengths (wrist to middle knuckle), so the thresholds
+ * hold whether the player stands close or far. Directions are as the player
+ * sees them in the mirrored preview. `sensitivity` (0-1) scales every
+ * threshold: higher recognizes smaller and slower movements.
+ *
+ * Feed it smoothed landmarks (e.g. from LandmarkSmoother or the game's
+ * filters); it adds only a light EMA of its own.
+ *
+ * Usage:
+ *   const motion = new MotionGestureRecognizer({ gestures: ['swipe_left'], onGesture: g => undo() });
+ *   motion.update(landmarks, timestamp);   // in onResults, null when the hand is lost
+ */
+
+const MOTION_GESTURES = [
+    'swipe_left', 'swipe_right', 'swipe_up', 'swipe_down',
+    'circle_cw', 'circle_ccw', 'wave', 'push'
+];
+
+// Palm centre: wrist and the four knuckles (fingers curling don't move it)
+const MOTION_PALM_LANDMARKS = [0, 5, 9, 13, 17];
+
+class MotionGestureRecognizer {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.gestures - Gestures to recognize (default: all MOTION_GESTURES)
+     * @param {number} options.sensitivity - 0 (strict) to 1 (loose) (default: 0.5)
+     * @param {boolean} options.mirrored - Flip x so directions match a mirrored preview (default: true)
+     * @param {number} options.aspectRatio - Frame width / height, so x and y share units (default: 4/3)
+     * @param {number} options.smoothing - EMA weight of a new point (default: 0.6)
+     * @param {number} options.bufferMs - Trajectory length (default: 1200)
+     * @param {number} options.cooldownMs - Quiet time after a gesture (default: 600)
+     * @param {number} options.settleMs - Wait after a swipe for a reversal before firing it (default: 150)
+     * @param {number} options.swipeMs - Longest swipe stroke (default: 400)
+     * @param {number} options.swipeDistance - Palm lengths (default: 1.5)
+     * @param {number} options.swipeSpeed - Palm lengths per second (default: 4)
+     * @param {number} options.circleTurns - Fraction of a full turn (default: 0.85)
+     * @param {number} options.circleRadius - Palm lengths (default: 0.5)
+     * @param {number} options.waveAmplitude - Palm lengths between reversals (default: 0.4)
+     * @param {number} options.waveReversals - Direction changes (default: 3)
+     * @param {number} options.pushMs - Longest push (default: 500)
+     * @param {number} options.pushGrowth - Palm size increase, 0.25 = 25% (default: 0.25)
+     * @param {Function} options.onGesture - (gesture) => void
+     */
+    constructor(options = {}) {
+        this.gestures = new Set(options.gestures || MOTION_GESTURES);
+        this.mirrored = options.mirrored ?? true;
+        this.aspectRatio = options.aspectRatio || 4 / 3;
+        this.smoothing = options.smoothing || 0.6;
+        this.bufferMs = options.bufferMs || 1200;
+        this.cooldownMs = options.cooldownMs ?? 600;
+        this.settleMs = options.settleMs ?? 150;
+        this.swipeMs = options.swipeMs || 400;
+        this.swipeDistance = options.swipeDistance || 1.5;
+        this.swipeSpeed = options.swipeSpeed || 4;
+        this.circleTurns = options.circleTurns || 0.85;
+        this.circleRadius = options.circleRadius || 0.5;
+        this.waveAmplitude = options.waveAmplitude || 0.4;
+        this.waveReversals = options.waveReversals || 3;
+        this.pushMs = options.pushMs || 500;
+        this.pushGrowth = options.pushGrowth || 0.25;
+        this.onGesture = options.onGesture || null;
+        this.listeners = new Set();
+
+        this.setSensitivity(options.sensitivity ?? 0.5);
+        this.reset();
+    }
+
+    /**
+     * @param {number} sensitivity - 0 (strict) to 1 (loose)
+     */
+    setSensitivity(sensitivity) {
+        this.sensitivity = Math.max(0, Math.min(1, sensitivity));
+        // Threshold factor: 1.5x at 0, 1x at 0.5, 0.5x at 1
+        this.k = 1.5 - this.sensitivity;
+    }
+
+    /**
+     * Add a frame
+     * @param {Array|null} landmarks - 21 MediaPipe landmarks, null when the hand is lost
+     * @param {number} timestamp - ms (default: performance.now())
+     * @returns {Object|null} The recognized gesture { type, timestamp, duration, ... }
+     */
+    update(landmarks, timestamp = performance.now()) {
+        if (!landmarks || landmarks.length < 21) {
+            this.trajectory = [];
+            this.pending = null;
+            return null;
+        }
+
+        this._addPoint(landmarks, timestamp);
+        if (timestamp < this.cooldownUntil || this.trajectory.length < 3) return null;
+
+        const gesture = this._matchCircle() || this._matchWave() || this._matchPush() || this._matchSwipe();
+        if (!gesture) return null;
+
+        gesture.timestamp = timestamp;
+        this.trajectory = [];
+        this.pending = null;
+        this.cooldownUntil = timestamp + this.cooldownMs;
+        this._notify(gesture);
+        return gesture;
+    }
+
+    /**
+     * Listen for recognized gestures
+     * @param {Function} callback - (gesture) => void
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Forget the trajectory (e.g. while the hand is busy pinching)
+     */
+    reset() {
+        this.trajectory = [];
+        this.pending = null;
+        this.cooldownUntil = 0;
+    }
+
+    /**
+     * @private
+     */
+    _addPoint(landmarks, t) {
+        let x = 0, y = 0;
+        MOTION_PALM_LANDMARKS.forEach(i => { x += landmarks[i].x; y += landmarks[i].y; });
+        x /= MOTION_PALM_LANDMARKS.length;
+        y /= MOTION_PALM_LANDMARKS.length;
+        if (this.mirrored) x = 1 - x;
+        x *= this.aspectRatio;
+
+        const wrist = landmarks[0], middleBase = landmarks[9];
+        const size = Math.hypot((middleBase.x - wrist.x) * this.aspectRatio, middleBase.y - wrist.y);
+        if (size <= 0) return;
+
+        const last = this.trajectory[this.trajectory.length - 1];
+        if (last && t <= last.t) return;
+        const a = this.smoothing;
+        this.trajectory.push(last
+            ? { x: last.x + (x - last.x) * a, y: last.y + (y - last.y) * a, size: last.size + (size - last.size) * a, t }
+            : { x, y, size, t });
+
+        while (this.trajectory.length && this.trajectory[0].t < t - this.bufferMs) this.trajectory.shift();
+    }
+
+    /**
+     * Points of the last `ms`
+     * @private
+     */
+    _recent(ms) {
+        const now = this.trajectory[this.trajectory.length - 1].t;
+        return this.trajectory.filter(p => p.t >= now - ms);
+    }
+
+    /**
+     * Median palm size of some points: the unit for distances
+     * @private
+     */
+    _palm(points) {
+        const sizes = points.map(p => p.size).sort((a, b) => a - b);
+        return sizes[Math.floor(sizes.length / 2)];
+    }
+
+    /**
+     * @private
+     */
+    _pathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        return length;
+    }
+
+    /**
+     * Swipes fire after settleMs, unless the hand snaps back (wave) or turns (circle)
+     * @private
+     */
+    _matchSwipe() {
+        const last = this.trajectory[this.trajectory.length - 1];
+
+        if (this.pending) {
+            const { gesture, end, dir, palm } = this.pending;
+            const along = (last.x - end.x) * dir.x + (last.y - end.y) * dir.y;
+            const across = Math.abs((last.x - end.x) * dir.y - (last.y - end.y) * dir.x);
+            const limit = this.waveAmplitude * this.k * palm;
+            if (along < -limit || across > limit) {
+                this.pending = null;
+            } else if (last.t - end.t >= this.settleMs) {
+                this.pending = null;
+                return gesture;
+            }
+            return null;
+        }
+
+        const points = this._recent(this.swipeMs);
+        if (points.length < 3) return null;
+        const first = points[0];
+        const duration = last.t - first.t;
+        if (duration <= 0) return null;
+
+        const palm = this._palm(points);
+        const dx = last.x - first.x, dy = last.y - first.y;
+        const distance = Math.hypot(dx, dy) / palm;
+        const straightness = Math.hypot(dx, dy) / (this._pathLength(points) || 1);
+        const speed = distance / (duration / 1000);
+        if (distance < this.swipeDistance * this.k || speed < this.swipeSpeed * this.k || straightness < 0.8) return null;
+
+        let type;
+        if (Math.abs(dx) >= 2 * Math.abs(dy)) type = dx > 0 ? 'swipe_right' : 'swipe_left';
+        else if (Math.abs(dy) >= 2 * Math.abs(dx)) type = dy > 0 ? 'swipe_down' : 'swipe_up';
+        if (!type || !this.gestures.has(type)) return null;
+
+        const norm = Math.hypot(dx, dy);
+        this.pending = {
+            gesture: { type, duration, distance, speed },
+            end: last,
+            dir: { x: dx / norm, y: dy / norm },
+            palm
+        };
+        return this.settleMs > 0 ? null : this._matchSwipe();
+    }
+
+    /**
+     * @private
+     */
+    _matchCircle() {
+        if (!this.gestures.has('circle_cw') && !this.gestures.has('circle_ccw')) return null;
+        const points = this.trajectory;
+        const last = points[points.length - 1];
+
+        // The circle may have started anywhere in the buffer: try each start, longest first
+        for (let start = 0; start <= points.length - 8; start++) {
+            const path = points.slice(start);
+            const cx = path.reduce((sum, p) => sum + p.x, 0) / path.length;
+            const cy = path.reduce((sum, p) => sum + p.y, 0) / path.length;
+            const radii = path.map(p => Math.hypot(p.x - cx, p.y - cy));
+            const radius = radii.reduce((a, b) => a + b, 0) / radii.length;
+            const palm = this._palm(path);
+            if (radius < this.circleRadius * this.k * palm) continue;
+
+            const spread = Math.sqrt(radii.reduce((sum, r) => sum + (r - radius) ** 2, 0) / radii.length);
+            if (spread / radius > 0.4) continue;
+
+            // Unwrapped angle swept around the centroid; y points down, so + is clockwise
+            let swept = 0;
+            for (let i = 1; i < path.length; i++) {
+                let delta = Math.atan2(path[i].y - cy, path[i].x - cx) - Math.atan2(path[i - 1].y - cy, path[i - 1].x - cx);
+                if (delta > Math.PI) delta -= 2 * Math.PI;
+                if (delta < -Math.PI) delta += 2 * Math.PI;
+                swept += delta;
+            }
+            const turns = Math.abs(swept) / (2 * Math.PI);
+            if (turns < this.circleTurns) continue;
+
+            const type = swept > 0 ? 'circle_cw' : 'circle_ccw';
+            if (!this.gestures.has(type)) return null;
+            return { type, duration: last.t - path[0].t, turns, radius: radius / palm };
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _matchWave() {
+        if (!this.gestures.has('wave')) return null;
+        const points = this.trajectory;
+        const palm = this._palm(points);
+        const amplitude = this.waveAmplitude * this.k * palm;
+
+        // Zig-zag: a reversal counts once the hand moved `amplitude` back from the last extreme
+        let extreme = points[0], direction = 0, reversals = 0, firstTurn = null;
+        for (const p of points) {
+            const dx = p.x - extreme.x;
+            if (direction >= 0 && dx > 0 || direction <= 0 && dx < 0) {
+                if (direction === 0 && Math.abs(dx) >= amplitude) direction = Math.sign(dx);
+                if (direction !== 0) extreme = p;
+            } else if (Math.abs(dx) >= amplitude) {
+                reversals++;
+                if (!firstTurn) firstTurn = extreme;
+                direction = -direction;
+                extreme = p;
+            }
+        }
+        if (reversals < this.waveReversals) return null;
+
+        // Side to side, not up and down or round
+        const path = points.slice(points.indexOf(firstTurn));
+        const xs = path.map(p => p.x), ys = path.map(p => p.y);
+        const xRange = Math.max(...xs) - Math.min(...xs), yRange = Math.max(...ys) - Math.min(...ys);
+        if (yRange > xRange * 0.6) return null;
+
+        return { type: 'wave', duration: points[points.length - 1].t - path[0].t, reversals };
+    }
+
+    /**
+     * @private
+     */
+    _matchPush() {
+        if (!this.gestures.has('push')) return null;
+        const points = this._recent(this.pushMs);
+        const last = points[points.length - 1];
+
+        let smallest = points[0];
+        points.forEach(p => { if (p.size < smallest.size) smallest = p; });
+        const growth = last.size / smallest.size - 1;
+        if (growth < this.pushGrowth * this.k) return null;
+
+        // The hand stays in place (moving sideways also changes apparent size a little)
+        const drift = Math.hypot(last.x - smallest.x, last.y - smallest.y) / smallest.size;
+        if (drift > 1) return null;
+
+        return { type: 'push', duration: last.t - smallest.t, growth };
+    }
+
+    /**
+     * @private
+     */
+    _notify(gesture) {
+        [this.onGesture, ...this.listeners].forEach(callback => {
+            if (!callback) return;
+            try {
+                callback(gesture);
+            } catch (e) {
+                console.error('Motion gesture listener error:', e);
+            }
+        });
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MotionGestureRecognizer, MOTION_GESTURES };
+}
@@ -0,0 +1,287 @@
+/**
+ * MotionPredictor - Kalman latency compensation for tracked signals
+ *
+ * A MediaPipe result describes the hand as it was when the frame was
+ * captured, tens of milliseconds before it is drawn. Each signal (a landmark,
+ * the cursor, a steering value...) gets a Kalman filter with a constant-
+ * velocity or constant-acceleration model; measurements are placed at their
+ * capture time and the state is extrapolated to the render timestamp.
+ *
+ * The capture-to-result latency is measured (measureLatency) instead of
+ * assumed, so slow machines get more look-ahead than fast ones.
+ *
+ * Usage:
+ *   predictor.measureLatency(captureTime, performance.now());   // in onResults
+ *   predictor.update('cursor', { x, y }, captureTime);
+ *   const cursor = predictor.predict('cursor');                 // in the render loop
+ */
+
+/**
+ * KalmanFilter1D - one scalar with state [position, velocity(, acceleration)]
+ */
+class KalmanFilter1D {
+    /**
+     * @param {Object} options
+     * @param {string} options.model - 'velocity' (constant velocity) or 'acceleration' (default: 'velocity')
+     * @param {number} options.processNoise - Variance of the unmodelled derivative per second (default: 4)
+     * @param {number} options.measurementNoise - Variance of a measurement (default: 1e-4)
+     */
+    constructor(options = {}) {
+        this.model = options.model || 'velocity';
+        this.processNoise = options.processNoise ?? 4;
+        this.measurementNoise = options.measurementNoise ?? 1e-4;
+        this.size = this.model === 'acceleration' ? 3 : 2;
+        this.reset();
+    }
+
+    /**
+     * Add a measurement taken at `time`
+     * @param {number} value
+     * @param {number} time - ms
+     * @returns {number} Filtered value at `time`
+     */
+    update(value, time) {
+        if (!this.initialized) {
+            this.x = new Array(this.size).fill(0);
+            this.x[0] = value;
+            // Unknown derivatives start with a wide variance
+            this.P = this._identity().map((row, i) => row.map(v => v * (i === 0 ? this.measurementNoise : 1)));
+            this.time = time;
+            this.initialized = true;
+            return value;
+        }
+
+        // Measurements can arrive out of order (e.g. a reprojected keyframe); never step back in time
+        const dt = Math.max(0, (time - this.time) / 1000);
+        this.time = Math.max(this.time, time);
+
+        // Predict: x = F x, P = F P F' + Q
+        const F = this._transition(dt);
+        this.x = this._multiplyVector(F, this.x);
+        this.P = this._add(this._multiply(this._multiply(F, this.P), this._transpose(F)), this._processCovariance(dt));
+
+        // Correct with H = [1, 0, (0)]
+        const S = this.P[0][0] + this.measurementNoise;
+        const K = this.P.map(row => row[0] / S);
+        const innovation = value - this.x[0];
+
+        this.x = this.x.map((v, i) => v + K[i] * innovation);
+        this.P = this.P.map((row, i) => row.map((v, j) => v - K[i] * this.P[0][j]));
+
+        return this.x[0];
+    }
+
+    /**
+     * Extrapolate to `time` without changing the state
+     * @param {number} time - ms
+     * @returns {number}
+     */
+    predict(time) {
+        if (!this.initialized) return 0;
+        const dt = (time - this.time) / 1000;
+        const [p, v = 0, a = 0] = this.x;
+        return p + v * dt + 0.5 * a * dt * dt;
+    }
+
+    /**
+     * Estimated rate of change (units per second)
+     */
+    getVelocity() {
+        return this.initialized ? this.x[1] : 0;
+    }
+
+    reset() {
+        this.initialized = false;
+        this.x = null;
+        this.P = null;
+        this.time = 0;
+    }
+
+    /**
+     * @private
+     */
+    _transition(dt) {
+        if (this.size === 2) return [[1, dt], [0, 1]];
+        return [[1, dt, 0.5 * dt * dt], [0, 1, dt], [0, 0, 1]];
+    }
+
+    /**
+     * Noise entering through the highest derivative: Q = q * G G'
+     * @private
+     */
+    _processCovariance(dt) {
+        const G = this.size === 2
+            ? [0.5 * dt * dt, dt]
+            : [dt * dt * dt / 6, 0.5 * dt * dt, dt];
+        return G.map(gi => G.map(gj => gi * gj * this.processNoise));
+    }
+
+    /**
+     * @private
+     */
+    _identity() {
+        return Array.from({ length: this.size }, (_, i) => Array.from({ length: this.size }, (_, j) => (i === j ? 1 : 0)));
+    }
+
+    /**
+     * @private
+     */
+    _multiply(A, B) {
+        return A.map(row => B[0].map((_, j) => row.reduce((sum, v, k) => sum + v * B[k][j], 0)));
+    }
+
+    /**
+     * @private
+     */
+    _multiplyVector(A, x) {
+        return A.map(row => row.reduce((sum, v, k) => sum + v * x[k], 0));
+    }
+
+    /**
+     * @private
+     */
+    _transpose(A) {
+        return A[0].map((_, j) => A.map(row => row[j]));
+    }
+
+    /**
+     * @private
+     */
+    _add(A, B) {
+        return A.map((row, i) => row.map((v, j) => v + B[i][j]));
+    }
+}
+
+class MotionPredictor {
+    /**
+     * @param {Object} options - KalmanFilter1D options plus:
+     * @param {number} options.latency - Capture-to-result latency (ms) until the first measurement (default: 60)
+     * @param {number} options.maxHorizon - Never extrapolate further than this many ms (default: 150)
+     * @param {number} options.latencySmoothing - EMA weight of a new latency sample (default: 0.1)
+     */
+    constructor(options = {}) {
+        this.filterOptions = {
+            model: options.model,
+            processNoise: options.processNoise,
+            measurementNoise: options.measurementNoise
+        };
+        this.latency = options.latency ?? 60;
+        this.maxHorizon = options.maxHorizon ?? 150;
+        this.latencySmoothing = options.latencySmoothing || 0.1;
+        this.latencySamples = 0;
+
+        // Signal key -> { filters: { component: KalmanFilter1D }, scalar }
+        this.signals = new Map();
+    }
+
+    /**
+     * Record how long a frame took from capture to result
+     * @param {number} captureTime - ms, when the frame was grabbed / sent to MediaPipe
+     * @param {number} resultTime - ms, when its landmarks arrived (default: performance.now())
+     * @returns {number} Smoothed latency in ms
+     */
+    measureLatency(captureTime, resultTime = performance.now()) {
+        const sample = resultTime - captureTime;
+        if (!(sample >= 0)) return this.latency;
+
+        this.latency = this.latencySamples === 0
+            ? sample
+            : this.latency * (1 - this.latencySmoothing) + sample * this.latencySmoothing;
+        this.latencySamples++;
+        return this.latency;
+    }
+
+    /**
+     * Add a measurement
+     * @param {string} key - Signal name, e.g. 'cursor', 'steering', 'landmark8'
+     * @param {number|Object} value - Scalar or {x, y(, z)}
+     * @param {number} captureTime - ms the measured frame was captured
+     *   (default: now minus the measured latency)
+     * @returns {number|Object} Filtered value at capture time
+     */
+    update(key, value, captureTime = performance.now() - this.latency) {
+        const scalar = typeof value === 'number';
+        let signal = this.signals.get(key);
+        if (!signal || signal.scalar !== scalar) {
+            signal = { scalar, filters: {} };
+            this.signals.set(key, signal);
+        }
+
+        if (scalar) {
+            return this._filter(signal, 'value').update(value, captureTime);
+        }
+
+        const filtered = {};
+        Object.keys(value).forEach(axis => {
+            if (typeof value[axis] !== 'number') return;
+            filtered[axis] = this._filter(signal, axis).update(value[axis], captureTime);
+        });
+        return filtered;
+    }
+
+    /**
+     * Extrapolate a signal to the render time
+     * @param {string} key
+     * @param {number} renderTime - ms (default: performance.now())
+     * @returns {number|Object|null} null for an unknown signal
+     */
+    predict(key, renderTime = performance.now()) {
+        const signal = this.signals.get(key);
+        if (!signal) return null;
+
+        const predictAt = (filter) => filter.predict(Math.min(renderTime, filter.time + this.maxHorizon));
+
+        if (signal.scalar) return predictAt(signal.filters.value);
+
+        const predicted = {};
+        Object.entries(signal.filters).forEach(([axis, filter]) => {
+            predicted[axis] = predictAt(filter);
+        });
+        return predicted;
+    }
+
+    /**
+     * Predict all 21 landmarks of a hand (keys `${prefix}0` ... `${prefix}20`)
+     * @param {string} prefix - e.g. a hand ID
+     * @param {Array} landmarks - Measured landmarks
+     * @param {number} captureTime - ms the frame was captured
+     * @param {number} renderTime - ms to predict to (default: performance.now())
+     * @returns {Array} Predicted landmarks {x, y, z}
+     */
+    predictLandmarks(prefix, landmarks, captureTime, renderTime = performance.now()) {
+        return landmarks.map((point, i) => {
+            this.update(`${prefix}${i}`, { x: point.x, y: point.y, z: point.z || 0 }, captureTime);
+            return this.predict(`${prefix}${i}`, renderTime);
+        });
+    }
+
+    /**
+     * Estimated velocity of a scalar signal (units per second)
+     * @param {string} key
+     */
+    getVelocity(key) {
+        const signal = this.signals.get(key);
+        return signal && signal.scalar ? signal.filters.value.getVelocity() : 0;
+    }
+
+    /**
+     * Forget one signal (e.g. when its hand is lost)
+     * @param {string} key
+     */
+    reset(key = null) {
+        if (key === null) this.signals.clear();
+        else this.signals.delete(key);
+    }
+
+    /**
+     * @private
+     */
+    _filter(signal, axis) {
+        if (!signal.filters[axis]) signal.filters[axis] = new KalmanFilter1D(this.filterOptions);
+        return signal.filters[axis];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KalmanFilter1D, MotionPredictor };
+}
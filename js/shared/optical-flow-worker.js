@@ -0,0 +1,76 @@
+/**
+ * Optical Flow Worker
+ * Runs OpticalFlow off the main thread for OpticalFlowWorker (see optical-flow.js)
+ *
+ * Messages in:  init, snapshot (with ImageBitmap), track, setKeyframe, reset, benchmark
+ * Messages out: { requestId, result } or { requestId, error }
+ */
+
+importScripts('optical-flow.js');
+
+// Snapshots are referenced by ID from the main thread; keep only the recent ones
+const MAX_SNAPSHOTS = 8;
+
+let flow = null;
+const snapshots = new Map();
+
+function storeSnapshot(id, snapshot) {
+    snapshots.set(id, snapshot);
+    if (snapshots.size > MAX_SNAPSHOTS) {
+        snapshots.delete(snapshots.keys().next().value);
+    }
+}
+
+function getSnapshot(id) {
+    const snapshot = snapshots.get(id);
+    if (!snapshot) throw new Error(`Unknown snapshot ${id}`);
+    return snapshot;
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case 'init':
+                flow = new OpticalFlow(...message.args);
+                break;
+
+            case 'snapshot':
+                storeSnapshot(message.id, flow.snapshot(message.bitmap, message.roi));
+                message.bitmap.close();
+                break;
+
+            case 'track':
+                self.postMessage({
+                    requestId: message.requestId,
+                    result: flow.trackSnapshot(getSnapshot(message.id), message.points)
+                });
+                break;
+
+            case 'setKeyframe':
+                flow.setKeyframe(getSnapshot(message.id));
+                break;
+
+            case 'reset':
+                flow.reset();
+                break;
+
+            case 'benchmark':
+                self.postMessage({
+                    requestId: message.requestId,
+                    result: flow.benchmark(message.bitmap, message.points, message.options)
+                });
+                message.bitmap.close();
+                break;
+        }
+    } catch (error) {
+        if (message.bitmap) message.bitmap.close();
+
+        if (message.requestId) {
+            self.postMessage({ requestId: message.requestId, error: error.message });
+        } else {
+            console.error('Optical flow worker error:', error);
+        }
+    }
+};
@@ -1,59 +1,115 @@
 /**
  * Lucas-Kanade Sparse Optical Flow
- * 
+ *
  * Tracks landmark points between frames using pyramid-based Lucas-Kanade algorithm.
  * Optimized for hand tracking with 21 MediaPipe landmarks.
- * 
+ *
+ * Each frame is converted once into a snapshot (grayscale pyramid, optionally
+ * cropped to a region around the hand); Sobel gradients are cached on the
+ * pyramid levels, so every point and both tracking directions share them.
+ *
+ * The same class runs inside optical-flow-worker.js; OpticalFlowWorker below
+ * is the main-thread proxy for it.
+ *
  * @see https://en.wikipedia.org/wiki/Lucas%E2%80%93Kanade_method
  */
 
+// document.currentScript is only set while this file is executing
+const OPTICAL_FLOW_SCRIPT_URL = typeof document !== 'undefined' && document.currentScript
+    ? document.currentScript.src
+    : null;
+
 class OpticalFlow {
     /**
      * @param {number} windowSize - Size of the search window (default: 15)
      * @param {number} pyramidLevels - Number of pyramid levels (default: 3)
      * @param {number} maxIterations - Max iterations per point (default: 10)
      * @param {number} epsilon - Convergence threshold (default: 0.01)
+     * @param {Object} options
+     * @param {boolean} options.forwardBackward - Validate points by tracking them back (default: false)
+     * @param {number} options.maxForwardBackwardError - Round-trip distance in pixels before a point is invalid (default: 2)
+     * @param {boolean} options.cacheGradients - Compute gradients once per pyramid level (default: true)
      */
-    constructor(windowSize = 15, pyramidLevels = 3, maxIterations = 10, epsilon = 0.01) {
+    constructor(windowSize = 15, pyramidLevels = 3, maxIterations = 10, epsilon = 0.01, options = {}) {
         this.windowSize = windowSize;
         this.halfWindow = Math.floor(windowSize / 2);
         this.pyramidLevels = pyramidLevels;
         this.maxIterations = maxIterations;
         this.epsilon = epsilon;
+        this.forwardBackward = options.forwardBackward || false;
+        this.maxForwardBackwardError = options.maxForwardBackwardError || 2;
+        this.cacheGradients = options.cacheGradients !== false;
 
-        this.prevFrame = null;
-        this.prevPyramid = null;
-        this.canvas = document.createElement('canvas');
+        this.prevSnapshot = null;
+        // No DOM inside a worker
+        this.canvas = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(1, 1);
         this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
     }
 
+    /**
+     * Padded bounding box of normalized points
+     * @param {Array} points - Array of {x, y} normalized coordinates (0-1)
+     * @param {number} padding - Margin as a fraction of the box's larger side (default: 0.5)
+     * @param {number} minPadding - Minimum margin, normalized (default: 0.05)
+     * @returns {Object} {x, y, width, height} normalized, clamped to the image
+     */
+    static boundingBox(points, padding = 0.5, minPadding = 0.05) {
+        let minX = 1, minY = 1, maxX = 0, maxY = 0;
+        points.forEach(p => {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        });
+
+        const margin = Math.max(minPadding, Math.max(maxX - minX, maxY - minY) * padding);
+        const x = Math.max(0, minX - margin);
+        const y = Math.max(0, minY - margin);
+
+        return {
+            x,
+            y,
+            width: Math.min(1, maxX + margin) - x,
+            height: Math.min(1, maxY + margin) - y
+        };
+    }
+
     /**
      * Convert video/image to grayscale ImageData
-     * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} source
-     * @returns {ImageData}
+     * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+     * @param {Object} roi - Normalized {x, y, width, height} to convert (default: whole image)
+     * @returns {Object} {data, width, height, offsetX, offsetY, fullWidth, fullHeight}
      */
-    getGrayscaleFrame(source) {
-        const width = source.videoWidth || source.width;
-        const height = source.videoHeight || source.height;
+    getGrayscaleFrame(source, roi = null) {
+        const fullWidth = source.videoWidth || source.width;
+        const fullHeight = source.videoHeight || source.height;
+
+        let offsetX = 0, offsetY = 0, width = fullWidth, height = fullHeight;
+        if (roi) {
+            // Align the crop to the coarsest pyramid level so all levels stay pixel-aligned
+            const align = 1 << (this.pyramidLevels - 1);
+            offsetX = Math.floor(roi.x * fullWidth / align) * align;
+            offsetY = Math.floor(roi.y * fullHeight / align) * align;
+            width = Math.min(fullWidth - offsetX, Math.ceil((roi.x + roi.width) * fullWidth / align) * align - offsetX);
+            height = Math.min(fullHeight - offsetY, Math.ceil((roi.y + roi.height) * fullHeight / align) * align - offsetY);
+        }
 
         if (this.canvas.width !== width || this.canvas.height !== height) {
             this.canvas.width = width;
             this.canvas.height = height;
         }
 
-        this.ctx.drawImage(source, 0, 0, width, height);
-        const imageData = this.ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
+        this.ctx.drawImage(source, offsetX, offsetY, width, height, 0, 0, width, height);
+        const data = this.ctx.getImageData(0, 0, width, height).data;
 
         // Convert to grayscale array (single channel)
         const gray = new Float32Array(width * height);
-        for (let i = 0; i < gray.length; i++) {
-            const idx = i * 4;
+        for (let i = 0, idx = 0; i < gray.length; i++, idx += 4) {
             // Luminance formula: 0.299*R + 0.587*G + 0.114*B
             gray[i] = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
         }
 
-        return { data: gray, width, height };
+        return { data: gray, width, height, offsetX, offsetY, fullWidth, fullHeight };
     }
 
     /**
@@ -62,8 +118,8 @@ class OpticalFlow {
      * @returns {Array} Array of pyramid levels
      */
     buildPyramid(frame) {
-        const pyramid = [frame];
-        let current = frame;
+        const pyramid = [{ data: frame.data, width: frame.width, height: frame.height }];
+        let current = pyramid[0];
 
         for (let level = 1; level < this.pyramidLevels; level++) {
             const newWidth = Math.floor(current.width / 2);
@@ -71,18 +127,17 @@ class OpticalFlow {
 
             if (newWidth < 10 || newHeight < 10) break;
 
+            const src = current.data;
+            const srcWidth = current.width;
             const downsampled = new Float32Array(newWidth * newHeight);
 
             for (let y = 0; y < newHeight; y++) {
+                const row = 2 * y * srcWidth;
                 for (let x = 0; x < newWidth; x++) {
-                    const srcX = x * 2;
-                    const srcY = y * 2;
-                    // 2x2 average
-                    const sum = this.getPixel(current, srcX, srcY) +
-                        this.getPixel(current, srcX + 1, srcY) +
-                        this.getPixel(current, srcX, srcY + 1) +
-                        this.getPixel(current, srcX + 1, srcY + 1);
-                    downsampled[y * newWidth + x] = sum / 4;
+                    // 2x2 average (always inside the source, no bounds checks needed)
+                    const i = row + 2 * x;
+                    downsampled[y * newWidth + x] =
+                        (src[i] + src[i + 1] + src[i + srcWidth] + src[i + srcWidth + 1]) / 4;
                 }
             }
 
@@ -156,6 +211,15 @@ class OpticalFlow {
         return { Ix, Iy };
     }
 
+    /**
+     * Gradients of a pyramid level, computed on first use and kept with the level
+     */
+    getGradients(level) {
+        if (!this.cacheGradients) return this.computeGradients(level);
+        if (!level.gradients) level.gradients = this.computeGradients(level);
+        return level.gradients;
+    }
+
     /**
      * Track a single point using Lucas-Kanade
      * @param {Object} prevFrame - Previous frame at pyramid level
@@ -163,11 +227,16 @@ class OpticalFlow {
      * @param {Object} gradients - Precomputed gradients
      * @param {number} px - Point x coordinate
      * @param {number} py - Point y coordinate
-     * @returns {Object} {x, y, error} - New position and tracking error
+     * @param {number} shiftX - Offset from prevFrame to currFrame coordinates: crop difference plus initial guess (default: 0)
+     * @param {number} shiftY
+     * @returns {Object} {x, y, error} - New position (prevFrame coordinates) and tracking error
      */
-    trackPoint(prevFrame, currFrame, gradients, px, py) {
+    trackPoint(prevFrame, currFrame, gradients, px, py, shiftX = 0, shiftY = 0) {
         const { Ix, Iy } = gradients;
         const { width, height } = prevFrame;
+        const prevData = prevFrame.data;
+        const currData = currFrame.data;
+        const currWidth = currFrame.width;
         const hw = this.halfWindow;
 
         let ux = 0, uy = 0;
@@ -176,8 +245,17 @@ class OpticalFlow {
             let sumIxIx = 0, sumIyIy = 0, sumIxIy = 0;
             let sumIxIt = 0, sumIyIt = 0;
 
-            const newX = px + ux;
-            const newY = py + uy;
+            const newX = px + ux + shiftX;
+            const newY = py + uy + shiftY;
+
+            // Same sub-pixel offset for the whole window: compute the bilinear weights once
+            const bx = Math.floor(newX);
+            const by = Math.floor(newY);
+            const fx = newX - bx;
+            const fy = newY - by;
+            const w00 = (1 - fx) * (1 - fy), w10 = fx * (1 - fy), w01 = (1 - fx) * fy, w11 = fx * fy;
+            const windowInside = bx - hw >= 0 && bx + hw < currWidth - 1 &&
+                by - hw >= 0 && by + hw < currFrame.height - 1;
 
             // Accumulate over window
             for (let wy = -hw; wy <= hw; wy++) {
@@ -191,8 +269,15 @@ class OpticalFlow {
                     const ix = Ix[idx];
                     const iy = Iy[idx];
 
-                    const i0 = this.getSubPixel(prevFrame, x0, y0);
-                    const i1 = this.getSubPixel(currFrame, newX + wx, newY + wy);
+                    const i0 = prevData[idx];
+                    let i1;
+                    if (windowInside) {
+                        const c = (by + wy) * currWidth + bx + wx;
+                        i1 = currData[c] * w00 + currData[c + 1] * w10 +
+                            currData[c + currWidth] * w01 + currData[c + currWidth + 1] * w11;
+                    } else {
+                        i1 = this.getSubPixel(currFrame, newX + wx, newY + wy);
+                    }
                     const it = i1 - i0;
 
                     sumIxIx += ix * ix;
@@ -229,7 +314,7 @@ class OpticalFlow {
         for (let wy = -hw; wy <= hw; wy++) {
             for (let wx = -hw; wx <= hw; wx++) {
                 const i0 = this.getSubPixel(prevFrame, px + wx, py + wy);
-                const i1 = this.getSubPixel(currFrame, px + ux + wx, py + uy + wy);
+                const i1 = this.getSubPixel(currFrame, px + ux + shiftX + wx, py + uy + shiftY + wy);
                 error += (i1 - i0) ** 2;
                 count++;
             }
@@ -239,6 +324,25 @@ class OpticalFlow {
         return { x: px + ux, y: py + uy, error };
     }
 
+    /**
+     * Capture an image as a grayscale pyramid
+     * The snapshot keeps the exact pixels, so it can be used as a keyframe
+     * later even if the video has moved on.
+     * @param {HTMLVideoElement|HTMLCanvasElement} source
+     * @param {Object} roi - Normalized {x, y, width, height} to keep, e.g. boundingBox(landmarks) (default: whole image)
+     * @returns {Object} {pyramid, width, height, offsetX, offsetY}
+     */
+    snapshot(source, roi = null) {
+        const frame = this.getGrayscaleFrame(source, roi);
+        return {
+            pyramid: this.buildPyramid(frame),
+            width: frame.fullWidth,
+            height: frame.fullHeight,
+            offsetX: frame.offsetX,
+            offsetY: frame.offsetY
+        };
+    }
+
     /**
      * Track multiple points from previous frame to current frame
      * @param {HTMLVideoElement} source - Video source
@@ -246,78 +350,329 @@ class OpticalFlow {
      * @returns {Object} {points: Array, errors: Array, avgError: number}
      */
     track(source, points) {
-        const frame = this.getGrayscaleFrame(source);
-        const pyramid = this.buildPyramid(frame);
+        return this.trackSnapshot(this.snapshot(source), points);
+    }
 
-        if (!this.prevPyramid) {
-            this.prevPyramid = pyramid;
-            return { points: points.slice(), errors: points.map(() => 0), avgError: 0 };
+    /**
+     * Track points from the previous frame into a snapshot
+     *
+     * With forward-backward checking enabled, every point is also tracked
+     * back from its new position; a point whose round trip doesn't land near
+     * where it started is marked invalid.
+     *
+     * @param {Object} snapshot - From snapshot()
+     * @param {Array} points - Array of {x, y} normalized coordinates (0-1)
+     * @returns {Object} {points, errors, avgError, fbErrors, valid, validCount}
+     */
+    trackSnapshot(snapshot, points) {
+        const { width, height } = snapshot;
+
+        if (!this.prevSnapshot) {
+            this.prevSnapshot = snapshot;
+            return {
+                points: points.slice(),
+                errors: points.map(() => 0),
+                avgError: 0,
+                fbErrors: points.map(() => 0),
+                valid: points.map(() => true),
+                validCount: points.length
+            };
         }
 
-        const { width, height } = frame;
-        const trackedPoints = [];
-        const errors = [];
+        // Convert normalized to pixel coordinates
+        const start = points.map(p => ({ x: p.x * width, y: p.y * height }));
+        const forward = this.trackBetween(this.prevSnapshot, snapshot, start);
 
-        for (const point of points) {
-            // Convert normalized to pixel coordinates
-            let px = point.x * width;
-            let py = point.y * height;
+        let fbErrors = points.map(() => 0);
+        if (this.forwardBackward) {
+            const backward = this.trackBetween(snapshot, this.prevSnapshot, forward);
+            fbErrors = backward.map((p, i) => Math.hypot(p.x - start[i].x, p.y - start[i].y));
+        }
 
-            // Coarse-to-fine tracking through pyramid
-            for (let level = this.pyramidLevels - 1; level >= 0; level--) {
-                if (level >= pyramid.length || level >= this.prevPyramid.length) continue;
+        const errors = forward.map(p => p.error);
+        const valid = forward.map((p, i) =>
+            Number.isFinite(p.error) && !(fbErrors[i] > this.maxForwardBackwardError)
+        );
 
-                const scale = Math.pow(2, level);
-                const levelPx = px / scale;
-                const levelPy = py / scale;
+        // Convert back to normalized coordinates
+        const trackedPoints = forward.map(p => ({
+            x: Math.max(0, Math.min(1, p.x / width)),
+            y: Math.max(0, Math.min(1, p.y / height))
+        }));
 
-                const prevLevel = this.prevPyramid[level];
-                const currLevel = pyramid[level];
-                const gradients = this.computeGradients(prevLevel);
+        this.prevSnapshot = snapshot;
 
-                const result = this.trackPoint(prevLevel, currLevel, gradients, levelPx, levelPy);
+        const avgError = errors.reduce((a, b) => a + b, 0) / errors.length;
 
-                // Update position for next level
-                px = result.x * scale;
-                py = result.y * scale;
+        return {
+            points: trackedPoints,
+            errors,
+            avgError,
+            fbErrors,
+            valid,
+            validCount: valid.filter(Boolean).length
+        };
+    }
 
-                if (level === 0) {
-                    errors.push(result.error);
-                }
+    /**
+     * Coarse-to-fine tracking of pixel positions from one snapshot to another
+     * @param {Object} from - Snapshot the points are in
+     * @param {Object} to - Snapshot to find them in
+     * @param {Array} points - Array of {x, y} in full-resolution pixels
+     * @returns {Array} {x, y, error} per point, in full-resolution pixels
+     */
+    trackBetween(from, to, points) {
+        const levels = Math.min(this.pyramidLevels, from.pyramid.length, to.pyramid.length);
+        const offsetX = from.offsetX || 0, offsetY = from.offsetY || 0;
+        const shiftX = offsetX - (to.offsetX || 0);
+        const shiftY = offsetY - (to.offsetY || 0);
+
+        return points.map(point => {
+            // The template stays at the original point; each level refines the displacement guess
+            let gx = 0;
+            let gy = 0;
+            let error = 0;
+
+            for (let level = levels - 1; level >= 0; level--) {
+                const scale = 1 << level;
+                const px = (point.x - offsetX) / scale;
+                const py = (point.y - offsetY) / scale;
+                const result = this.trackPoint(
+                    from.pyramid[level], to.pyramid[level], this.getGradients(from.pyramid[level]),
+                    px, py, (shiftX + gx) / scale, (shiftY + gy) / scale
+                );
+
+                // Update displacement for next level
+                gx += (result.x - px) * scale;
+                gy += (result.y - py) * scale;
+                error = result.error;
             }
 
-            // Convert back to normalized coordinates
-            trackedPoints.push({
-                x: Math.max(0, Math.min(1, px / width)),
-                y: Math.max(0, Math.min(1, py / height))
-            });
-        }
+            return { x: point.x + gx, y: point.y + gy, error };
+        });
+    }
+
+    /**
+     * Measure tracking cost before and after the optimizations
+     * "Before": whole frame, gradients recomputed for every point (the original path).
+     * "After": hand bounding box, gradients cached per level.
+     * @param {HTMLVideoElement|HTMLCanvasElement} source - Image to track on (e.g. the webcam)
+     * @param {Array} points - Normalized landmarks to track
+     * @param {Object} options
+     * @param {number} options.frames - Frames per run (default: 30)
+     * @returns {Object} {before, after, speedup} in ms per frame
+     */
+    benchmark(source, points, options = {}) {
+        const frames = options.frames || 30;
+        const roi = OpticalFlow.boundingBox(points);
+        const saved = { prevSnapshot: this.prevSnapshot, cacheGradients: this.cacheGradients };
+
+        const run = (cropToHand, cacheGradients) => {
+            this.cacheGradients = cacheGradients;
+            this.prevSnapshot = this.snapshot(source, cropToHand ? roi : null);
+
+            const start = performance.now();
+            for (let i = 0; i < frames; i++) {
+                this.trackSnapshot(this.snapshot(source, cropToHand ? roi : null), points);
+            }
+            return (performance.now() - start) / frames;
+        };
 
-        this.prevPyramid = pyramid;
+        const before = run(false, false);
+        const after = run(true, true);
 
-        const avgError = errors.reduce((a, b) => a + b, 0) / errors.length;
+        this.prevSnapshot = saved.prevSnapshot;
+        this.cacheGradients = saved.cacheGradients;
 
-        return { points: trackedPoints, errors, avgError };
+        return { before, after, speedup: after > 0 ? before / after : 0 };
     }
 
     /**
      * Reset tracker state (call when switching to MediaPipe keyframe)
      */
     reset() {
-        this.prevPyramid = null;
+        this.prevSnapshot = null;
     }
 
     /**
      * Set new reference frame from MediaPipe detection
-     * @param {HTMLVideoElement} source
+     * @param {HTMLVideoElement|Object} source - Image, or a snapshot() of the frame MediaPipe analysed
+     */
+    setKeyframe(source) {
+        this.prevSnapshot = source.pyramid ? source : this.snapshot(source);
+    }
+}
+
+/**
+ * OpticalFlowWorker - OpticalFlow running in a Web Worker
+ *
+ * Same snapshot / trackSnapshot / track / setKeyframe / reset methods, but
+ * tracking results come back as Promises. Frames travel as transferable
+ * ImageBitmaps; snapshots stay in the worker and are referenced by ID.
+ */
+class OpticalFlowWorker {
+    /**
+     * @param {number} windowSize - See OpticalFlow
+     * @param {number} pyramidLevels
+     * @param {number} maxIterations
+     * @param {number} epsilon
+     * @param {Object} options - OpticalFlow options plus:
+     * @param {string} options.workerUrl - Worker script (default: optical-flow-worker.js next to this file)
+     */
+    constructor(windowSize = 15, pyramidLevels = 3, maxIterations = 10, epsilon = 0.01, options = {}) {
+        this.forwardBackward = options.forwardBackward || false;
+        this.maxForwardBackwardError = options.maxForwardBackwardError || 2;
+
+        const workerUrl = options.workerUrl || new URL('optical-flow-worker.js', OPTICAL_FLOW_SCRIPT_URL).href;
+        this.worker = new Worker(workerUrl);
+
+        this.nextSnapshotId = 1;
+        this.nextRequestId = 1;
+        this.pending = new Map();
+        // Messages are chained so frames reach the worker in call order
+        this._queue = Promise.resolve();
+
+        // Called when the worker dies (e.g. script failed to load)
+        this.onError = null;
+
+        this.worker.onmessage = (event) => this._onMessage(event.data);
+        this.worker.onerror = (event) => {
+            const error = new Error(`Optical flow worker error: ${event.message || 'failed to load'}`);
+            this._rejectAll(error);
+            if (this.onError) this.onError(error);
+        };
+
+        this._post({
+            type: 'init',
+            args: [windowSize, pyramidLevels, maxIterations, epsilon, {
+                forwardBackward: this.forwardBackward,
+                maxForwardBackwardError: this.maxForwardBackwardError,
+                cacheGradients: options.cacheGradients
+            }]
+        });
+    }
+
+    /**
+     * Send an image to the worker and build its snapshot there
+     * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source
+     * @param {Object} roi - Normalized {x, y, width, height} (default: whole image)
+     * @returns {Object} Snapshot handle {id, width, height}
+     */
+    snapshot(source, roi = null) {
+        const id = this.nextSnapshotId++;
+        this._postImage({ type: 'snapshot', id, roi }, source);
+        return {
+            id,
+            width: source.videoWidth || source.width,
+            height: source.videoHeight || source.height
+        };
+    }
+
+    /**
+     * @returns {Promise<Object>} Same result as OpticalFlow.track()
+     */
+    track(source, points) {
+        return this.trackSnapshot(this.snapshot(source), points);
+    }
+
+    /**
+     * @param {Object} snapshot - Handle from snapshot()
+     * @param {Array} points - Normalized {x, y}
+     * @returns {Promise<Object>} Same result as OpticalFlow.trackSnapshot()
+     */
+    trackSnapshot(snapshot, points) {
+        return this._request({ type: 'track', id: snapshot.id, points: points.map(p => ({ x: p.x, y: p.y })) });
+    }
+
+    /**
+     * @param {HTMLVideoElement|Object} source - Image or snapshot handle
      */
     setKeyframe(source) {
-        const frame = this.getGrayscaleFrame(source);
-        this.prevPyramid = this.buildPyramid(frame);
+        // Handles have numeric IDs; elements (e.g. <video id="webcam">) have string ones
+        const snapshot = typeof source.id === 'number' ? source : this.snapshot(source);
+        this._post({ type: 'setKeyframe', id: snapshot.id });
+    }
+
+    reset() {
+        this._post({ type: 'reset' });
+    }
+
+    /**
+     * @returns {Promise<Object>} Same result as OpticalFlow.benchmark(), measured in the worker
+     */
+    benchmark(source, points, options = {}) {
+        const requestId = this.nextRequestId++;
+        const promise = this._expect(requestId);
+        this._postImage({ type: 'benchmark', requestId, points: points.map(p => ({ x: p.x, y: p.y })), options }, source);
+        return promise;
+    }
+
+    /**
+     * Stop the worker
+     */
+    terminate() {
+        this.worker.terminate();
+        this._rejectAll(new Error('Optical flow worker terminated'));
+    }
+
+    /**
+     * @private
+     */
+    _post(message) {
+        this._queue = this._queue.then(() => this.worker.postMessage(message));
+    }
+
+    /**
+     * @private
+     */
+    _postImage(message, source) {
+        // createImageBitmap copies the pixels now, even though it resolves later
+        const bitmap = createImageBitmap(source);
+        this._queue = this._queue
+            .then(() => bitmap)
+            .then(image => this.worker.postMessage({ ...message, bitmap: image }, [image]))
+            .catch(error => console.error('Optical flow worker frame error:', error));
+    }
+
+    /**
+     * @private
+     */
+    _request(message) {
+        const requestId = this.nextRequestId++;
+        const promise = this._expect(requestId);
+        this._post({ ...message, requestId });
+        return promise;
+    }
+
+    /**
+     * @private
+     */
+    _expect(requestId) {
+        return new Promise((resolve, reject) => this.pending.set(requestId, { resolve, reject }));
+    }
+
+    /**
+     * @private
+     */
+    _onMessage(message) {
+        const request = this.pending.get(message.requestId);
+        if (!request) return;
+
+        this.pending.delete(message.requestId);
+        if (message.error) request.reject(new Error(message.error));
+        else request.resolve(message.result);
+    }
+
+    /**
+     * @private
+     */
+    _rejectAll(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
     }
 }
 
 // Export
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { OpticalFlow };
+    module.exports = { OpticalFlow, OpticalFlowWorker };
 }
@@ -0,0 +1,405 @@
+/**
+ * PlayerProfileStore - Named player profiles, each with its own calibration
+ *
+ * Several players share one demo station, so calibration is stored per
+ * profile instead of under one localStorage key. All profiles live in a single
+ * localStorage entry; CalibrationManager reads and writes the active
+ * profile's record through getCalibration/setCalibration (keyed by the
+ * manager's storageKey, e.g. 'racingCalibration').
+ *
+ * Profiles are exported as JSON files so a player can take their calibration
+ * to another browser or machine. Imports check every calibration record with
+ * CalibrationManager, so pages that import profiles load calibration.js too.
+ *
+ * Usage:
+ *   const profiles = new PlayerProfileStore();
+ *   const calibration = new CalibrationManager({ storageKey: 'racingCalibration', profiles });
+ *   createProfileSwitcher(document.getElementById('profile-switcher'), profiles);
+ */
+
+/**
+ * Text through the shared i18n instance when the page loaded i18n.js
+ */
+function profileText(key, params = {}) {
+    return typeof i18n !== 'undefined' ? i18n.t(key, params) : key;
+}
+
+const PROFILE_EXPORT_FORMAT = 'gesture-games-profile';
+const PROFILE_EXPORT_VERSION = 1;
+
+class PlayerProfileStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.storageKey - localStorage key (default: 'gesturePlayerProfiles')
+     * @param {Array<string>} options.legacyKeys - Single-player calibration keys moved into the
+     *   first profile (default: gestureCalibration, racingCalibration, hanoiCalibration)
+     * @param {string} options.defaultName - Name of the first profile (default: 'Player 1')
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'gesturePlayerProfiles';
+        this.legacyKeys = options.legacyKeys || ['gestureCalibration', 'racingCalibration', 'hanoiCalibration'];
+        this.defaultName = options.defaultName || 'Player 1';
+        this.listeners = new Set();
+
+        this.data = this._load();
+
+        // Another tab (e.g. the hub) switched player
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', (e) => {
+                if (e.key !== this.storageKey) return;
+                this.data = this._load();
+                this._notify();
+            });
+        }
+    }
+
+    /**
+     * @returns {Array<Object>} [{ id, name, createdAt, updatedAt }] in creation order
+     */
+    list() {
+        return Object.values(this.data.profiles)
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt }));
+    }
+
+    /**
+     * @returns {Object} Active profile { id, name, createdAt, updatedAt, calibrations }
+     */
+    getActive() {
+        return this.data.profiles[this.data.activeId];
+    }
+
+    /**
+     * @param {string} id
+     */
+    setActive(id) {
+        if (!this.data.profiles[id] || id === this.data.activeId) return;
+        this.data.activeId = id;
+        this._save();
+        this._notify();
+    }
+
+    /**
+     * Create a profile
+     * @param {string} name
+     * @param {Object} options
+     * @param {boolean} options.activate - Switch to it (default: true)
+     * @param {Object} options.calibrations - Initial calibration records
+     * @returns {Object} The profile
+     */
+    create(name, options = {}) {
+        const now = Date.now();
+        const profile = {
+            id: this._newId(),
+            name: this._uniqueName((name || '').trim() || this.defaultName),
+            createdAt: now,
+            updatedAt: now,
+            calibrations: options.calibrations || {}
+        };
+        this.data.profiles[profile.id] = profile;
+
+        if (options.activate !== false) this.data.activeId = profile.id;
+        this._save();
+        this._notify();
+        return profile;
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     */
+    rename(id, name) {
+        const profile = this.data.profiles[id];
+        name = (name || '').trim();
+        if (!profile || !name || name === profile.name) return;
+        profile.name = this._uniqueName(name);
+        profile.updatedAt = Date.now();
+        this._save();
+        this._notify();
+    }
+
+    /**
+     * Delete a profile (the last one can't be deleted)
+     * @param {string} id
+     * @returns {boolean}
+     */
+    remove(id) {
+        if (!this.data.profiles[id] || Object.keys(this.data.profiles).length <= 1) return false;
+        delete this.data.profiles[id];
+        if (this.data.activeId === id) this.data.activeId = this.list()[0].id;
+        this._save();
+        this._notify();
+        return true;
+    }
+
+    /**
+     * Calibration record of the active profile
+     * @param {string} key - CalibrationManager storageKey
+     * @returns {Object|null}
+     */
+    getCalibration(key) {
+        return this.getActive().calibrations[key] || null;
+    }
+
+    /**
+     * @param {string} key - CalibrationManager storageKey
+     * @param {Object} record
+     * @returns {boolean} Saved
+     */
+    setCalibration(key, record) {
+        const profile = this.getActive();
+        profile.calibrations[key] = record;
+        profile.updatedAt = Date.now();
+        return this._save();
+    }
+
+    /**
+     * @param {string} key - CalibrationManager storageKey
+     */
+    removeCalibration(key) {
+        const profile = this.getActive();
+        delete profile.calibrations[key];
+        profile.updatedAt = Date.now();
+        this._save();
+    }
+
+    /**
+     * Listen for profile switches and edits
+     * @param {Function} callback - (activeProfile) => void
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Serialize a profile for another browser or machine
+     * @param {string} id - Default: the active profile
+     * @returns {string} JSON
+     */
+    exportProfile(id = this.data.activeId) {
+        const profile = this.data.profiles[id];
+        if (!profile) throw new Error(`Unknown profile "${id}"`);
+
+        return JSON.stringify({
+            format: PROFILE_EXPORT_FORMAT,
+            version: PROFILE_EXPORT_VERSION,
+            exportedAt: Date.now(),
+            profile: { name: profile.name, createdAt: profile.createdAt, calibrations: profile.calibrations }
+        }, null, 2);
+    }
+
+    /**
+     * Add a profile from exportProfile() output (always as a new profile)
+     * @param {string|Object} json
+     * @param {Object} options
+     * @param {boolean} options.activate - Switch to it (default: true)
+     * @returns {Object} The new profile
+     */
+    importProfile(json, options = {}) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.format !== PROFILE_EXPORT_FORMAT || !data.profile) {
+            throw new Error('Not a player profile file');
+        }
+        if (data.version > PROFILE_EXPORT_VERSION) {
+            throw new Error(`Profile file version ${data.version} is newer than supported (${PROFILE_EXPORT_VERSION})`);
+        }
+
+        const records = data.profile.calibrations;
+        if (!records || typeof records !== 'object' || Array.isArray(records)) {
+            throw new Error('Profile file has no calibration data');
+        }
+        if (typeof CalibrationManager === 'undefined') {
+            throw new Error('calibration.js is needed to import profiles');
+        }
+
+        // Same migration as a record loaded from storage, then every value must be a number
+        const calibrations = {};
+        Object.entries(records).forEach(([key, record]) => {
+            const migrated = CalibrationManager.migrate(record);
+            const check = CalibrationManager.validateRecord(migrated);
+            if (check !== true) throw new Error(`Invalid calibration "${key}": ${check}`);
+            calibrations[key] = migrated;
+        });
+
+        return this.create(data.profile.name, { activate: options.activate, calibrations });
+    }
+
+    /**
+     * Save a profile as a .json download
+     * @param {string} id - Default: the active profile
+     */
+    downloadProfile(id = this.data.activeId) {
+        const json = this.exportProfile(id);
+        const name = this.data.profiles[id].name.replace(/[^\w-]+/g, '_') || 'player';
+
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}.profile.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * @private
+     */
+    _load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                if (data && data.profiles && data.profiles[data.activeId]) return data;
+            }
+        } catch (e) {
+            console.warn('Failed to load player profiles:', e);
+        }
+
+        // First run: the single-player calibrations become the first profile
+        const calibrations = {};
+        this.legacyKeys.forEach(key => {
+            try {
+                const saved = localStorage.getItem(key);
+                if (saved) calibrations[key] = JSON.parse(saved);
+            } catch (e) { }
+        });
+
+        const now = Date.now();
+        const id = this._newId();
+        const data = {
+            activeId: id,
+            profiles: { [id]: { id, name: this.defaultName, createdAt: now, updatedAt: now, calibrations } }
+        };
+        this.data = data;
+        this._save();
+        return data;
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+            return true;
+        } catch (e) {
+            console.warn('Failed to save player profiles:', e);
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+        const active = this.getActive();
+        this.listeners.forEach(callback => {
+            try {
+                callback(active);
+            } catch (e) {
+                console.error('Profile listener error:', e);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _newId() {
+        return 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    /**
+     * @private
+     */
+    _uniqueName(name) {
+        const taken = new Set(Object.values(this.data ? this.data.profiles : {}).map(p => p.name));
+        if (!taken.has(name)) return name;
+        let n = 2;
+        while (taken.has(`${name} (${n})`)) n++;
+        return `${name} (${n})`;
+    }
+}
+
+/**
+ * Profile dropdown with new / export / import / delete buttons
+ * @param {HTMLElement} container
+ * @param {PlayerProfileStore} store
+ * @param {Object} options
+ * @param {Function} options.onError - (message) => void (default: alert)
+ * @returns {HTMLElement} The switcher element
+ */
+function createProfileSwitcher(container, store, options = {}) {
+    const onError = options.onError || ((message) => alert(message));
+
+    const root = document.createElement('div');
+    root.className = 'profile-switcher';
+    root.innerHTML = `
+        <span class="profile-icon">👤</span>
+        <select class="profile-select" data-i18n-title="profiles.player"></select>
+        <button type="button" class="profile-btn" data-action="new" data-i18n-title="profiles.new">＋</button>
+        <button type="button" class="profile-btn" data-action="export" data-i18n-title="profiles.export">⬇</button>
+        <button type="button" class="profile-btn" data-action="import" data-i18n-title="profiles.import">⬆</button>
+        <button type="button" class="profile-btn" data-action="delete" data-i18n-title="profiles.delete">🗑</button>
+        <input type="file" accept="application/json,.json" hidden>
+    `;
+    // Titles follow the language switcher (i18n.translatePage)
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = profileText(element.dataset.i18nTitle);
+    });
+
+    const select = root.querySelector('.profile-select');
+    const fileInput = root.querySelector('input[type="file"]');
+
+    const render = () => {
+        const activeId = store.getActive().id;
+        select.innerHTML = '';
+        store.list().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === activeId;
+            select.appendChild(option);
+        });
+        root.querySelector('[data-action="delete"]').disabled = store.list().length <= 1;
+    };
+
+    select.addEventListener('change', () => store.setActive(select.value));
+
+    root.addEventListener('click', (e) => {
+        const action = e.target.dataset && e.target.dataset.action;
+        if (action === 'new') {
+            const name = prompt(profileText('profiles.namePrompt'));
+            if (name !== null) store.create(name);
+        } else if (action === 'export') {
+            store.downloadProfile();
+        } else if (action === 'import') {
+            fileInput.click();
+        } else if (action === 'delete') {
+            const profile = store.getActive();
+            if (confirm(profileText('profiles.deleteConfirm', { name: profile.name }))) store.remove(profile.id);
+        }
+    });
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            store.importProfile(await file.text());
+        } catch (error) {
+            console.error('Profile import error:', error);
+            onError(profileText('profiles.importFailed', { message: error.message }));
+        }
+    });
+
+    store.subscribe(render);
+    render();
+    container.appendChild(root);
+    return root;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlayerProfileStore, createProfileSwitcher, PROFILE_EXPORT_FORMAT };
+}
@@ -0,0 +1,371 @@
+/**
+ * QualityGovernor - Steps tracking and rendering quality to what the machine keeps up with
+ *
+ * The games used to run MediaPipe at model complexity 1 on 640x480 frames
+ * and render at a fixed pixel ratio however slow the machine. The governor
+ * measures render frame times and MediaPipe inference times and moves
+ * between quality tiers; each tier sets every lever at once:
+ *
+ *   modelComplexity   MediaPipe Hands model (0 = lite)
+ *   captureWidth/Height  camera resolution
+ *   processInterval   minimum ms between MediaPipe runs (0 = every camera frame)
+ *   hybridTracking    MediaPipe on keyframes only, optical flow in between
+ *   keyframeInterval  frames between MediaPipe runs in hybrid tracking
+ *   pixelRatio        renderer pixel ratio cap
+ *   shadows           shadow maps on or off
+ *
+ * Hysteresis: a tier drops after `downgradeAfter` slow windows but only
+ * rises after `upgradeAfter` windows with clear headroom, and an upgrade that
+ * has to be undone right away doubles the wait before the next one. The
+ * window after a change is skipped while the new settings settle.
+ *
+ * Players can pin a tier; the pin is saved in localStorage and the governor
+ * stops adapting until it is set back to auto.
+ *
+ * Usage:
+ *   const quality = new QualityGovernor({ storageKey: 'racingQuality', onChange: tier => applyQualityTier(tier, targets) });
+ *   quality.frame();                  // in animate()
+ *   quality.recordInference(ms);      // in onResults
+ */
+
+const QUALITY_TIERS = [
+    { name: 'high', modelComplexity: 1, captureWidth: 640, captureHeight: 480, processInterval: 0, hybridTracking: false, keyframeInterval: 3, pixelRatio: 1.5, shadows: true },
+    { name: 'medium', modelComplexity: 1, captureWidth: 640, captureHeight: 480, processInterval: 66, hybridTracking: false, keyframeInterval: 5, pixelRatio: 1.25, shadows: true },
+    { name: 'low', modelComplexity: 0, captureWidth: 480, captureHeight: 360, processInterval: 100, hybridTracking: true, keyframeInterval: 8, pixelRatio: 1, shadows: false },
+    { name: 'minimal', modelComplexity: 0, captureWidth: 320, captureHeight: 240, processInterval: 150, hybridTracking: true, keyframeInterval: 12, pixelRatio: 0.75, shadows: false }
+];
+
+/**
+ * Text through the shared i18n instance when the page loaded i18n.js
+ */
+function qualityText(key, params = {}) {
+    return typeof i18n !== 'undefined' ? i18n.t(key, params) : key;
+}
+
+class QualityGovernor {
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.tiers - Best first (default: QUALITY_TIERS)
+     * @param {string} options.initialTier - Tier name to start from (default: 'medium')
+     * @param {string} options.storageKey - localStorage key of the pinned tier (default: 'qualityTier')
+     * @param {number} options.minFps - Render FPS below which a window is slow (default: 45)
+     * @param {number} options.upgradeFps - Render FPS needed for headroom (default: 56)
+     * @param {number} options.downgradeLoad - Inference / process interval above which a window is slow (default: 0.9)
+     * @param {number} options.upgradeLoad - Inference / the better tier's interval needed for headroom (default: 0.5)
+     * @param {number} options.frameInterval - Camera frame period in ms, the interval of processInterval 0 (default: 33)
+     * @param {number} options.windowMs - Measurement window (default: 2000)
+     * @param {number} options.downgradeAfter - Slow windows before stepping down (default: 2)
+     * @param {number} options.upgradeAfter - Headroom windows before stepping up (default: 5)
+     * @param {Function} options.onChange - (tier, { previous, reason }) => void
+     */
+    constructor(options = {}) {
+        this.tiers = options.tiers || QUALITY_TIERS;
+        this.storageKey = options.storageKey || 'qualityTier';
+        this.minFps = options.minFps || 45;
+        this.upgradeFps = options.upgradeFps || 56;
+        this.downgradeLoad = options.downgradeLoad || 0.9;
+        this.upgradeLoad = options.upgradeLoad || 0.5;
+        this.frameInterval = options.frameInterval || 33;
+        this.windowMs = options.windowMs || 2000;
+        this.downgradeAfter = options.downgradeAfter || 2;
+        this.upgradeAfter = options.upgradeAfter || 5;
+        this.onChange = options.onChange || null;
+        this.listeners = new Set();
+
+        this.pinned = this._loadPin();
+        const initial = this._indexOf(this.pinned || options.initialTier || 'medium');
+        this.tierIndex = initial >= 0 ? initial : Math.min(1, this.tiers.length - 1);
+
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+        this.settleWindows = 0;
+        this.upgradeBackoff = 1;
+        this.windowsSinceUpgrade = Infinity;
+        this.lastFrameTime = null;
+        this.lastStats = { fps: null, inferenceMs: null };
+        this._resetWindow(null);
+    }
+
+    /**
+     * Call once per render frame
+     * @param {number} timestamp - ms (default: performance.now())
+     */
+    frame(timestamp = performance.now()) {
+        const dt = this.lastFrameTime !== null ? timestamp - this.lastFrameTime : null;
+        this.lastFrameTime = timestamp;
+        // Over a second between frames: the render loop was paused, not slow
+        if (dt !== null && dt < 1000) {
+            this.window.frames++;
+            this.window.frameTime += dt;
+        }
+        this._maybeEvaluate(timestamp);
+    }
+
+    /**
+     * Call once per MediaPipe result
+     * @param {number} ms - Send-to-results time
+     * @param {number} timestamp - ms (default: performance.now())
+     */
+    recordInference(ms, timestamp = performance.now()) {
+        this.window.inference.push(ms);
+        this._maybeEvaluate(timestamp);
+    }
+
+    /**
+     * @returns {Object} Current tier
+     */
+    getTier() {
+        return this.tiers[this.tierIndex];
+    }
+
+    /**
+     * @returns {string|null} Pinned tier name, null when adapting
+     */
+    getPinned() {
+        return this.pinned;
+    }
+
+    /**
+     * Stop adapting and hold a tier (saved)
+     * @param {string} name
+     */
+    pin(name) {
+        const index = this._indexOf(name);
+        if (index < 0) throw new Error(`Unknown quality tier "${name}"`);
+        this.pinned = name;
+        this._savePin();
+        this._setTier(index, 'pinned');
+    }
+
+    /**
+     * Adapt again from the current tier
+     */
+    unpin() {
+        if (!this.pinned) return;
+        this.pinned = null;
+        this._savePin();
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+        this._notify(this.getTier(), { previous: this.getTier(), reason: 'auto' });
+    }
+
+    /**
+     * @returns {Object} { tier, pinned, fps, inferenceMs, slowWindows, fastWindows, upgradeBackoff }
+     */
+    getStats() {
+        return {
+            tier: this.getTier().name,
+            pinned: this.pinned,
+            ...this.lastStats,
+            slowWindows: this.slowWindows,
+            fastWindows: this.fastWindows,
+            upgradeBackoff: this.upgradeBackoff
+        };
+    }
+
+    /**
+     * Listen for tier changes
+     * @param {Function} callback - (tier, { previous, reason }) => void
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * @private
+     */
+    _resetWindow(start) {
+        this.window = { start, frames: 0, frameTime: 0, inference: [] };
+    }
+
+    /**
+     * @private
+     */
+    _maybeEvaluate(timestamp) {
+        if (this.window.start === null) this.window.start = timestamp;
+        if (timestamp - this.window.start < this.windowMs) return;
+
+        const { frames, frameTime, inference } = this.window;
+        this._resetWindow(timestamp);
+
+        // Too few samples to judge (menus, no camera)
+        const fps = frames >= 10 ? frames * 1000 / frameTime : null;
+        const inferenceMs = inference.length >= 3 ? inference.reduce((a, b) => a + b, 0) / inference.length : null;
+        this.lastStats = { fps, inferenceMs };
+        if ((fps === null && inferenceMs === null) || this.pinned) return;
+
+        if (this.settleWindows > 0) {
+            this.settleWindows--;
+            return;
+        }
+        this.windowsSinceUpgrade++;
+
+        const tier = this.getTier(), better = this.tiers[this.tierIndex - 1];
+        const interval = t => Math.max(t.processInterval, this.frameInterval);
+        const slowFrames = fps !== null && fps < this.minFps;
+        const slowInference = inferenceMs !== null && inferenceMs > interval(tier) * this.downgradeLoad;
+        const headroom = better && (fps === null || fps >= this.upgradeFps)
+            && (inferenceMs === null || inferenceMs < interval(better) * this.upgradeLoad);
+
+        if (slowFrames || slowInference) {
+            this.fastWindows = 0;
+            if (++this.slowWindows < this.downgradeAfter || this.tierIndex === this.tiers.length - 1) return;
+            // Undoing an upgrade straight away: wait longer before trying again
+            if (this.windowsSinceUpgrade <= this.upgradeAfter) this.upgradeBackoff = Math.min(8, this.upgradeBackoff * 2);
+            this._setTier(this.tierIndex + 1, slowFrames ? 'slow-frames' : 'slow-inference');
+        } else if (headroom) {
+            this.slowWindows = 0;
+            if (++this.fastWindows < this.upgradeAfter * this.upgradeBackoff) return;
+            this.windowsSinceUpgrade = 0;
+            this._setTier(this.tierIndex - 1, 'headroom');
+        } else {
+            this.slowWindows = 0;
+            this.fastWindows = 0;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _setTier(index, reason) {
+        const previous = this.getTier();
+        this.tierIndex = index;
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+        this.settleWindows = 1;
+        if (this.tiers[index] !== previous || reason === 'pinned') this._notify(this.tiers[index], { previous, reason });
+    }
+
+    /**
+     * @private
+     */
+    _notify(tier, change) {
+        [this.onChange, ...this.listeners].forEach(callback => {
+            if (!callback) return;
+            try {
+                callback(tier, change);
+            } catch (e) {
+                console.error('Quality listener error:', e);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _indexOf(name) {
+        return this.tiers.findIndex(tier => tier.name === name);
+    }
+
+    /**
+     * @private
+     */
+    _loadPin() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved && this._indexOf(saved) >= 0 ? saved : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _savePin() {
+        try {
+            if (this.pinned) localStorage.setItem(this.storageKey, this.pinned);
+            else localStorage.removeItem(this.storageKey);
+        } catch (e) {
+            console.warn('Failed to save quality tier:', e);
+        }
+    }
+}
+
+/**
+ * Apply a tier's levers to whichever targets the page has
+ * @param {Object} tier
+ * @param {Object} targets
+ * @param {Object} targets.hands - MediaPipe Hands (model complexity)
+ * @param {HTMLVideoElement} targets.video - Webcam video; its stream gets the capture resolution
+ * @param {FrameSource} targets.frameSource - Camera source; reopens at the capture resolution
+ * @param {Object} targets.tracker - Hybrid tracker (keyframe interval)
+ * @param {THREE.WebGLRenderer} targets.renderer - Pixel ratio
+ * @param {THREE.Scene} targets.scene - Pass it to let the tier toggle shadows
+ */
+function applyQualityTier(tier, targets = {}) {
+    const { hands, video, frameSource, tracker, renderer, scene } = targets;
+
+    if (hands) hands.setOptions({ modelComplexity: tier.modelComplexity });
+    if (frameSource) frameSource.setResolution(tier.captureWidth, tier.captureHeight);
+
+    const stream = video && video.srcObject;
+    if (stream && stream.getVideoTracks) {
+        stream.getVideoTracks().forEach(track => {
+            track.applyConstraints({ width: tier.captureWidth, height: tier.captureHeight })
+                .catch(e => console.warn('Failed to change capture resolution:', e));
+        });
+    }
+
+    if (tracker) {
+        tracker.keyframeInterval = tier.keyframeInterval;
+        if ('currentInterval' in tracker) tracker.currentInterval = tier.keyframeInterval;
+    }
+
+    if (renderer) {
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.pixelRatio));
+        if (scene && renderer.shadowMap.enabled !== tier.shadows) {
+            renderer.shadowMap.enabled = tier.shadows;
+            // Materials compile shadow code in or out
+            scene.traverse(object => {
+                if (object.material) [].concat(object.material).forEach(material => { material.needsUpdate = true; });
+            });
+        }
+    }
+}
+
+/**
+ * Auto / tier dropdown; "Auto" shows the tier it picked
+ * @param {HTMLElement} container
+ * @param {QualityGovernor} governor
+ * @returns {HTMLSelectElement}
+ */
+function createQualitySelector(container, governor) {
+    const select = document.createElement('select');
+    select.className = 'quality-select';
+    select.dataset.i18nTitle = 'quality.title';
+    select.title = qualityText('quality.title');
+
+    const render = () => {
+        select.innerHTML = '';
+        const auto = document.createElement('option');
+        auto.value = '';
+        auto.textContent = qualityText('quality.auto', { tier: qualityText('quality.tier.' + governor.getTier().name) });
+        select.appendChild(auto);
+        governor.tiers.forEach(tier => {
+            const option = document.createElement('option');
+            option.value = tier.name;
+            option.textContent = qualityText('quality.tier.' + tier.name);
+            select.appendChild(option);
+        });
+        select.value = governor.getPinned() || '';
+    };
+
+    select.addEventListener('change', () => {
+        if (select.value) governor.pin(select.value);
+        else governor.unpin();
+    });
+
+    governor.subscribe(render);
+    if (typeof i18n !== 'undefined') i18n.subscribe(render);
+    render();
+    container.appendChild(select);
+    return select;
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QualityGovernor, QUALITY_TIERS, applyQualityTier, createQualitySelector };
+}
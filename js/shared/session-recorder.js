@@ -0,0 +1,378 @@
+/**
+ * Session Recorder & Replay
+ * Records MediaPipe Hands results to JSONL and replays them without a camera
+ *
+ * File format (one JSON object per line):
+ *   {"type":"session","version":1,"startedAt":1700000000000}
+ *   {"type":"frame","t":0,"multiHandLandmarks":[...],"multiHandedness":[...]}
+ *
+ * `t` is milliseconds since the start of the recording.
+ *
+ * Classic script: pages load it with a <script> tag, ES modules use the globals.
+ * Games record and replay through URL parameters (sessionFromQuery):
+ *   ?record             record MediaPipe results; Ctrl+Shift+S downloads the session
+ *   ?replay=<url>       play a session instead of the camera (&speed=0.5, &loop)
+ */
+
+const SESSION_FORMAT_VERSION = 1;
+
+/**
+ * Copy the serializable part of a MediaPipe results object
+ * @param {Object} results - MediaPipe results
+ * @returns {Object} { multiHandLandmarks, multiHandedness }
+ */
+function cloneResults(results) {
+    const landmarks = results.multiHandLandmarks || [];
+    const handedness = results.multiHandedness || [];
+
+    return {
+        multiHandLandmarks: landmarks.map(hand =>
+            hand.map(l => ({ x: l.x, y: l.y, z: l.z || 0 }))
+        ),
+        multiHandedness: handedness.map(h => ({
+            index: h.index,
+            score: h.score,
+            label: h.label
+        }))
+    };
+}
+
+/**
+ * SessionRecorder - collects MediaPipe results frame by frame
+ */
+class SessionRecorder {
+    constructor() {
+        this.frames = [];
+        this.isRecording = false;
+        this.startedAt = null;
+        this._startTime = 0;
+    }
+
+    /**
+     * Start a new recording (clears previous frames)
+     */
+    start() {
+        this.frames = [];
+        this.startedAt = Date.now();
+        this._startTime = performance.now();
+        this.isRecording = true;
+    }
+
+    /**
+     * Stop recording
+     * @returns {number} Number of recorded frames
+     */
+    stop() {
+        this.isRecording = false;
+        return this.frames.length;
+    }
+
+    /**
+     * Record one MediaPipe results object
+     * @param {Object} results - MediaPipe results
+     * @param {number} timestamp - performance.now() of the frame (optional)
+     */
+    record(results, timestamp = performance.now()) {
+        if (!this.isRecording || !results) return;
+
+        this.frames.push({
+            type: 'frame',
+            t: Math.max(0, timestamp - this._startTime),
+            ...cloneResults(results)
+        });
+    }
+
+    /**
+     * Serialize the recording to JSONL
+     * @returns {string}
+     */
+    toJSONL() {
+        const header = {
+            type: 'session',
+            version: SESSION_FORMAT_VERSION,
+            startedAt: this.startedAt
+        };
+
+        return [header, ...this.frames].map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+
+    /**
+     * Download the recording as a .jsonl file
+     * @param {string} filename
+     */
+    download(filename = `hand-session-${Date.now()}.jsonl`) {
+        const blob = new Blob([this.toJSONL()], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+/**
+ * Parse a JSONL session recording
+ * @param {string} text - JSONL content
+ * @returns {Array} Frames sorted by time
+ */
+function parseSession(text) {
+    const frames = [];
+
+    text.split('\n').forEach((line, lineNumber) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+
+        let entry;
+        try {
+            entry = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`Invalid session line ${lineNumber + 1}: ${error.message}`);
+        }
+
+        if (entry.type === 'session') {
+            if (entry.version > SESSION_FORMAT_VERSION) {
+                console.warn(`Session format v${entry.version} is newer than supported v${SESSION_FORMAT_VERSION}`);
+            }
+            return;
+        }
+
+        if (entry.type === 'frame' && typeof entry.t === 'number') {
+            frames.push({
+                t: entry.t,
+                multiHandLandmarks: entry.multiHandLandmarks || [],
+                multiHandedness: entry.multiHandedness || []
+            });
+        }
+    });
+
+    return frames.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * ReplaySource - plays recorded frames back as MediaPipe-like results
+ *
+ * Drop-in replacement for the camera in HandTracker: results are delivered
+ * through the same onResults callback, in recorded timing scaled by speed.
+ * Every frame is delivered, in order, whatever the speed and display rate.
+ *
+ * Results carry `replayTime`, the replay clock (ms) at which the frame was
+ * recorded; pass it on as the timestamp so filters and hold times see the
+ * recorded timing. It never runs backwards: seeking back or looping
+ * continues from where it was.
+ */
+class ReplaySource {
+    /**
+     * @param {Array} frames - Frames from parseSession()
+     * @param {Object} options
+     * @param {number} options.speed - Playback rate (default: 1)
+     * @param {boolean} options.loop - Restart at the end (default: false)
+     */
+    constructor(frames = [], options = {}) {
+        this.frames = frames;
+        this.speed = options.speed || 1;
+        this.loop = options.loop || false;
+
+        this.isPlaying = false;
+        this.position = 0; // ms into the recording
+        this.frameIndex = 0;
+        this.timeOffset = 0; // replay clock minus position
+
+        this.callbacks = {
+            onResults: null,
+            onEnded: null
+        };
+
+        this._rafId = null;
+        this._lastTick = 0;
+        this._tick = this._tick.bind(this);
+    }
+
+    /**
+     * Create a replay source from JSONL text
+     * @param {string} text
+     * @param {Object} options
+     * @returns {ReplaySource}
+     */
+    static fromJSONL(text, options = {}) {
+        return new ReplaySource(parseSession(text), options);
+    }
+
+    /**
+     * Create a replay source from a File/Blob (e.g. <input type="file">)
+     * @param {Blob} file
+     * @param {Object} options
+     * @returns {Promise<ReplaySource>}
+     */
+    static async fromFile(file, options = {}) {
+        return ReplaySource.fromJSONL(await file.text(), options);
+    }
+
+    /**
+     * Total length of the recording in ms
+     */
+    get duration() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0;
+    }
+
+    /**
+     * Replay clock (ms): the recorded time playback has reached
+     */
+    get currentTime() {
+        return this.position + this.timeOffset;
+    }
+
+    /**
+     * Register results callback (same signature as Hands.onResults)
+     * @param {Function} callback
+     */
+    onResults(callback) {
+        this.callbacks.onResults = callback;
+    }
+
+    /**
+     * Start or resume playback
+     */
+    play() {
+        if (this.isPlaying || this.frames.length === 0) return;
+
+        if (this.frameIndex >= this.frames.length) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this._lastTick = performance.now();
+        this._rafId = requestAnimationFrame(this._tick);
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.isPlaying = false;
+        if (this._rafId !== null) {
+            cancelAnimationFrame(this._rafId);
+            this._rafId = null;
+        }
+    }
+
+    /**
+     * Jump to a position in the recording
+     * @param {number} ms - Position in ms (clamped to the recording)
+     */
+    seek(ms) {
+        const position = Math.max(0, Math.min(this.duration, ms));
+        // Keep the replay clock running forward
+        this.timeOffset += Math.max(0, this.position - position);
+        this.position = position;
+
+        // First frame at or after the new position
+        this.frameIndex = this.frames.findIndex(frame => frame.t >= this.position);
+        if (this.frameIndex === -1) this.frameIndex = this.frames.length;
+    }
+
+    /**
+     * Set playback rate
+     * @param {number} speed - e.g. 0.25 for slow motion, 2 for double speed
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0.05, speed);
+    }
+
+    /**
+     * Deliver exactly one frame (for frame-by-frame debugging while paused)
+     */
+    step() {
+        if (this.frameIndex >= this.frames.length) return;
+
+        const frame = this.frames[this.frameIndex++];
+        this.position = frame.t;
+        this._emit(frame);
+    }
+
+    /**
+     * @private
+     */
+    _tick(now) {
+        if (!this.isPlaying) return;
+
+        this.position += (now - this._lastTick) * this.speed;
+        this._lastTick = now;
+
+        // Every due frame, in order, so a replay doesn't depend on the display rate
+        while (this.isPlaying && this.frameIndex < this.frames.length && this.frames[this.frameIndex].t <= this.position) {
+            this._emit(this.frames[this.frameIndex++]);
+        }
+        if (!this.isPlaying) return;
+
+        if (this.frameIndex >= this.frames.length) {
+            if (this.loop) {
+                this.seek(0);
+            } else {
+                this.pause();
+                if (this.callbacks.onEnded) this.callbacks.onEnded();
+                return;
+            }
+        }
+
+        this._rafId = requestAnimationFrame(this._tick);
+    }
+
+    /**
+     * @private
+     */
+    _emit(frame) {
+        if (!this.callbacks.onResults) return;
+
+        this.callbacks.onResults({
+            multiHandLandmarks: frame.multiHandLandmarks,
+            multiHandedness: frame.multiHandedness,
+            replayTime: frame.t + this.timeOffset
+        });
+    }
+}
+
+/**
+ * Recording and replay for a game page, set up from its URL (see the header)
+ * @param {Object} options
+ * @param {string} options.search - Query string (default: window.location.search)
+ * @returns {Promise<Object>} { recorder, replaySource, now() }: recorder and replaySource
+ *   are null unless asked for; now() is the replay clock while replaying, performance.now() otherwise
+ */
+async function sessionFromQuery(options = {}) {
+    const params = new URLSearchParams(options.search ?? window.location.search);
+    let recorder = null, replaySource = null;
+
+    if (params.has('record')) {
+        recorder = new SessionRecorder();
+        recorder.start();
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 's') {
+                e.preventDefault();
+                recorder.download();
+            }
+        });
+    }
+
+    if (params.get('replay')) {
+        // fetch() needs HTTP, not file://
+        const response = await fetch(params.get('replay'));
+        if (!response.ok) throw new Error(`Session ${params.get('replay')}: HTTP ${response.status}`);
+        replaySource = ReplaySource.fromJSONL(await response.text(), {
+            speed: parseFloat(params.get('speed')) || 1,
+            loop: params.has('loop')
+        });
+    }
+
+    return {
+        recorder,
+        replaySource,
+        now: () => (replaySource ? replaySource.currentTime : performance.now())
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionRecorder, ReplaySource, parseSession, sessionFromQuery, SESSION_FORMAT_VERSION };
+}
@@ -0,0 +1,396 @@
+/**
+ * TelemetryOverlay - Live performance and tracking readout with sparklines
+ *
+ * Toggled with a hotkey (default: backquote). The game reports what it
+ * already knows and the overlay keeps short histories:
+ *
+ *   frame()                    once per render frame: FPS and dropped frames
+ *                              (a frame counts as dropped when it took over
+ *                              1.5 refresh intervals; the interval is the
+ *                              shortest recent frame time)
+ *   recordFrame(method, {...}) once per tracking frame: 'mediapipe',
+ *                              'optical-flow' or 'none' (MediaPipe found no
+ *                              hand), with the MediaPipe inference ms and the
+ *                              capture-to-action latency
+ *
+ * Frames are summarized every `sampleInterval` ms into the sparkline series;
+ * the keyframe interval is measured as tracking frames per MediaPipe run.
+ * Stats from a tracker (HybridTracker getEfficiencyStats()/getMetrics(), or
+ * anything with getStats()) are shown as text and included in the snapshot.
+ *
+ * snapshot() returns everything as JSON-ready data for bug reports; the
+ * overlay has copy and download buttons for it.
+ *
+ * Usage:
+ *   const telemetry = new TelemetryOverlay({ tracker: hybridTracker });
+ *   telemetry.frame();                                           // in animate()
+ *   telemetry.recordFrame('mediapipe', { inferenceMs, latencyMs });  // in onResults
+ */
+
+const TELEMETRY_SNAPSHOT_FORMAT = 'gesture-games-telemetry';
+const TELEMETRY_SNAPSHOT_VERSION = 1;
+
+// Sparkline rows: label key, unit, colour and the smallest full scale
+const TELEMETRY_SERIES = {
+    fps: { key: 'telemetry.fps', unit: '', color: '#00ff88', scale: 60, digits: 0 },
+    inferenceMs: { key: 'telemetry.inference', unit: 'ms', color: '#00d9ff', scale: 50, digits: 1 },
+    latencyMs: { key: 'telemetry.latency', unit: 'ms', color: '#feca57', scale: 100, digits: 1 },
+    keyframeInterval: { key: 'telemetry.keyframeInterval', unit: '', color: '#9b59b6', scale: 5, digits: 1 },
+    dropped: { key: 'telemetry.dropped', unit: '', color: '#ff6b6b', scale: 5, digits: 0 }
+};
+
+const TELEMETRY_METHOD_COLORS = {
+    'mediapipe': '#00d9ff',
+    'optical-flow': '#00ff88',
+    'none': '#555555'
+};
+
+/**
+ * Text through the shared i18n instance when the page loaded i18n.js
+ */
+function telemetryText(key, params = {}) {
+    return typeof i18n !== 'undefined' ? i18n.t(key, params) : key;
+}
+
+class TelemetryOverlay {
+    /**
+     * @param {Object} options
+     * @param {Object} options.tracker - Anything with getEfficiencyStats(), getMetrics() or getStats()
+     * @param {string} options.hotkey - KeyboardEvent.code that toggles the overlay (default: 'Backquote')
+     * @param {number} options.sampleInterval - ms per sparkline point (default: 250)
+     * @param {number} options.historySize - Sparkline points kept (default: 120, 30 s)
+     * @param {number} options.methodHistorySize - Tracking frames kept for the method strip (default: 120)
+     * @param {Function} options.getContext - () => Object, game state added to snapshots
+     * @param {boolean} options.visible - Start shown (default: false)
+     * @param {HTMLElement} options.container - Where the overlay goes (default: document.body)
+     */
+    constructor(options = {}) {
+        this.tracker = options.tracker || null;
+        this.hotkey = options.hotkey || 'Backquote';
+        this.sampleInterval = options.sampleInterval || 250;
+        this.historySize = options.historySize || 120;
+        this.methodHistorySize = options.methodHistorySize || 120;
+        this.getContext = options.getContext || null;
+
+        this.series = {};
+        Object.keys(TELEMETRY_SERIES).forEach(name => { this.series[name] = []; });
+        this.methods = [];
+        this.frameTimes = [];
+        this.lastFrameTime = null;
+        this.startedAt = Date.now();
+        this._resetTick(performance.now());
+
+        this.element = this._createElement();
+        (options.container || document.body).appendChild(this.element);
+        this.setVisible(options.visible || false);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.code !== this.hotkey || e.ctrlKey || e.metaKey || e.altKey) return;
+            e.preventDefault();
+            this.toggle();
+        });
+    }
+
+    /**
+     * Call once per render frame
+     * @param {number} timestamp - ms (default: performance.now())
+     */
+    frame(timestamp = performance.now()) {
+        const dt = this.lastFrameTime !== null ? timestamp - this.lastFrameTime : null;
+        this.lastFrameTime = timestamp;
+        // Over a second between frames: the render loop was paused (menus), start a fresh sample
+        if (dt === null || dt >= 1000) {
+            this._resetTick(timestamp);
+            return;
+        }
+
+        this.frameTimes.push(dt);
+        if (this.frameTimes.length > 60) this.frameTimes.shift();
+        // Refresh interval: the shortest recent frame (vsync), not below 240 Hz
+        const refresh = Math.max(1000 / 240, Math.min(...this.frameTimes));
+        if (dt > refresh * 1.5) this.tick.dropped += Math.round(dt / refresh) - 1;
+        this.tick.frames++;
+
+        if (timestamp - this.tick.start >= this.sampleInterval) this._sample(timestamp);
+    }
+
+    /**
+     * Call once per tracking frame
+     * @param {string} method - 'mediapipe', 'optical-flow' or 'none' (MediaPipe found no hand)
+     * @param {Object} data
+     * @param {number} data.inferenceMs - MediaPipe send-to-results time
+     * @param {number} data.latencyMs - Camera capture to the game acting on it
+     */
+    recordFrame(method, data = {}) {
+        this.methods.push(method);
+        if (this.methods.length > this.methodHistorySize) this.methods.shift();
+
+        this.tick.trackingFrames++;
+        if (method !== 'optical-flow') this.tick.keyframes++;
+        if (data.inferenceMs !== undefined) this.tick.inference.push(data.inferenceMs);
+        if (data.latencyMs !== undefined) this.tick.latency.push(data.latencyMs);
+    }
+
+    /**
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.element.classList.toggle('hidden', !visible);
+        if (visible) this._render();
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+
+    /**
+     * Everything shown, for bug reports
+     * @returns {Object}
+     */
+    snapshot() {
+        const summary = {};
+        Object.entries(this.series).forEach(([name, values]) => {
+            const present = values.filter(v => v !== null);
+            summary[name] = present.length ? {
+                last: present[present.length - 1],
+                avg: present.reduce((a, b) => a + b, 0) / present.length,
+                min: Math.min(...present),
+                max: Math.max(...present)
+            } : null;
+        });
+
+        const methodCounts = {};
+        this.methods.forEach(method => { methodCounts[method] = (methodCounts[method] || 0) + 1; });
+
+        return {
+            format: TELEMETRY_SNAPSHOT_FORMAT,
+            version: TELEMETRY_SNAPSHOT_VERSION,
+            capturedAt: new Date().toISOString(),
+            uptimeMs: Date.now() - this.startedAt,
+            page: location.pathname,
+            userAgent: navigator.userAgent,
+            viewport: { width: window.innerWidth, height: window.innerHeight, pixelRatio: window.devicePixelRatio },
+            sampleInterval: this.sampleInterval,
+            summary,
+            series: JSON.parse(JSON.stringify(this.series)),
+            methods: [...this.methods],
+            methodCounts,
+            tracker: this._trackerStats(true),
+            context: this.getContext ? this.getContext() : null
+        };
+    }
+
+    /**
+     * Save snapshot() as a .json download
+     */
+    downloadSnapshot() {
+        const json = JSON.stringify(this.snapshot(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `telemetry-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Put snapshot() on the clipboard
+     * @returns {Promise<boolean>} Copied
+     */
+    async copySnapshot() {
+        try {
+            await navigator.clipboard.writeText(JSON.stringify(this.snapshot(), null, 2));
+            return true;
+        } catch (e) {
+            console.warn('Failed to copy telemetry snapshot:', e);
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _resetTick(start) {
+        this.tick = { start, frames: 0, dropped: 0, trackingFrames: 0, keyframes: 0, inference: [], latency: [] };
+    }
+
+    /**
+     * Close the current tick into one point per series
+     * @private
+     */
+    _sample(timestamp) {
+        const tick = this.tick;
+        const average = values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+        this._push('fps', tick.frames * 1000 / (timestamp - tick.start));
+        this._push('inferenceMs', average(tick.inference));
+        this._push('latencyMs', average(tick.latency));
+        this._push('keyframeInterval', tick.keyframes ? tick.trackingFrames / tick.keyframes : null);
+        this._push('dropped', tick.dropped);
+
+        this._resetTick(timestamp);
+        if (this.visible) this._render();
+    }
+
+    /**
+     * @private
+     */
+    _push(name, value) {
+        const values = this.series[name];
+        values.push(value === null ? null : Math.round(value * 100) / 100);
+        if (values.length > this.historySize) values.shift();
+    }
+
+    /**
+     * @private
+     * @param {boolean} full - Raw metrics too (snapshot), not just the display stats
+     */
+    _trackerStats(full = false) {
+        const tracker = this.tracker;
+        if (!tracker) return null;
+        try {
+            if (typeof tracker.getEfficiencyStats === 'function') {
+                const stats = tracker.getEfficiencyStats();
+                return full && typeof tracker.getMetrics === 'function' ? { ...stats, metrics: tracker.getMetrics() } : stats;
+            }
+            if (typeof tracker.getStats === 'function') return tracker.getStats();
+            if (typeof tracker.getMetrics === 'function') return tracker.getMetrics();
+        } catch (e) {
+            console.error('Telemetry tracker stats error:', e);
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _createElement() {
+        const element = document.createElement('div');
+        element.className = 'telemetry-overlay';
+
+        const title = document.createElement('div');
+        title.className = 'telemetry-title';
+        title.dataset.i18n = 'telemetry.title';
+        title.textContent = telemetryText('telemetry.title');
+        element.appendChild(title);
+
+        this.rows = {};
+        Object.entries(TELEMETRY_SERIES).forEach(([name, series]) => {
+            const row = document.createElement('div');
+            row.className = 'telemetry-row';
+            row.innerHTML = `<span class="telemetry-label"></span><span class="telemetry-value"></span><canvas width="120" height="24"></canvas>`;
+            row.querySelector('.telemetry-label').dataset.i18n = series.key;
+            row.querySelector('.telemetry-label').textContent = telemetryText(series.key);
+            element.appendChild(row);
+            this.rows[name] = { value: row.querySelector('.telemetry-value'), canvas: row.querySelector('canvas') };
+        });
+
+        const methodRow = document.createElement('div');
+        methodRow.className = 'telemetry-row';
+        methodRow.innerHTML = `<span class="telemetry-label" data-i18n="telemetry.method"></span><span class="telemetry-value"></span><canvas width="120" height="24"></canvas>`;
+        methodRow.querySelector('.telemetry-label').textContent = telemetryText('telemetry.method');
+        element.appendChild(methodRow);
+        this.rows.method = { value: methodRow.querySelector('.telemetry-value'), canvas: methodRow.querySelector('canvas') };
+
+        this.trackerElement = document.createElement('div');
+        this.trackerElement.className = 'telemetry-tracker';
+        element.appendChild(this.trackerElement);
+
+        const actions = document.createElement('div');
+        actions.className = 'telemetry-actions';
+        actions.innerHTML = `
+            <button type="button" data-action="copy" data-i18n="telemetry.copy"></button>
+            <button type="button" data-action="download" data-i18n="telemetry.download"></button>
+            <span class="telemetry-hint" data-i18n="telemetry.hint"></span>
+        `;
+        actions.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = telemetryText(el.dataset.i18n); });
+        actions.addEventListener('click', async (e) => {
+            const action = e.target.dataset && e.target.dataset.action;
+            if (action === 'download') this.downloadSnapshot();
+            if (action === 'copy') {
+                const copied = await this.copySnapshot();
+                e.target.textContent = telemetryText(copied ? 'telemetry.copied' : 'telemetry.copyFailed');
+                setTimeout(() => { e.target.textContent = telemetryText('telemetry.copy'); }, 1500);
+            }
+        });
+        element.appendChild(actions);
+
+        return element;
+    }
+
+    /**
+     * @private
+     */
+    _render() {
+        Object.entries(TELEMETRY_SERIES).forEach(([name, series]) => {
+            const values = this.series[name];
+            const last = values.length ? values[values.length - 1] : null;
+            this.rows[name].value.textContent = last === null ? '-' : last.toFixed(series.digits) + (series.unit ? ' ' + series.unit : '');
+            this._drawSparkline(this.rows[name].canvas, values, series);
+        });
+
+        const method = this.methods.length ? this.methods[this.methods.length - 1] : null;
+        this.rows.method.value.textContent = method || '-';
+        this._drawMethods(this.rows.method.canvas);
+
+        const stats = this._trackerStats();
+        this.trackerElement.classList.toggle('hidden', !stats);
+        if (stats) {
+            this.trackerElement.textContent = Object.entries(stats)
+                .filter(([, value]) => typeof value !== 'object')
+                .map(([key, value]) => `${key}: ${value}`)
+                .join(' · ');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _drawSparkline(canvas, values, series) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const present = values.filter(v => v !== null);
+        if (present.length < 2) return;
+        const max = Math.max(series.scale, ...present);
+        const step = width / (this.historySize - 1);
+        const offset = (this.historySize - values.length) * step;
+
+        ctx.strokeStyle = series.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let drawing = false;
+        values.forEach((value, i) => {
+            if (value === null) { drawing = false; return; }
+            const x = offset + i * step, y = height - 1 - (value / max) * (height - 2);
+            if (drawing) ctx.lineTo(x, y);
+            else ctx.moveTo(x, y);
+            drawing = true;
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * One bar per tracking frame, coloured by method
+     * @private
+     */
+    _drawMethods(canvas) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const barWidth = width / this.methodHistorySize;
+        const offset = (this.methodHistorySize - this.methods.length) * barWidth;
+        this.methods.forEach((method, i) => {
+            ctx.fillStyle = TELEMETRY_METHOD_COLORS[method] || '#feca57';
+            ctx.fillRect(offset + i * barWidth, method === 'none' ? height / 2 : 0, Math.max(1, barWidth - 0.5), method === 'none' ? height / 2 : height);
+        });
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TelemetryOverlay, TELEMETRY_SERIES, TELEMETRY_SNAPSHOT_FORMAT };
+}
@@ -0,0 +1,379 @@
+/**
+ * TrackingDiagnostics - Why tracking is poor, as an actionable hint
+ *
+ * "No hands" alone doesn't tell the player what to fix. Every MediaPipe
+ * result is classified from the landmark bounding box, the hand size (same
+ * measures as CalibrationManager.measureHandSize/measurePalmSize), the
+ * handedness confidence and the luminance of a downscaled copy of the frame:
+ *
+ *   tooFar      hand smaller than minHandSize
+ *   tooClose    hand larger than maxHandSize
+ *   offEdge     hand box touches (or just left through) a frame edge
+ *   tooDark     mean frame luminance below darkLuminance
+ *   backlit     background much brighter than the hand (or the frame centre)
+ *   motionBlur  hand moving fast, or much blurrier than usual
+ *
+ * An issue has to persist for holdTime before it is reported, and clears
+ * the same way, so hints don't flicker on single bad frames.
+ *
+ * Usage:
+ *   const diagnostics = new TrackingDiagnostics({ onChange: (readings) => showHint(diagnostics.getHint()) });
+ *   diagnostics.update(results);   // in onResults, with or without hands
+ */
+
+/**
+ * Text through the shared i18n instance when the page loaded i18n.js
+ */
+function diagnosticsText(key, params = {}) {
+    return typeof i18n !== 'undefined' ? i18n.t(key, params) : key;
+}
+
+/**
+ * Issues in the order they are worth fixing: light first, then framing
+ */
+const TRACKING_ISSUES = ['tooDark', 'backlit', 'offEdge', 'tooClose', 'tooFar', 'motionBlur'];
+
+class TrackingDiagnostics {
+    /**
+     * @param {Object} options
+     * @param {number} options.minHandSize - Wrist to middle fingertip, fraction of the frame (default: 0.12)
+     * @param {number} options.maxHandSize - (default: 0.5)
+     * @param {number} options.edgeMargin - Box this close to an edge counts as off-edge (default: 0.02)
+     * @param {number} options.darkLuminance - Mean luma 0-255 below which the room is too dark (default: 50)
+     * @param {number} options.backlitContrast - Background minus hand luma that counts as backlit (default: 70)
+     * @param {number} options.blurSpeed - Hand speed in frame widths per second that blurs (default: 2)
+     * @param {number} options.blurSharpness - Sharpness below this fraction of the usual one is blurred (default: 0.5)
+     * @param {number} options.minConfidence - Handedness score under which fast motion counts as blur (default: 0.7)
+     * @param {number} options.holdTime - ms an issue must persist before it is reported or cleared (default: 500)
+     * @param {number} options.lostTime - ms after losing a hand near an edge that offEdge is still reported (default: 1500)
+     * @param {number} options.sampleInterval - ms between luminance samples (default: 200)
+     * @param {number} options.sampleWidth - Width of the downscaled frame (default: 96)
+     * @param {boolean} options.mirrored - Video is shown mirrored; edges are reported as seen on screen (default: true)
+     * @param {Function} options.onChange - (readings) => void, called when the reported issues change
+     */
+    constructor(options = {}) {
+        this.minHandSize = options.minHandSize || 0.12;
+        this.maxHandSize = options.maxHandSize || 0.5;
+        this.edgeMargin = options.edgeMargin ?? 0.02;
+        this.darkLuminance = options.darkLuminance || 50;
+        this.backlitContrast = options.backlitContrast || 70;
+        this.blurSpeed = options.blurSpeed || 2;
+        this.blurSharpness = options.blurSharpness || 0.5;
+        this.minConfidence = options.minConfidence ?? 0.7;
+        this.holdTime = options.holdTime ?? 500;
+        this.lostTime = options.lostTime || 1500;
+        this.sampleInterval = options.sampleInterval || 200;
+        this.sampleWidth = options.sampleWidth || 96;
+        this.mirrored = options.mirrored ?? true;
+        this.onChange = options.onChange || (() => { });
+        this.listeners = new Set();
+
+        this.canvas = null;
+        this.reset();
+    }
+
+    /**
+     * Classify one MediaPipe result
+     * @param {Object} results - { multiHandLandmarks, multiHandedness, image }
+     * @param {Object} options
+     * @param {CanvasImageSource} options.image - Frame to sample instead of results.image
+     * @param {number} options.timestamp - ms (default: performance.now())
+     * @returns {Object} Readings (see getReadings)
+     */
+    update(results, options = {}) {
+        const now = options.timestamp ?? (typeof performance !== 'undefined' ? performance.now() : Date.now());
+        const hands = (results && results.multiHandLandmarks) || [];
+        const readings = this.readings;
+
+        // The biggest hand is the one the game is most likely following
+        let best = null;
+        hands.forEach((landmarks, i) => {
+            if (!landmarks || landmarks.length < 21) return;
+            // A fist shortens wrist-to-fingertip but not the palm (about half an open hand)
+            const size = Math.max(this.measureHandSize(landmarks), this.measurePalmSize(landmarks) * 2);
+            if (!best || size > best.size) {
+                const handedness = results.multiHandedness && results.multiHandedness[i];
+                best = { landmarks, size, confidence: handedness ? handedness.score : 1 };
+            }
+        });
+
+        readings.timestamp = now;
+        readings.handPresent = !!best;
+        if (best) {
+            const box = this.measureBox(best.landmarks);
+            const center = { x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 };
+            const dt = this.lastCenter ? (now - this.lastCenter.time) / 1000 : 0;
+
+            readings.speed = dt > 0 && dt < 0.5
+                ? Math.hypot(center.x - this.lastCenter.x, center.y - this.lastCenter.y) / dt
+                : 0;
+            readings.handSize = best.size;
+            readings.box = box;
+            readings.confidence = best.confidence;
+            readings.edge = this._edgeOf(box);
+
+            this.lastCenter = { ...center, time: now };
+            this.lastSeen = now;
+        } else {
+            readings.speed = 0;
+            readings.confidence = 0;
+            this.lastCenter = null;
+            // Keep handSize/box/edge of the last hand: it may have just left through an edge
+        }
+
+        const image = options.image || (results && results.image);
+        if (image && now - this.lastSample >= this.sampleInterval) {
+            this.lastSample = now;
+            this._sampleFrame(image, best ? readings.box : null);
+        }
+
+        this._classify(now);
+        return readings;
+    }
+
+    /**
+     * Latest measurements
+     * @returns {Object} { timestamp, handPresent, handSize, box, edge, confidence, speed,
+     *   luminance, handLuminance, backgroundLuminance, sharpness, issues, issue }
+     */
+    getReadings() {
+        return { ...this.readings, issues: [...this.readings.issues] };
+    }
+
+    /**
+     * Hint for the most important reported issue
+     * @returns {Object|null} { issue, key, message }
+     */
+    getHint() {
+        const issue = this.readings.issue;
+        if (!issue) return null;
+
+        const key = issue === 'offEdge' ? `diagnostics.offEdge.${this.readings.edge}` : `diagnostics.${issue}`;
+        return { issue, key, message: diagnosticsText(key) };
+    }
+
+    /**
+     * Listen for changes of the reported issues
+     * @param {Function} callback - (readings) => void
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Forget all measurements (e.g. after the camera restarts)
+     */
+    reset() {
+        this.readings = {
+            timestamp: 0,
+            handPresent: false,
+            handSize: 0,
+            box: null,
+            edge: null,
+            confidence: 0,
+            speed: 0,
+            luminance: null,
+            handLuminance: null,
+            backgroundLuminance: null,
+            sharpness: null,
+            issues: [],
+            issue: null
+        };
+        this.candidates = new Map();   // issue -> first time detected
+        this.cleared = new Map();      // reported issue -> first time not detected
+        this.sharpnessBaseline = null;
+        this.lastCenter = null;
+        this.lastSeen = -Infinity;
+        this.lastSample = -Infinity;
+    }
+
+    /**
+     * Wrist to middle fingertip, as CalibrationManager.measureHandSize
+     * @param {Array} landmarks
+     * @returns {number}
+     */
+    measureHandSize(landmarks) {
+        const wrist = landmarks[0], middleTip = landmarks[12];
+        return Math.hypot(middleTip.x - wrist.x, middleTip.y - wrist.y);
+    }
+
+    /**
+     * Wrist to middle knuckle, as CalibrationManager.measurePalmSize
+     * @param {Array} landmarks
+     * @returns {number}
+     */
+    measurePalmSize(landmarks) {
+        const wrist = landmarks[0], middleBase = landmarks[9];
+        return Math.hypot(middleBase.x - wrist.x, middleBase.y - wrist.y);
+    }
+
+    /**
+     * Landmark bounding box in image coordinates (0-1)
+     * @param {Array} landmarks
+     * @returns {Object} { minX, maxX, minY, maxY }
+     */
+    measureBox(landmarks) {
+        const box = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+        landmarks.forEach(({ x, y }) => {
+            box.minX = Math.min(box.minX, x);
+            box.maxX = Math.max(box.maxX, x);
+            box.minY = Math.min(box.minY, y);
+            box.maxY = Math.max(box.maxY, y);
+        });
+        return box;
+    }
+
+    /**
+     * Side of the screen the box is cut off at, or null
+     * @private
+     */
+    _edgeOf(box) {
+        const m = this.edgeMargin;
+        if (box.minY <= m) return 'top';
+        if (box.maxY >= 1 - m) return 'bottom';
+        if (box.minX <= m) return this.mirrored ? 'right' : 'left';
+        if (box.maxX >= 1 - m) return this.mirrored ? 'left' : 'right';
+        return null;
+    }
+
+    /**
+     * Luminance and sharpness of a downscaled frame
+     * @private
+     */
+    _sampleFrame(image, box) {
+        const width = this.sampleWidth;
+        const sourceWidth = image.videoWidth || image.width;
+        const sourceHeight = image.videoHeight || image.height;
+        if (!sourceWidth || !sourceHeight) return;
+        const height = Math.max(1, Math.round(width * sourceHeight / sourceWidth));
+
+        let ctx;
+        try {
+            if (!this.canvas) {
+                this.canvas = typeof OffscreenCanvas !== 'undefined'
+                    ? new OffscreenCanvas(width, height)
+                    : document.createElement('canvas');
+                this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+            }
+            if (this.canvas.width !== width || this.canvas.height !== height) {
+                this.canvas.width = width;
+                this.canvas.height = height;
+            }
+            ctx = this.ctx;
+            ctx.drawImage(image, 0, 0, width, height);
+        } catch (e) {
+            // No canvas, or a frame that can't be drawn yet
+            return;
+        }
+
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+        const luma = new Float32Array(width * height);
+        for (let i = 0; i < luma.length; i++) {
+            luma[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+        }
+
+        // Without a hand, the middle of the frame stands in for where it should be
+        const region = box
+            ? {
+                x0: Math.floor(box.minX * width), x1: Math.ceil(box.maxX * width),
+                y0: Math.floor(box.minY * height), y1: Math.ceil(box.maxY * height)
+            }
+            : { x0: Math.floor(width / 4), x1: Math.ceil(width * 3 / 4), y0: Math.floor(height / 4), y1: Math.ceil(height * 3 / 4) };
+
+        let total = 0, inside = 0, insideCount = 0, laplacian = 0, laplacianCount = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                total += luma[i];
+
+                if (x < region.x0 || x >= region.x1 || y < region.y0 || y >= region.y1) continue;
+                inside += luma[i];
+                insideCount++;
+
+                if (x > 0 && y > 0 && x < width - 1 && y < height - 1) {
+                    laplacian += Math.abs(4 * luma[i] - luma[i - 1] - luma[i + 1] - luma[i - width] - luma[i + width]);
+                    laplacianCount++;
+                }
+            }
+        }
+
+        const readings = this.readings;
+        const outsideCount = luma.length - insideCount;
+        readings.luminance = total / luma.length;
+        readings.handLuminance = insideCount ? inside / insideCount : readings.luminance;
+        readings.backgroundLuminance = outsideCount ? (total - inside) / outsideCount : readings.luminance;
+        readings.sharpness = box && laplacianCount ? laplacian / laplacianCount : null;
+
+        // Usual sharpness of this camera and room, learned while the hand is still
+        if (readings.sharpness !== null && readings.speed < this.blurSpeed / 4) {
+            this.sharpnessBaseline = this.sharpnessBaseline === null
+                ? readings.sharpness
+                : this.sharpnessBaseline + (readings.sharpness - this.sharpnessBaseline) * 0.1;
+        }
+    }
+
+    /**
+     * Detect issues and apply the hold time
+     * @private
+     */
+    _classify(now) {
+        const r = this.readings;
+        const detected = new Set();
+
+        if (r.luminance !== null && r.luminance < this.darkLuminance) detected.add('tooDark');
+        if (r.luminance !== null && r.backgroundLuminance - r.handLuminance > this.backlitContrast) detected.add('backlit');
+
+        if (r.handPresent) {
+            if (r.edge) detected.add('offEdge');
+            if (r.handSize < this.minHandSize) detected.add('tooFar');
+            if (r.handSize > this.maxHandSize) detected.add('tooClose');
+
+            const blurred = r.sharpness !== null && this.sharpnessBaseline
+                && r.sharpness < this.sharpnessBaseline * this.blurSharpness;
+            const unsure = r.confidence < this.minConfidence && r.speed > this.blurSpeed / 2;
+            if (r.speed > this.blurSpeed || blurred || unsure) detected.add('motionBlur');
+        } else if (r.edge && now - this.lastSeen < this.lostTime) {
+            // Lost right where it touched an edge: it left the frame
+            detected.add('offEdge');
+        }
+
+        TRACKING_ISSUES.forEach(issue => {
+            if (detected.has(issue)) {
+                this.cleared.delete(issue);
+                if (!this.candidates.has(issue)) this.candidates.set(issue, now);
+            } else {
+                this.candidates.delete(issue);
+                if (r.issues.includes(issue) && !this.cleared.has(issue)) this.cleared.set(issue, now);
+            }
+        });
+
+        const issues = TRACKING_ISSUES.filter(issue => {
+            if (r.issues.includes(issue)) {
+                return !this.cleared.has(issue) || now - this.cleared.get(issue) < this.holdTime;
+            }
+            return this.candidates.has(issue) && now - this.candidates.get(issue) >= this.holdTime;
+        });
+        TRACKING_ISSUES.forEach(issue => { if (!issues.includes(issue)) this.cleared.delete(issue); });
+
+        if (issues.join() === r.issues.join()) return;
+        r.issues = issues;
+        r.issue = issues[0] || null;
+
+        const readings = this.getReadings();
+        this.onChange(readings);
+        this.listeners.forEach(callback => {
+            try {
+                callback(readings);
+            } catch (e) {
+                console.error('Diagnostics listener error:', e);
+            }
+        });
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrackingDiagnostics, TRACKING_ISSUES };
+}
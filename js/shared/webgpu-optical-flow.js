@@ -4,9 +4,22 @@
  * Performs iterative optical flow tracking on GPU compute shaders.
  * Input: Previous Frame Texture, Current Frame Texture, Reference Keypoints (Buffer)
  * Output: Tracked Keypoints (Buffer)
+ *
+ * Textures may be grayscale or color (luminance is computed in the shader).
+ * WebGpuFlowBackend wraps this class in the snapshot contract HybridTracker
+ * uses for the CPU OpticalFlow.
  */
 class WebGpuOpticalFlow {
-    constructor(device, width, height) {
+    /**
+     * @param {GPUDevice} device
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} options - Solver settings, same meaning and defaults as HybridTracker's CPU OpticalFlow
+     * @param {number} options.windowSize - Size of the search window (default: 11)
+     * @param {number} options.maxIterations - Max iterations per point (default: 10)
+     * @param {number} options.epsilon - Convergence threshold in pixels (default: 0.01)
+     */
+    constructor(device, width, height, options = {}) {
         this.device = device;
         this.width = width;
         this.height = height;
@@ -15,15 +28,16 @@ class WebGpuOpticalFlow {
         this.bindGroupLayout = null;
 
         // Buffers
+        this.paramsBuffer = null;    // Solver settings (uniform)
         this.pointsBufferSrc = null; // Previous points
-        this.pointsBufferDst = null; // Current points (tracking result)
+        this.pointsBufferDst = null; // Current points and residuals (tracking result)
         this.resultBuffer = null;    // Readback buffer
 
-        // Constants
-        this.windowSize = 15;
-        this.maxIterations = 10;
-        this.epsilon = 0.01;
-        this.numPoints = 21; // Hand landmarks
+        // Solver settings, passed to the shader as uniforms
+        this.windowSize = options.windowSize || 11;
+        this.maxIterations = options.maxIterations || 10;
+        this.epsilon = options.epsilon || 0.01;
+        this.numPoints = 21; // Hand landmarks (buffers grow for more)
     }
 
     async init() {
@@ -31,26 +45,46 @@ class WebGpuOpticalFlow {
         const shaderModule = this.device.createShaderModule({
             label: 'Lucas-Kanade Compute Shader',
             code: `
+                struct Params {
+                    halfWindow: i32,
+                    maxIterations: i32,
+                    epsilon: f32,
+                    pad: f32,
+                }
+
                 struct Point {
                     x: f32,
                     y: f32,
                 }
 
+                // error: RMS residual over the window in gray levels (0-255), -1 when the solve failed
+                struct Tracked {
+                    x: f32,
+                    y: f32,
+                    error: f32,
+                }
+
                 @group(0) @binding(0) var prevTex : texture_2d<f32>;
                 @group(0) @binding(1) var currTex : texture_2d<f32>;
                 @group(0) @binding(2) var samp : sampler;
                 @group(0) @binding(3) var<storage, read> prevPoints : array<Point>;
-                @group(0) @binding(4) var<storage, read_write> currPoints : array<Point>;
+                @group(0) @binding(4) var<storage, read_write> currPoints : array<Tracked>;
+                @group(0) @binding(5) var<uniform> params : Params;
+
+                // Luminance (same weights as the CPU grayscale conversion)
+                fn luma(tex: texture_2d<f32>, s: sampler, uv: vec2<f32>) -> f32 {
+                    return dot(textureSampleLevel(tex, s, uv, 0.0).rgb, vec3<f32>(0.299, 0.587, 0.114));
+                }
 
                 // Gradient calculation helper
                 fn get_gradient(tex: texture_2d<f32>, s: sampler, uv: vec2<f32>, dims: vec2<f32>) -> vec2<f32> {
                     let offX = vec2<f32>(1.0 / dims.x, 0.0);
                     let offY = vec2<f32>(0.0, 1.0 / dims.y);
                     
-                    let left = textureSampleLevel(tex, s, uv - offX, 0.0).r;
-                    let right = textureSampleLevel(tex, s, uv + offX, 0.0).r;
-                    let top = textureSampleLevel(tex, s, uv - offY, 0.0).r;
-                    let bottom = textureSampleLevel(tex, s, uv + offY, 0.0).r;
+                    let left = luma(tex, s, uv - offX);
+                    let right = luma(tex, s, uv + offX);
+                    let top = luma(tex, s, uv - offY);
+                    let bottom = luma(tex, s, uv + offY);
                     
                     return vec2<f32>((right - left) * 0.5, (bottom - top) * 0.5);
                 }
@@ -61,17 +95,19 @@ class WebGpuOpticalFlow {
                     if (idx >= arrayLength(&prevPoints)) { return; }
 
                     let dims = vec2<f32>(textureDimensions(prevTex));
+                    let hw = params.halfWindow;
                     let p_prev = prevPoints[idx]; // Pixel coords
-                    var p_curr = currPoints[idx]; // Initial guess (usually same as prev)
+                    var p_curr = vec2<f32>(currPoints[idx].x, currPoints[idx].y); // Initial guess (usually same as prev)
+                    var solved = true;
 
                     // Iterative Lucas-Kanade
-                    for (let n = 0; n < 20; n++) { // Changed maxIterations to 20 for safety
+                    for (var n = 0; n < params.maxIterations; n++) {
                         var G = mat2x2<f32>(0.0, 0.0, 0.0, 0.0); // Spatial gradient matrix
                         var b = vec2<f32>(0.0, 0.0);             // Mismatch vector
                         
-                        // Window loop (15x15)
-                        for (let wy = -7; wy <= 7; wy++) {
-                            for (let wx = -7; wx <= 7; wx++) {
+                        // Window loop (windowSize x windowSize)
+                        for (var wy = -hw; wy <= hw; wy++) {
+                            for (var wx = -hw; wx <= hw; wx++) {
                                 // Sample coordinates
                                 let uv_prev = (vec2<f32>(p_prev.x + f32(wx), p_prev.y + f32(wy)) + 0.5) / dims;
                                 let uv_curr = (vec2<f32>(p_curr.x + f32(wx), p_curr.y + f32(wy)) + 0.5) / dims;
@@ -84,8 +120,8 @@ class WebGpuOpticalFlow {
                                 let Iy = Ix_Iy.y;
                                 
                                 // Temporal Difference It = I(curr) - I(prev)
-                                let I_prev = textureSampleLevel(prevTex, samp, uv_prev, 0.0).r;
-                                let I_curr = textureSampleLevel(currTex, samp, uv_curr, 0.0).r;
+                                let I_prev = luma(prevTex, samp, uv_prev);
+                                let I_curr = luma(currTex, samp, uv_curr);
                                 let It = I_curr - I_prev;
 
                                 // Accumulate G matrix and b vector
@@ -101,7 +137,7 @@ class WebGpuOpticalFlow {
 
                         // Solve G * d = b using determinant
                         let det = G[0][0] * G[1][1] - G[0][1] * G[1][0];
-                        if (abs(det) < 0.00001) { break; } // Singular matrix
+                        if (abs(det) < 0.00001) { solved = false; break; } // Singular matrix
 
                         let invDet = 1.0 / det;
                         let dx = (G[1][1] * b.x - G[0][1] * b.y) * invDet;
@@ -111,11 +147,28 @@ class WebGpuOpticalFlow {
                         p_curr.y += dy;
 
                         // Convergence check
-                        if (abs(dx) < 0.01 && abs(dy) < 0.01) { break; }
+                        if (abs(dx) < params.epsilon && abs(dy) < params.epsilon) { break; }
+                    }
+
+                    // Tracking error: RMS difference over the window, as OpticalFlow.trackPoint reports it
+                    var residual = -1.0;
+                    if (solved) {
+                        var sum = 0.0;
+                        var samples = 0.0;
+                        for (var wy = -hw; wy <= hw; wy++) {
+                            for (var wx = -hw; wx <= hw; wx++) {
+                                let offset = vec2<f32>(f32(wx), f32(wy)) + 0.5;
+                                let diff = luma(currTex, samp, (p_curr + offset) / dims) -
+                                    luma(prevTex, samp, (vec2<f32>(p_prev.x, p_prev.y) + offset) / dims);
+                                sum += diff * diff;
+                                samples += 1.0;
+                            }
+                        }
+                        residual = sqrt(sum / samples) * 255.0;
                     }
 
                     // Write back result
-                    currPoints[idx] = p_curr;
+                    currPoints[idx] = Tracked(p_curr.x, p_curr.y, residual);
                 }
             `
         });
@@ -132,31 +185,76 @@ class WebGpuOpticalFlow {
             minFilter: 'linear',
         });
 
-        // Init buffers for 21 points (float32 x 2)
-        const bufferSize = this.numPoints * 2 * 4; // 21 * 2 * 4 bytes
+        // Solver settings: halfWindow, maxIterations (i32), epsilon (f32), padding
+        const params = new ArrayBuffer(16);
+        new Int32Array(params, 0, 2).set([Math.floor(this.windowSize / 2), this.maxIterations]);
+        new Float32Array(params, 8, 1)[0] = this.epsilon;
+        this.paramsBuffer = this.device.createBuffer({
+            size: params.byteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.device.queue.writeBuffer(this.paramsBuffer, 0, params);
+
+        this.ensureBuffers(this.numPoints);
+    }
+
+    /**
+     * (Re)allocate point buffers for a number of points
+     * @param {number} count
+     */
+    ensureBuffers(count) {
+        if (this.pointsBufferSrc && count <= this.numPoints) return;
+
+        this.destroyBuffers();
+        this.numPoints = Math.max(count, this.numPoints);
+
+        // float32 x 2 per input point, x 3 (with the residual) per result
         this.pointsBufferSrc = this.device.createBuffer({
-            size: bufferSize,
+            size: this.numPoints * 2 * 4,
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
         });
         this.pointsBufferDst = this.device.createBuffer({
-            size: bufferSize,
+            size: this.numPoints * 3 * 4,
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
         });
         this.resultBuffer = this.device.createBuffer({
-            size: bufferSize,
+            size: this.numPoints * 3 * 4,
             usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
         });
     }
 
+    /**
+     * Release the point buffers
+     */
+    destroyBuffers() {
+        [this.pointsBufferSrc, this.pointsBufferDst, this.resultBuffer].forEach(buffer => {
+            if (buffer) buffer.destroy();
+        });
+        this.pointsBufferSrc = this.pointsBufferDst = this.resultBuffer = null;
+    }
+
+    /**
+     * Release all buffers (init() runs again on the next track)
+     */
+    destroy() {
+        this.destroyBuffers();
+        if (this.paramsBuffer) this.paramsBuffer.destroy();
+        this.paramsBuffer = null;
+        this.pipeline = null;
+    }
+
     /**
      * Run Optical Flow on GPU
-     * @param {GPUTexture} prevTexture - Grayscale texture of previous frame
-     * @param {GPUTexture} currTexture - Grayscale texture of current frame
-     * @param {Array} keypoints - Array of {x, y} objects (21 points)
-     * @returns {Promise<Array>} Updated keypoints {x, y}
+     * @param {GPUTexture} prevTexture - Texture of previous frame
+     * @param {GPUTexture} currTexture - Texture of current frame
+     * @param {Array} keypoints - Array of {x, y} objects in pixels
+     * @param {Array} guesses - Starting positions in the current frame (default: keypoints)
+     * @returns {Promise<Array>} Updated keypoints {x, y, error}; error is the RMS residual
+     *   in gray levels, Infinity where the solve failed
      */
-    async track(prevTexture, currTexture, keypoints) {
+    async track(prevTexture, currTexture, keypoints, guesses = keypoints) {
         if (!this.pipeline) await this.init();
+        this.ensureBuffers(keypoints.length);
 
         // 1. Upload keypoints to GPU
         const pointsData = new Float32Array(keypoints.length * 2);
@@ -166,8 +264,13 @@ class WebGpuOpticalFlow {
         }
 
         this.device.queue.writeBuffer(this.pointsBufferSrc, 0, pointsData);
-        // Initialize destination with same points (as initial guess)
-        this.device.queue.writeBuffer(this.pointsBufferDst, 0, pointsData);
+        // Initialize destination with the initial guess (residual slot left at 0)
+        const guessData = new Float32Array(keypoints.length * 3);
+        for (let i = 0; i < keypoints.length; i++) {
+            guessData[i * 3] = guesses[i].x;
+            guessData[i * 3 + 1] = guesses[i].y;
+        }
+        this.device.queue.writeBuffer(this.pointsBufferDst, 0, guessData);
 
         // 2. Create BindGroup
         const bindGroup = this.device.createBindGroup({
@@ -176,8 +279,9 @@ class WebGpuOpticalFlow {
                 { binding: 0, resource: prevTexture.createView() },
                 { binding: 1, resource: currTexture.createView() },
                 { binding: 2, resource: this.sampler },
-                { binding: 3, resource: { buffer: this.pointsBufferSrc } },
-                { binding: 4, resource: { buffer: this.pointsBufferDst } }
+                { binding: 3, resource: { buffer: this.pointsBufferSrc, size: pointsData.byteLength } },
+                { binding: 4, resource: { buffer: this.pointsBufferDst, size: guessData.byteLength } },
+                { binding: 5, resource: { buffer: this.paramsBuffer } }
             ]
         });
 
@@ -186,31 +290,373 @@ class WebGpuOpticalFlow {
         const pass = commandEncoder.beginComputePass();
         pass.setPipeline(this.pipeline);
         pass.setBindGroup(0, bindGroup);
-        pass.dispatchWorkgroups(1); // 1 workgroup handles all 21 points
+        pass.dispatchWorkgroups(Math.ceil(keypoints.length / 64));
         pass.end();
 
         // 4. Readback results
         commandEncoder.copyBufferToBuffer(
             this.pointsBufferDst, 0,
             this.resultBuffer, 0,
-            pointsData.byteLength
+            guessData.byteLength
         );
         this.device.queue.submit([commandEncoder.finish()]);
 
         // 5. Map async
         await this.resultBuffer.mapAsync(GPUMapMode.READ);
         const mappedRange = this.resultBuffer.getMappedRange();
-        const resultFloat32 = new Float32Array(mappedRange.slice(0));
+        const resultFloat32 = new Float32Array(mappedRange.slice(0, guessData.byteLength));
         this.resultBuffer.unmap();
 
         // 6. Convert back to array of objects
         const updatedPoints = [];
         for (let i = 0; i < keypoints.length; i++) {
+            const error = resultFloat32[i * 3 + 2];
             updatedPoints.push({
-                x: resultFloat32[i * 2],
-                y: resultFloat32[i * 2 + 1]
+                x: resultFloat32[i * 3],
+                y: resultFloat32[i * 3 + 1],
+                error: error < 0 ? Infinity : error
             });
         }
-        return updatedPoints; // Can include status/error later
+        return updatedPoints;
+    }
+
+    /**
+     * Coarse-to-fine tracking on GpuPreprocessor pyramids
+     * Each level refines the displacement found on the coarser one, so
+     * motions larger than the search window can still be followed.
+     * @param {Array<GPUTexture>} prevLevels - Previous frame pyramid, finest first
+     * @param {Array<GPUTexture>} currLevels - Current frame pyramid, finest first
+     * @param {Array} keypoints - Array of {x, y} in full-resolution pixels
+     * @returns {Promise<Array>} Updated keypoints {x, y, error}, error from the finest level
+     */
+    async trackPyramid(prevLevels, currLevels, keypoints) {
+        const levels = Math.min(prevLevels.length, currLevels.length);
+        let displacement = keypoints.map(() => ({ x: 0, y: 0 }));
+        let errors = keypoints.map(() => 0);
+
+        for (let level = levels - 1; level >= 0; level--) {
+            const scale = 1 << level;
+            const scaled = keypoints.map(p => ({ x: p.x / scale, y: p.y / scale }));
+            const guesses = scaled.map((p, i) => ({ x: p.x + displacement[i].x / scale, y: p.y + displacement[i].y / scale }));
+
+            const result = await this.track(prevLevels[level], currLevels[level], scaled, guesses);
+            displacement = result.map((p, i) => ({ x: (p.x - scaled[i].x) * scale, y: (p.y - scaled[i].y) * scale }));
+            errors = result.map(p => p.error);
+        }
+
+        return keypoints.map((p, i) => ({ x: p.x + displacement[i].x, y: p.y + displacement[i].y, error: errors[i] }));
+    }
+}
+
+/**
+ * WebGpuFlowBackend - WebGpuOpticalFlow behind the OpticalFlow snapshot contract
+ *
+ * Same snapshot / trackSnapshot / track / setKeyframe / reset methods as
+ * OpticalFlow, with Promise results like OpticalFlowWorker. Snapshots are
+ * full-frame GPU pyramids built by GpuPreprocessor (the ROI is ignored:
+ * uploading the whole frame is cheaper than cropping it on the CPU); without
+ * gpu-preprocessor.js they are single color textures. Errors are the
+ * shader's RMS window residuals, in the same gray levels as OpticalFlow.
+ */
+class WebGpuFlowBackend {
+    /**
+     * @param {GPUDevice} device - From WebGPUUtils.init()
+     * @param {Object} options
+     * @param {boolean} options.forwardBackward - Validate points by tracking them back (default: false)
+     * @param {number} options.maxForwardBackwardError - Round-trip distance in pixels before a point is invalid (default: 2)
+     * @param {number} options.maxSnapshots - Textures kept alive before the oldest is destroyed (default: 8)
+     * @param {number} options.windowSize - Search window, as in OpticalFlow (default: 11)
+     * @param {number} options.pyramidLevels - Pyramid levels, as in OpticalFlow (default: 3)
+     * @param {number} options.maxIterations - Max iterations per point, as in OpticalFlow (default: 10)
+     * @param {number} options.epsilon - Convergence threshold, as in OpticalFlow (default: 0.01)
+     * @param {number} options.blurSigma - Pre-blur of each frame, 0 = none like the CPU OpticalFlow (default: 0)
+     */
+    constructor(device, options = {}) {
+        this.device = device;
+        this.forwardBackward = options.forwardBackward || false;
+        this.maxForwardBackwardError = options.maxForwardBackwardError || 2;
+        this.maxSnapshots = options.maxSnapshots || 8;
+
+        this.flow = new WebGpuOpticalFlow(device, 0, 0, options);
+        this.preprocessor = typeof GpuPreprocessor !== 'undefined'
+            ? new GpuPreprocessor(device, { pyramidLevels: options.pyramidLevels || 3, blurSigma: options.blurSigma || 0 })
+            : null;
+        this.prevSnapshot = null;
+        this.snapshots = [];
+        this.nextSnapshotId = 1;
+        this.isLost = false;
+
+        // The flow's buffers are shared, so GPU round trips run one at a time
+        this._queue = Promise.resolve();
+
+        // Called when the device is lost (HybridTracker falls back to the CPU)
+        this.onError = null;
+
+        device.lost.then((info) => {
+            this.isLost = true;
+            // 'destroyed' means we released it on purpose
+            if (info.reason !== 'destroyed' && this.onError) {
+                this.onError(new Error(`WebGPU device lost: ${info.message}`));
+            }
+        });
+    }
+
+    /**
+     * Compile the shader (optional, track() does it on first use)
+     */
+    async init() {
+        await this.flow.init();
+        if (this.preprocessor) await this.preprocessor.init();
+    }
+
+    /**
+     * Upload an image and build its pyramid on the GPU
+     * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source
+     * @returns {Object} Snapshot {id, texture, pyramid, width, height}
+     */
+    snapshot(source) {
+        const width = source.videoWidth || source.width;
+        const height = source.videoHeight || source.height;
+
+        let texture, pyramid = null;
+        if (this.preprocessor) {
+            pyramid = this.preprocessor.execute(source, this.preprocessor.createPyramid(width, height));
+            texture = pyramid.levels[0];
+        } else {
+            texture = this.device.createTexture({
+                size: [width, height],
+                format: 'rgba8unorm',
+                usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+            });
+            this.device.queue.copyExternalImageToTexture({ source }, { texture }, [width, height]);
+        }
+
+        const snapshot = { id: this.nextSnapshotId++, texture, pyramid, width, height };
+        this.snapshots.push(snapshot);
+
+        // Drop the oldest textures, but never the current reference frame
+        while (this.snapshots.length > this.maxSnapshots) {
+            const index = this.snapshots.findIndex(s => s !== this.prevSnapshot);
+            const [evicted] = this.snapshots.splice(index, 1);
+            this._destroySnapshot(evicted);
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * @returns {Promise<Object>} Same result as OpticalFlow.track()
+     */
+    track(source, points) {
+        return this.trackSnapshot(this.snapshot(source), points);
+    }
+
+    /**
+     * @param {Object} snapshot - From snapshot()
+     * @param {Array} points - Normalized {x, y}
+     * @returns {Promise<Object>} Same result as OpticalFlow.trackSnapshot()
+     */
+    trackSnapshot(snapshot, points) {
+        const run = this._queue.then(() => this._trackSnapshot(snapshot, points));
+        this._queue = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * @param {HTMLVideoElement|Object} source - Image or snapshot
+     */
+    setKeyframe(source) {
+        this.prevSnapshot = source.texture ? source : this.snapshot(source);
+    }
+
+    reset() {
+        this.prevSnapshot = null;
+    }
+
+    /**
+     * Release textures and buffers
+     */
+    terminate() {
+        this.snapshots.forEach(snapshot => this._destroySnapshot(snapshot));
+        this.snapshots = [];
+        this.prevSnapshot = null;
+        this.flow.destroy();
+    }
+
+    /**
+     * @private
+     */
+    async _trackSnapshot(snapshot, points) {
+        const { width, height } = snapshot;
+        const prev = this.prevSnapshot;
+        this.prevSnapshot = snapshot;
+
+        if (!prev || points.length === 0) {
+            return {
+                points: points.slice(),
+                errors: points.map(() => 0),
+                avgError: 0,
+                fbErrors: points.map(() => 0),
+                valid: points.map(() => true),
+                validCount: points.length
+            };
+        }
+        if (this.isLost) throw new Error('WebGPU device lost');
+
+        const start = points.map(p => ({ x: p.x * width, y: p.y * height }));
+        const forward = await this._trackBetween(prev, snapshot, start);
+
+        let fbErrors = points.map(() => 0);
+        if (this.forwardBackward) {
+            const backward = await this._trackBetween(snapshot, prev, forward);
+            fbErrors = backward.map((p, i) => Math.hypot(p.x - start[i].x, p.y - start[i].y));
+        }
+
+        const errors = forward.map(p => p.error);
+        const valid = forward.map((p, i) =>
+            Number.isFinite(p.x) && Number.isFinite(p.y) && Number.isFinite(p.error) &&
+            !(fbErrors[i] > this.maxForwardBackwardError)
+        );
+
+        return {
+            points: forward.map((p, i) => Number.isFinite(p.x) && Number.isFinite(p.y) ? {
+                x: Math.max(0, Math.min(1, p.x / width)),
+                y: Math.max(0, Math.min(1, p.y / height))
+            } : { x: points[i].x, y: points[i].y }),
+            errors,
+            avgError: errors.reduce((a, b) => a + b, 0) / errors.length,
+            fbErrors,
+            valid,
+            validCount: valid.filter(Boolean).length
+        };
+    }
+
+    /**
+     * @private
+     */
+    _trackBetween(from, to, points) {
+        if (from.pyramid && to.pyramid) {
+            return this.flow.trackPyramid(from.pyramid.levels, to.pyramid.levels, points);
+        }
+        return this.flow.track(from.texture, to.texture, points);
+    }
+
+    /**
+     * @private
+     */
+    _destroySnapshot(snapshot) {
+        if (snapshot.pyramid) this.preprocessor.destroyPyramid(snapshot.pyramid);
+        else snapshot.texture.destroy();
+    }
+}
+
+/**
+ * Track the same frame pair on two flow backends and measure how far apart
+ * their results land (parity check for the GPU implementation)
+ * @param {Object} reference - Backend to compare against, e.g. new OpticalFlow()
+ * @param {Object} candidate - Backend under test, e.g. a WebGpuFlowBackend
+ * @param {HTMLCanvasElement|ImageBitmap} prevImage - First frame
+ * @param {HTMLCanvasElement|ImageBitmap} currImage - Second frame
+ * @param {Array} points - Normalized {x, y} in the first frame
+ * @returns {Promise<Object>} {points: [{index, reference, candidate, dx, dy, distance}], meanDivergence, maxDivergence} in pixels
+ */
+async function compareOpticalFlowBackends(reference, candidate, prevImage, currImage, points) {
+    const width = prevImage.videoWidth || prevImage.width;
+    const height = prevImage.videoHeight || prevImage.height;
+
+    const run = async (flow) => {
+        flow.reset();
+        flow.setKeyframe(prevImage);
+        const result = await flow.track(currImage, points);
+        flow.reset();
+        return result.points;
+    };
+
+    const a = await run(reference);
+    const b = await run(candidate);
+
+    const divergence = points.map((_, index) => {
+        const dx = (b[index].x - a[index].x) * width;
+        const dy = (b[index].y - a[index].y) * height;
+        return {
+            index,
+            reference: { x: a[index].x * width, y: a[index].y * height },
+            candidate: { x: b[index].x * width, y: b[index].y * height },
+            dx,
+            dy,
+            distance: Math.hypot(dx, dy)
+        };
+    });
+
+    const distances = divergence.map(d => d.distance);
+    return {
+        points: divergence,
+        meanDivergence: distances.reduce((sum, d) => sum + d, 0) / (distances.length || 1),
+        maxDivergence: Math.max(0, ...distances)
+    };
+}
+
+/**
+ * Smooth synthetic test image, optionally shifted by a sub-pixel offset
+ * @param {number} width
+ * @param {number} height
+ * @param {number} shiftX - Pattern offset in pixels
+ * @param {number} shiftY
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+function createFlowTestFrame(width, height, shiftX = 0, shiftY = 0) {
+    const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(width, height);
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const u = x - shiftX, v = y - shiftY;
+            // Texture in both directions everywhere, so every window is trackable
+            const value = 128 + 50 * Math.sin(u * 0.23) * Math.cos(v * 0.19) + 40 * Math.sin((u + v) * 0.11);
+            const i = (y * width + x) * 4;
+            image.data[i] = image.data[i + 1] = image.data[i + 2] = value;
+            image.data[i + 3] = 255;
+        }
     }
+
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
+
+/**
+ * Parity check on a synthetic frame pair with a known motion
+ * Needs no camera, so it can run before a GPU backend is put to use.
+ * @param {Object} candidate - Backend under test, e.g. a WebGpuFlowBackend
+ * @param {Object} options
+ * @param {Object} options.reference - Backend to compare against (default: new OpticalFlow(11, 3, 10, 0.01))
+ * @param {number} options.tolerance - Max divergence in pixels for the check to pass (default: 1)
+ * @param {Object} options.shift - Motion between the frames in pixels (default: {x: 3.5, y: -2.25})
+ * @returns {Promise<Object>} compareOpticalFlowBackends() report plus {passed, tolerance}
+ */
+async function verifyOpticalFlowParity(candidate, options = {}) {
+    const reference = options.reference || new OpticalFlow(11, 3, 10, 0.01);
+    const tolerance = options.tolerance || 1;
+    const shift = options.shift || { x: 3.5, y: -2.25 };
+    const width = 160, height = 120;
+
+    const points = [];
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 7; col++) {
+            points.push({ x: 0.2 + col * 0.1, y: 0.35 + row * 0.15 });
+        }
+    }
+
+    const report = await compareOpticalFlowBackends(
+        reference, candidate,
+        createFlowTestFrame(width, height), createFlowTestFrame(width, height, shift.x, shift.y),
+        points
+    );
+    return { ...report, passed: report.maxDivergence <= tolerance, tolerance };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WebGpuOpticalFlow, WebGpuFlowBackend, compareOpticalFlowBackends, createFlowTestFrame, verifyOpticalFlowParity };
 }